@@ -1,15 +1,44 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../controllers/sessionController');
+const { isApiToken, authenticateApiToken } = require('../controllers/apiTokenController');
+
+// personal access tokens only get as far as their scopes allow, see auth/scopes.js
+async function verifyApiToken(token, req, res, next) {
+  try {
+    const apiToken = await authenticateApiToken(token);
+    if (!apiToken) return res.status(401).send({ error: 'Failed to authenticate token.' });
+    req.userId = apiToken.userId;
+    req.apiTokenId = apiToken.id;
+    req.tokenScopes = apiToken.scopes;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
 
 function verifyToken(req, res, next) {
-  const token = req.headers['authorization'];
+  let token = req.headers['authorization'];
   
   if (!token) return res.status(401).json({ error: 'Access denied.' });
+  // scripts tend to send the standard bearer form
+  token = token.replace(/^Bearer\s+/i, '');
 
-  jwt.verify(token, process.env.JWT_SECRET, function(err, decoded) {
-    if (err) return res.status(500).send({ error: 'Failed to authenticate token.' });
-    req.userId = decoded.id;
-    next();
+  if (isApiToken(token)) return verifyApiToken(token, req, res, next);
+
+  jwt.verify(token, process.env.JWT_SECRET, async function(err, decoded) {
+    // 401 so clients know to use their refresh token
+    if (err) return res.status(401).send({ error: 'Failed to authenticate token.' });
+    try {
+      // the signature is fine but the session behind it may have been logged out
+      const active = decoded.sid && await isSessionActive(decoded.sid, decoded.id);
+      if (!active) return res.status(401).send({ error: 'Session has been revoked.' });
+      req.userId = decoded.id;
+      req.sessionId = decoded.sid;
+      next();
+    } catch (error) {
+      next(error);
+    }
   });
 }
 
-module.exports = verifyToken;
\ No newline at end of file
+module.exports = verifyToken;
@@ -0,0 +1,39 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/user');
+const { policies, can } = require('./policies');
+const { hasScope, writeScopeFor } = require('./scopes');
+
+// route middleware enforcing auth/policies.js, goes after verifyToken and the validators
+// anything other than create loads the resource from req.params.id first and 404s if it's missing
+function authorize(model, action) {
+  return async function(req, res, next) {
+    // let the route answer with its 422 before we go looking things up
+    if (!validationResult(req).isEmpty()) return next();
+    // personal access tokens also need the scope for the model they are changing
+    const scope = action.startsWith('read') ? 'read' : writeScopeFor(model);
+    if (!hasScope(req, scope)) {
+      return res.status(403).json({ errors: [{ msg: `Token is missing the ${scope} scope` }] });
+    }
+    try {
+      const user = await User.findOne({ where: { id: req.userId }, attributes: ['id', 'role'] });
+      if (!user) return res.status(401).json({ errors: [{ msg: 'Unauthorized' }] });
+
+      let resource = null;
+      if (action !== 'create') {
+        resource = await policies[model].load(req.params.id);
+        if (!resource) return res.sendStatus(404);
+      }
+
+      const allowed = await can(user, model, action, resource, req.body || {});
+      if (!allowed) return res.status(403).json({ errors: [{ msg: 'Forbidden' }] });
+
+      req.user = user;
+      req.resource = resource;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = authorize;
@@ -0,0 +1,138 @@
+// failed login tracking per account and per ip, with backoff, lockout and unlock links
+const { validationResult } = require('express-validator');
+const createMemoryStore = require('./stores/memoryStore');
+const { generateToken, hashToken } = require('./tokenManager');
+const { sendMail } = require('../mail/mailer');
+const { accountUnlockMail } = require('../mail/templates');
+const Logger = require('../logging/logger');
+
+const MINUTE = 60 * 1000;
+// failures allowed before backoff starts
+const FREE_ATTEMPTS = Number(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+const BACKOFF_BASE_MS = Number(process.env.LOGIN_BACKOFF_BASE_MS) || 1000;
+const BACKOFF_MAX_MS = Number(process.env.LOGIN_BACKOFF_MAX_MS) || 15 * MINUTE;
+const LOCK_THRESHOLD = Number(process.env.LOGIN_LOCK_THRESHOLD) || 10;
+const LOCK_DURATION_MS = (Number(process.env.LOGIN_LOCK_MINUTES) || 30) * MINUTE;
+// how long failures against an account are remembered
+const ACCOUNT_WINDOW_MS = 60 * MINUTE;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 50;
+const IP_WINDOW_MS = 60 * MINUTE;
+
+let store = createMemoryStore();
+
+// swap in a shared backend, see auth/stores/memoryStore.js for the interface
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+const accountKey = (email) => `login:account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+const unlockKey = (token) => `login:unlock:${hashToken(token)}`;
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// null when the attempt may go ahead, otherwise the status to answer with and how long to wait
+const checkLogin = async ({ email, ip }) => {
+  const now = Date.now();
+  const ipRecord = await store.get(ipKey(ip));
+  if (ipRecord && ipRecord.failures >= IP_MAX_FAILURES) {
+    return { status: 429, retryAfter: secondsUntil(ipRecord.windowEndsAt) };
+  }
+  const account = await store.get(accountKey(email));
+  if (account && account.lockedUntil > now) {
+    return { status: 423, retryAfter: secondsUntil(account.lockedUntil) };
+  }
+  if (account && account.nextAttemptAt > now) {
+    return { status: 429, retryAfter: secondsUntil(account.nextAttemptAt) };
+  }
+  return null;
+};
+
+const sendUnlockMail = async (user) => {
+  const token = generateToken(32);
+  await store.set(unlockKey(token), { email: user.email }, LOCK_DURATION_MS);
+  await sendMail({
+    to: user.email,
+    ...accountUnlockMail({ name: user.name, token: token, lockMinutes: LOCK_DURATION_MS / MINUTE }),
+  });
+};
+
+// user is only passed when the email belongs to an account, that's who gets the unlock link
+const recordFailure = async ({ email, ip, user }) => {
+  const now = Date.now();
+
+  const ipRecord = (await store.get(ipKey(ip))) || { failures: 0, windowEndsAt: now + IP_WINDOW_MS };
+  ipRecord.failures += 1;
+  await store.set(ipKey(ip), ipRecord, ipRecord.windowEndsAt - now);
+
+  let account = await store.get(accountKey(email));
+  // a lock that has run out starts the count again
+  if (!account || (account.lockedUntil && account.lockedUntil <= now)) {
+    account = { failures: 0, lockedUntil: 0, nextAttemptAt: 0 };
+  }
+  account.failures += 1;
+
+  let locked = false;
+  if (account.failures >= LOCK_THRESHOLD) {
+    account.lockedUntil = now + LOCK_DURATION_MS;
+    locked = true;
+  } else if (account.failures > FREE_ATTEMPTS) {
+    const delay = BACKOFF_BASE_MS * 2 ** (account.failures - FREE_ATTEMPTS - 1);
+    account.nextAttemptAt = now + Math.min(delay, BACKOFF_MAX_MS);
+  }
+  await store.set(accountKey(email), account, Math.max(ACCOUNT_WINDOW_MS, account.lockedUntil - now));
+
+  if (locked) {
+    Logger.warn(`Account ${email} locked after ${account.failures} failed logins`);
+    if (user) {
+      await sendUnlockMail(user);
+    }
+  }
+  return { locked };
+};
+
+const clearAccount = async (email) => {
+  await store.delete(accountKey(email));
+};
+
+// a completed login, second factor included, forgets the account's failures, the ip count is left alone
+const recordSuccess = async ({ email }) => {
+  await clearAccount(email);
+};
+
+// returns the email that was unlocked, or null for an unknown or used token
+const unlockAccount = async (token) => {
+  const record = await store.get(unlockKey(token));
+  if (!record) {
+    return null;
+  }
+  await store.delete(unlockKey(token));
+  await clearAccount(record.email);
+  return record.email;
+};
+
+// route middleware, stops the request before we spend a bcrypt compare on it
+function throttleLogin(req, res, next) {
+  // let the route answer with its 422
+  if (!validationResult(req).isEmpty()) return next();
+  checkLogin({ email: req.body.email, ip: req.ip })
+    .then((blocked) => {
+      if (!blocked) return next();
+      res.set('Retry-After', String(blocked.retryAfter));
+      if (blocked.status === 423) {
+        return res.status(423).json({ errors: [{ msg: 'Account locked after too many failed logins, check your email for an unlock link or try again later' }] });
+      }
+      res.status(429).json({ errors: [{ msg: `Too many failed logins, try again in ${blocked.retryAfter} seconds` }] });
+    })
+    .catch(next);
+}
+
+module.exports = {
+  setStore,
+  checkLogin,
+  recordFailure,
+  recordSuccess,
+  clearAccount,
+  unlockAccount,
+  throttleLogin,
+};
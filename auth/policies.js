@@ -0,0 +1,152 @@
+const Vehicle = require('../models/vehicle');
+const Event = require('../models/event');
+const Comment = require('../models/comment');
+const Image = require('../models/image');
+const Like = require('../models/like');
+const User = require('../models/user');
+const VehicleMember = require('../models/vehicleMember');
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const isAdmin = (user) => user.role === 'admin';
+// moderators can take down other people's content but not change it
+const isStaff = (user) => user.role === 'moderator' || user.role === 'admin';
+const owns = (user, resource) => !!resource && Number(resource.userId) === Number(user.id);
+const isSelf = (user, id) => Number(id) === Number(user.id);
+const anyone = () => true;
+
+// the owner on the vehicle record, or the role an accepted member was given
+const vehicleRole = async (user, vehicle) => {
+  if (!vehicle) return null;
+  if (owns(user, vehicle)) return 'owner';
+  const member = await VehicleMember.findOne({ where: { vehicleId: vehicle.id, userId: user.id, status: 'active' } });
+  return member ? member.role : null;
+};
+const CAN_VIEW = ['owner', 'editor', 'viewer'];
+const CAN_EDIT = ['owner', 'editor'];
+const hasRole = async (user, vehicle, roles) => roles.includes(await vehicleRole(user, vehicle));
+
+// moving something onto a vehicle needs edit rights on that vehicle too
+const editsVehicle = async (user, vehicleId) => {
+  const vehicle = await Vehicle.findOne({ where: { id: vehicleId } });
+  return hasRole(user, vehicle, CAN_EDIT);
+};
+
+// events are changed by whoever wrote them, or by anyone editing the vehicle alongside them
+// events from a previous owner aren't written by anyone sharing the vehicle now, so they stay as they were
+const editsEvent = async (user, event) => {
+  if (!event || !(await hasRole(user, event.Vehicle, CAN_EDIT))) return false;
+  return owns(user, event) || (event.userId !== null && hasRole({ id: event.userId }, event.Vehicle, CAN_EDIT));
+};
+
+// drafts can only be commented on and liked by the people who can see them, a missing event is left for the database to refuse
+const seesEvent = async (user, eventId) => {
+  const event = await Event.findOne({ where: { id: eventId }, include: [{ model: Vehicle }] });
+  return !event || event.published || policies.Event.readDraft(user, event);
+};
+
+// who may do what to each model, every rule gets (user, resource, data)
+// resource is loaded by id for read/update/delete, for create it is null and data is the request body
+// load is how authorize finds the resource from the id in the route
+const policies = {
+  User: {
+    load: (id) => User.findOne({ where: { id: id } }),
+    read: anyone,
+    update: (user, target) => isSelf(user, target.id) || isAdmin(user),
+    delete: (user, target) => isSelf(user, target.id) || isAdmin(user),
+    assignRole: (user) => isAdmin(user),
+    manageTokens: (user, target) => isSelf(user, target.id),
+    readDocuments: (user, target) => isSelf(user, target.id),
+  },
+  Vehicle: {
+    load: (id) => Vehicle.findOne({ where: { id: id } }),
+    read: anyone,
+    create: (user, resource, data) => isSelf(user, data.userId) || isAdmin(user),
+    // co-owners can change the vehicle, but only the owner on record can hand it to someone else
+    update: async (user, vehicle, data) => isAdmin(user)
+      || (data.userId === undefined && (await hasRole(user, vehicle, ['owner'])))
+      || (owns(user, vehicle) && isSelf(user, data.userId)),
+    delete: (user, vehicle) => owns(user, vehicle) || isStaff(user),
+    readMaintenance: async (user, vehicle) => isAdmin(user) || hasRole(user, vehicle, CAN_VIEW),
+    manageMaintenance: async (user, vehicle) => isAdmin(user) || hasRole(user, vehicle, CAN_EDIT),
+    readFuel: async (user, vehicle) => isAdmin(user) || hasRole(user, vehicle, CAN_VIEW),
+    manageFuel: async (user, vehicle) => isAdmin(user) || hasRole(user, vehicle, CAN_EDIT),
+    readExpenses: async (user, vehicle) => isAdmin(user) || hasRole(user, vehicle, CAN_VIEW),
+    manageParts: async (user, vehicle) => isAdmin(user) || hasRole(user, vehicle, CAN_EDIT),
+    // documents carry personal details, so not even admins get to see them
+    readDocuments: (user, vehicle) => hasRole(user, vehicle, ['owner']),
+    manageDocuments: (user, vehicle) => hasRole(user, vehicle, ['owner']),
+    transfer: (user, vehicle) => owns(user, vehicle),
+    readMembers: async (user, vehicle) => isAdmin(user) || hasRole(user, vehicle, CAN_VIEW),
+    manageMembers: (user, vehicle) => hasRole(user, vehicle, ['owner']),
+    // shops send work in for the owners to review, and only see their own records
+    readServiceRecords: (user, vehicle) => hasRole(user, vehicle, ['owner', 'shop']),
+    submitServiceRecords: (user, vehicle) => hasRole(user, vehicle, ['shop']),
+    reviewServiceRecords: (user, vehicle) => hasRole(user, vehicle, ['owner']),
+    readDrafts: async (user, vehicle) => isAdmin(user) || hasRole(user, vehicle, CAN_VIEW),
+    readReport: async (user, vehicle) => isAdmin(user) || hasRole(user, vehicle, CAN_VIEW),
+    // public links hand the report to anyone holding them, so only the owners make them
+    readReportLinks: (user, vehicle) => hasRole(user, vehicle, ['owner']),
+    manageReportLinks: (user, vehicle) => hasRole(user, vehicle, ['owner']),
+  },
+  Event: {
+    // events are logged by the owner and editors of the vehicle, and once it's sold the ones they wrote stay as they were
+    load: (id) => Event.findOne({ where: { id: id }, include: [{ model: Vehicle }] }),
+    read: anyone,
+    create: async (user, resource, data) => isAdmin(user)
+      || (isSelf(user, data.userId) && editsVehicle(user, data.vehicleId)),
+    update: async (user, event, data) => isAdmin(user)
+      || ((await editsEvent(user, event))
+        && (data.userId === undefined || isSelf(user, data.userId))
+        && (data.vehicleId === undefined || editsVehicle(user, data.vehicleId))),
+    delete: async (user, event) => isStaff(user) || editsEvent(user, event),
+    readDraft: async (user, event) => isAdmin(user) || owns(user, event) || hasRole(user, event.Vehicle, CAN_VIEW),
+    // the same people who see where its photos were taken
+    readLocation: async (user, event) => owns(user, event) || (await vehicleRole(user, event.Vehicle)) === 'owner',
+    // publishing doesn't change what was written, so the owners decide what their journal shows
+    publish: async (user, event) => isAdmin(user) || (await editsEvent(user, event)) || hasRole(user, event.Vehicle, ['owner']),
+    unpublish: async (user, event) => isStaff(user) || (await editsEvent(user, event)) || hasRole(user, event.Vehicle, ['owner']),
+  },
+  Comment: {
+    load: (id) => Comment.findOne({ where: { id: id } }),
+    read: anyone,
+    create: async (user, resource, data) => isSelf(user, data.userId) && seesEvent(user, data.eventId),
+    update: async (user, comment, data) => owns(user, comment)
+      && (data.eventId === undefined || seesEvent(user, data.eventId)),
+    delete: (user, comment) => owns(user, comment) || isStaff(user),
+  },
+  Image: {
+    load: (id) => Image.findOne({ where: { id: id }, include: [{ model: Event, include: [{ model: Vehicle }] }] }),
+    read: anyone,
+    create: async (user, resource, data) => {
+      if (isAdmin(user)) return true;
+      const event = await Event.findOne({ where: { id: data.eventId }, include: [{ model: Vehicle }] });
+      return editsEvent(user, event);
+    },
+    update: async (user, image) => isAdmin(user) || editsEvent(user, image.Event),
+    delete: async (user, image) => isStaff(user) || editsEvent(user, image.Event),
+    // where and when a photo was taken can give away someone's home, so not even staff see it
+    readMetadata: async (user, image) => owns(user, image.Event) || (await vehicleRole(user, image.Event.Vehicle)) === 'owner',
+  },
+  Like: {
+    load: (id) => Like.findOne({ where: { id: id } }),
+    read: anyone,
+    create: async (user, resource, data) => isSelf(user, data.userId) && seesEvent(user, data.eventId),
+    delete: (user, like) => owns(user, like) || isAdmin(user),
+  },
+};
+
+// anything not declared is forbidden
+const can = async (user, model, action, resource = null, data = {}) => {
+  const policy = policies[model];
+  const rule = policy && policy[action];
+  if (typeof rule !== 'function') return false;
+  return !!(await rule(user, resource, data));
+};
+
+module.exports = {
+  ROLES,
+  vehicleRole,
+  policies,
+  can,
+};
@@ -0,0 +1,45 @@
+// scopes a personal access token can be given, session logins can always do everything
+// write scopes imply read
+const SCOPES = [
+  'read',
+  'vehicles:write',
+  'events:write',
+  'images:write',
+  'comments:write',
+  'likes:write',
+];
+
+// the scope that lets a token change a model through authorize(), e.g. Event -> events:write
+const writeScopeFor = (model) => `${model.toLowerCase()}s:write`;
+
+// req.tokenScopes is only set when the request came in with a personal access token
+const hasScope = (req, scope) => {
+  if (!req.tokenScopes) return true;
+  if (scope === 'read') return req.tokenScopes.length > 0;
+  return req.tokenScopes.includes(scope);
+};
+
+function requireScope(scope) {
+  return function(req, res, next) {
+    if (!hasScope(req, scope)) {
+      return res.status(403).json({ errors: [{ msg: `Token is missing the ${scope} scope` }] });
+    }
+    next();
+  };
+}
+
+// account management (logging out, 2fa, tokens themselves) needs a real login
+function sessionOnly(req, res, next) {
+  if (req.tokenScopes) {
+    return res.status(403).json({ errors: [{ msg: 'This can not be done with an access token' }] });
+  }
+  next();
+}
+
+module.exports = {
+  SCOPES,
+  writeScopeFor,
+  hasScope,
+  requireScope,
+  sessionOnly,
+};
@@ -0,0 +1,40 @@
+// in process key/value store with expiry, the default backend for the login throttle
+// anything with the same async get/set/delete shape can replace it, e.g. a redis client wrapper:
+//   get(key)               -> the stored value or null once it has expired
+//   set(key, value, ttlMs) -> stores a json-serialisable value for ttlMs
+//   delete(key)
+// it only lives in one process, so a multi instance deploy should plug in a shared store
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const entries = new Map();
+
+  const isExpired = (entry) => entry.expiresAt <= Date.now();
+
+  // drop expired entries now and then so the map doesn't grow forever
+  const sweeper = setInterval(() => {
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) entries.delete(key);
+    }
+  }, sweepIntervalMs);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+  };
+}
+
+module.exports = createMemoryStore;
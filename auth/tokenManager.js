@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "1h";
+
+// random opaque token handed to the client, we only ever keep the hash of it
+function generateToken(bytes = 48) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// the access token carries the session id so verifyToken can check it hasn't been revoked
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+}
+
+// short lived proof that the password was right, exchanged for a session once the second factor checks out
+// it has no session id so verifyToken will never accept it as an access token
+function signChallengeToken(userId) {
+  return jwt.sign({ id: userId, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_TTL || "5m"
+  });
+}
+
+// resolves to the user id or null
+function verifyChallengeToken(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken
+};
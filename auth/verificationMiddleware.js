@@ -0,0 +1,34 @@
+const User = require('../models/user');
+
+// actions unverified users are blocked from, e.g. UNVERIFIED_RESTRICTIONS=publish,comment
+// set it to an empty string to let unverified users do everything
+const restrictions = (process.env.UNVERIFIED_RESTRICTIONS ?? 'publish,comment')
+  .split(',')
+  .map((action) => action.trim())
+  .filter(Boolean);
+
+// has to run after verifyToken, appliesTo lets a route only restrict some requests
+function requireVerified(action, appliesTo = () => true) {
+  return async function(req, res, next) {
+    if (!restrictions.includes(action) || !appliesTo(req)) return next();
+    try {
+      const user = await User.findOne({ where: { id: req.userId }, attributes: ['verified'] });
+      if (!user || !user.verified) {
+        return res.status(403).json({ errors: [{ msg: `Verify your email address before you can ${action}` }] });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// published arrives as a boolean in json or a string in forms
+function isPublishing(req) {
+  return ['true', '1'].includes(String(req.body.published));
+}
+
+module.exports = {
+  requireVerified,
+  isPublishing
+};
@@ -0,0 +1,30 @@
+const User = require('../models/user');
+const verifyToken = require('./authMiddleware');
+const { can, policies } = require('./policies');
+const { hasScope } = require('./scopes');
+
+// for public routes that show more to some people, checks the token when one is sent and carries on anonymously when not
+function optionalToken(req, res, next) {
+  if (!req.headers['authorization']) return next();
+  verifyToken(req, res, next);
+}
+
+// the same rules authorize enforces, but answering yes or no instead of failing the request
+async function viewerCan(req, model, action, resource) {
+  if (!req.userId || !resource || !hasScope(req, 'read')) return false;
+  const user = await User.findOne({ where: { id: req.userId }, attributes: ['id', 'role'] });
+  return !!user && can(user, model, action, resource);
+}
+
+// a draft is a 404 to anyone who can't see it, so drafts can't be found by guessing ids
+// the same goes for the images, comments and likes on it
+async function hidesDraft(req, event) {
+  if (!event || event.published) return false;
+  return !(await viewerCan(req, 'Event', 'readDraft', await policies.Event.load(event.id)));
+}
+
+module.exports = {
+  optionalToken,
+  viewerCan,
+  hidesDraft,
+};
@@ -0,0 +1,70 @@
+const { Op } = require("sequelize");
+const ApiToken = require("../models/apiToken");
+const { generateToken, hashToken } = require("../auth/tokenManager");
+
+// lets verifyToken tell an access token from a JWT at a glance
+const API_TOKEN_PREFIX = "rj_pat_";
+// writing lastUsedAt on every request would be a write per call for busy scripts
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const isApiToken = (token) => typeof token === "string" && token.startsWith(API_TOKEN_PREFIX);
+
+const getApiTokensByUser = async (userId) => {
+    const data = await ApiToken.findAll({
+        where: {userId: userId, revokedAt: null},
+        order: [["createdAt", "DESC"]]
+    });
+    return data;
+}
+
+// the raw token is only returned here, afterwards only the prefix is shown
+const createApiToken = async (userId, {name, scopes, expiresInDays}) => {
+    const token = API_TOKEN_PREFIX + generateToken(24);
+    const apiToken = await ApiToken.create({
+        userId: userId,
+        name: name,
+        scopes: [...new Set(scopes)],
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+    const data = apiToken.toJSON();
+    delete data.tokenHash;
+    return { ...data, token };
+}
+
+const revokeApiToken = async (userId, tokenId) => {
+    const response = await ApiToken.update({revokedAt: new Date()}, {
+        where: {id: tokenId, userId: userId, revokedAt: null}
+    });
+    if (response[0] === 0) {
+        return 404;
+    }
+    return response[0];
+}
+
+// resolves a raw token to its active ApiToken row, or null
+const authenticateApiToken = async (token) => {
+    const apiToken = await ApiToken.findOne({
+        where: {
+            tokenHash: hashToken(token),
+            revokedAt: null,
+            [Op.or]: [{expiresAt: null}, {expiresAt: {[Op.gt]: new Date()}}]
+        }
+    });
+    if (!apiToken) {
+        return null;
+    }
+    if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+        await apiToken.update({lastUsedAt: new Date()});
+    }
+    return apiToken;
+}
+
+module.exports = {
+    isApiToken,
+    getApiTokensByUser,
+    createApiToken,
+    revokeApiToken,
+    authenticateApiToken
+};
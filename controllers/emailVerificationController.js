@@ -0,0 +1,101 @@
+const { Op } = require("sequelize");
+const User = require("../models/user");
+const EmailVerification = require("../models/emailVerification");
+const { generateToken, hashToken } = require("../auth/tokenManager");
+const { sendMail } = require("../mail/mailer");
+const { emailVerificationMail } = require("../mail/templates");
+const { revokeAllSessions } = require("./sessionController");
+
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+// how long an account that never verified can sit on an email address before someone else may claim it
+const UNVERIFIED_ACCOUNT_TTL_DAYS = Number(process.env.UNVERIFIED_ACCOUNT_TTL_DAYS) || 7;
+
+const sendVerification = async (user, email) => {
+    // only the latest link should work
+    await EmailVerification.update({usedAt: new Date()}, {where: {userId: user.id, usedAt: null}});
+
+    const token = generateToken(32);
+    const emailVerification = await EmailVerification.create({
+        userId: user.id,
+        email: email,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    await sendMail({
+        to: email,
+        ...emailVerificationMail({name: user.name, token: token, expiresInHours: EMAIL_VERIFICATION_TTL_HOURS})
+    });
+    return emailVerification;
+}
+
+// sends a fresh link for whatever address is waiting on verification, the sign up email or a pending change
+const resendVerification = async (userId) => {
+    const user = await User.findOne({where: {id: userId}});
+    if (!user) {
+        return 404;
+    }
+    const pending = await EmailVerification.findOne({
+        where: {userId: userId},
+        order: [["createdAt", "DESC"], ["id", "DESC"]]
+    });
+    const email = pending && pending.email !== user.email ? pending.email : user.email;
+    if (user.verified && email === user.email) {
+        return 409;
+    }
+    await sendVerification(user, email);
+    return { email };
+}
+
+// an unverified account that was never confirmed doesn't get to hold on to an address forever
+const isEmailReleasable = (user) => {
+    const cutoff = new Date(Date.now() - UNVERIFIED_ACCOUNT_TTL_DAYS * 24 * 60 * 60 * 1000);
+    return !user.verified && user.createdAt < cutoff;
+}
+
+// the stale account is kept, it only loses the address and is signed out everywhere
+const releaseEmail = async (email) => {
+    const holder = await User.findOne({where: {email: email}});
+    if (holder && isEmailReleasable(holder)) {
+        await holder.update({email: null});
+        await revokeAllSessions(holder.id);
+    }
+}
+
+const confirmVerification = async (token) => {
+    const emailVerification = await EmailVerification.findOne({
+        where: {
+            tokenHash: hashToken(token),
+            usedAt: null,
+            expiresAt: {[Op.gt]: new Date()}
+        }
+    });
+    if (!emailVerification) {
+        return 400;
+    }
+
+    const user = await User.findOne({where: {id: emailVerification.userId}});
+    if (emailVerification.email !== user.email) {
+        // an email change or a sign up whose address was held, make sure nobody claimed it while it was pending
+        await releaseEmail(emailVerification.email);
+        const holder = await User.findOne({where: {email: emailVerification.email}});
+        if (holder) {
+            return 409;
+        }
+    }
+
+    const claimed = await EmailVerification.update({usedAt: new Date()}, {where: {id: emailVerification.id, usedAt: null}});
+    if (claimed[0] === 0) {
+        return 400;
+    }
+    await user.update({email: emailVerification.email, verified: true, verifiedAt: new Date()});
+    return user;
+}
+
+module.exports = {
+    sendVerification,
+    resendVerification,
+    isEmailReleasable,
+    releaseEmail,
+    confirmVerification
+};
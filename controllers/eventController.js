@@ -1,8 +1,39 @@
+const { Op } = require("sequelize");
 const Event = require("../models/event");
+const EventCost = require("../models/eventCost");
+const ServiceRecord = require("../models/serviceRecord");
 const Vehicle = require("../models/vehicle");
+const User = require("../models/user");
+const Comment = require("../models/comment");
+const Image = require("../models/image");
+const Like = require("../models/like");
+const { applyMaintenanceEvent } = require("./maintenanceController");
+const { setEventCosts } = require("./expenseController");
+const { collectImageFiles, removeImageFiles } = require("./imageController");
+const { visibleWhere } = require("../utils/drafts");
 
+// published comes in as a boolean from json or a string from forms
+const isTrue = (value) => ["true", "1"].includes(String(value));
+
+// publishing stamps publishedAt, going back to a draft clears it along with any schedule
+// saving a draft as a draft keeps its schedule
+const publishFields = (published, current) => {
+    if (!isTrue(published)) {
+        if (current && !current.published) {
+            return {published: false};
+        }
+        return {published: false, publishedAt: null, publishAt: null};
+    }
+    if (current && current.published) {
+        return {published: true};
+    }
+    return {published: true, publishedAt: new Date(), publishAt: null};
+}
+
+// the public feed only ever has published events
 const getEvents = async ({limit = 10, offset = 0}) => {
     const data = await Event.findAll({
+        where: visibleWhere(),
         order: [["CreatedAt", "DESC"]],
         limit: limit,
         offset: offset
@@ -11,54 +42,106 @@ const getEvents = async ({limit = 10, offset = 0}) => {
 }
 
 const getEvent = async (id) => {
-    const data = await Event.findOne({where: {id: id}});
+    const data = await Event.findOne({where: {id: id}, include: [
+        {model: EventCost, as: "costs"},
+        {model: ServiceRecord, as: "serviceRecord", attributes: ["id", "shopId", "shopName", "reviewedAt"]}
+    ]});
     return data;
 }
 
+// the event's public associations, private records like service invoices stay out
 const getEventIncludeAll = async (id) => {
-    const data = await Event.findOne({ where: { id: id }, include: { all: true }});
+    const data = await Event.findOne({ where: { id: id }, include: [
+        {model: Vehicle},
+        {model: User},
+        {model: Comment},
+        {model: Image},
+        {model: Image, as: "coverImage"},
+        {model: Like},
+        {model: EventCost, as: "costs"}
+    ], order: [[Image, "sortOrder", "ASC"], [Image, "id", "ASC"]]});
     return data;
 }
 
-const getEventsByVehicle = async (id) => {
-    const data = await Event.findAll({where: {vehicleId: id}});
+const getEventLocation = async (id) => {
+    const data = await Event.unscoped().findOne({where: {id: id}, attributes: ["id", "latitude", "longitude"]});
+    return data;
+}
+
+const getEventsByVehicle = async (id, viewer) => {
+    const data = await Event.findAll({where: {vehicleId: id, ...visibleWhere(viewer)}});
     return data;
 }
 
 const getEventsByType = async (type) => {
-    const data = await Event.findAll({where: {type: type}});
+    const data = await Event.findAll({where: {type: type, ...visibleWhere()}});
     return data;
 }
 
-const createEvent = async (data, tokenUserId) => {
-    const { vehicleId, ...eventData } = data;
-    const vehicleOwnerData = await Vehicle.findOne({where: {id: vehicleId}});
-    if (Number(vehicleOwnerData.userId) !== tokenUserId) {
-        return 401;
+const createEvent = async (data) => {
+    // only approving a service record makes an event shop verified
+    // there are no images to pick a cover from yet
+    const { maintenanceScheduleIds, costs, shopVerified, publishedAt, publishAt, coverImageId, ...eventData } = data;
+    const event = await Event.create({...eventData, ...publishFields(eventData.published)});
+    if (costs) {
+        await setEventCosts(event.id, costs);
     }
-    const event = await Event.create(data);
-    return event;
+    // a logged service resets the maintenance schedules it covers
+    await applyMaintenanceEvent(event, maintenanceScheduleIds);
+    return await getEvent(event.id);
 }
 
-const updateEvent = async (id, data, tokenUserId) => {
-    const eventData = await Event.findOne({where: {id: id}});
-    const vehicleId = eventData.vehicleId;
-    const vehicleOwnerData = await Vehicle.findOne({where: {id: vehicleId}});
-    if (Number(vehicleOwnerData.userId) !== tokenUserId) {
-        return 401;
+const updateEvent = async (id, data) => {
+    const { costs, shopVerified, publishedAt, publishAt, ...eventData } = data;
+    // the cover has to be one of the event's own images
+    if (eventData.coverImageId) {
+        const cover = await Image.findOne({where: {id: eventData.coverImageId, eventId: id}});
+        if (!cover) {
+            return 400;
+        }
+    }
+    if (eventData.published !== undefined) {
+        const current = await Event.findOne({where: {id: id}, attributes: ["published"]});
+        Object.assign(eventData, publishFields(eventData.published, current));
+    }
+    const event = await Event.update(eventData, {where: {id: id}});
+    // sending costs replaces all of the event's cost lines
+    if (costs) {
+        await setEventCosts(id, costs);
     }
-    const event = await Event.update(data, {where: {id: id}});
     return event;
 }
 
-const deleteEvent = async (id, tokenUserId) => {
-    const eventData = await Event.findOne({where: {id: id}});
-    const vehicleId = eventData.vehicleId;
-    const vehicleOwnerData = await Vehicle.findOne({where: {id: vehicleId}});
-    if (Number(vehicleOwnerData.userId) !== tokenUserId) {
-        return 401;
+// publishes now, or schedules it for publishAt
+const publishEvent = async (id, {publishAt}) => {
+    const event = await Event.findOne({where: {id: id}});
+    if (publishAt) {
+        await event.update({published: false, publishedAt: null, publishAt: new Date(publishAt)});
+    } else {
+        await event.update(publishFields(true, event));
     }
+    return event;
+}
+
+const unpublishEvent = async (id) => {
+    const event = await Event.findOne({where: {id: id}});
+    await event.update({published: false, publishedAt: null, publishAt: null});
+    return event;
+}
+
+// makes scheduled drafts public once their time comes, one update so two workers can't publish twice
+const publishScheduledEvents = async (now = new Date()) => {
+    const [count] = await Event.update(
+        {published: true, publishedAt: now, publishAt: null},
+        {where: {published: false, publishAt: {[Op.lte]: now}}}
+    );
+    return count;
+}
+
+const deleteEvent = async (id) => {
+    const files = await collectImageFiles({id: id});
     const event = await Event.destroy({where: {id: id}});
+    await removeImageFiles(files);
     return event;
 }
 
@@ -66,9 +149,13 @@ module.exports = {
     getEvents,
     getEvent,
     getEventIncludeAll,
+    getEventLocation,
     getEventsByVehicle,
     getEventsByType,
     createEvent,
     updateEvent,
+    publishEvent,
+    unpublishEvent,
+    publishScheduledEvents,
     deleteEvent
 };
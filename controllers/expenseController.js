@@ -0,0 +1,30 @@
+const Event = require("../models/event");
+const EventCost = require("../models/eventCost");
+const { getOdometerHistory } = require("./odometerController");
+const { buildExpenseReport } = require("../utils/expenses");
+
+// swaps the event's cost lines for the new list
+const setEventCosts = async (eventId, costs) => {
+    await EventCost.destroy({where: {eventId: eventId}});
+    const data = await EventCost.bulkCreate(costs.map(({id, ...cost}) => ({...cost, eventId: eventId})));
+    return data;
+}
+
+const getExpenses = async (vehicleId) => {
+    // null when the vehicle doesn't exist, only the people sharing the vehicle see expenses so drafts count
+    const odometerHistory = await getOdometerHistory(vehicleId, {drafts: true});
+    if (!odometerHistory) {
+        return null;
+    }
+    const events = await Event.findAll({
+        where: {vehicleId: vehicleId},
+        include: {model: EventCost, as: "costs"},
+        order: [["date", "ASC"], ["id", "ASC"]]
+    });
+    return buildExpenseReport(events, odometerHistory);
+}
+
+module.exports = {
+    setEventCosts,
+    getExpenses
+};
@@ -0,0 +1,56 @@
+const FuelLog = require("../models/fuelLog");
+const Vehicle = require("../models/vehicle");
+const { buildFuelStats } = require("../utils/fuel");
+
+const getFuelLogsByVehicle = async (vehicleId, {limit = 50, offset = 0}) => {
+    const data = await FuelLog.findAll({
+        where: {vehicleId: vehicleId},
+        offset: offset,
+        limit: limit,
+        order: [["date", "DESC"], ["odometer", "DESC"]]
+    });
+    return data;
+}
+
+const createFuelLog = async (vehicleId, data) => {
+    const fuelLog = await FuelLog.create({...data, vehicleId: vehicleId});
+    return fuelLog;
+}
+
+const updateFuelLog = async (vehicleId, fuelLogId, data) => {
+    const fuelLog = await FuelLog.findOne({where: {id: fuelLogId, vehicleId: vehicleId}});
+    if (!fuelLog) {
+        return 404;
+    }
+    const { vehicleId: ignored, ...fuelLogData } = data;
+    await fuelLog.update(fuelLogData);
+    return fuelLog;
+}
+
+const deleteFuelLog = async (vehicleId, fuelLogId) => {
+    const fuelLog = await FuelLog.destroy({where: {id: fuelLogId, vehicleId: vehicleId}});
+    if (fuelLog === 0) {
+        return 404;
+    }
+    return fuelLog;
+}
+
+const getFuelStats = async (vehicleId, {units}) => {
+    const vehicle = await Vehicle.findOne({where: {id: vehicleId}});
+    if (!vehicle) {
+        return null;
+    }
+    const logs = await FuelLog.findAll({
+        where: {vehicleId: vehicleId},
+        order: [["date", "ASC"], ["odometer", "ASC"], ["id", "ASC"]]
+    });
+    return buildFuelStats(logs, {units: units, meter: vehicle.meter});
+}
+
+module.exports = {
+    getFuelLogsByVehicle,
+    createFuelLog,
+    updateFuelLog,
+    deleteFuelLog,
+    getFuelStats
+};
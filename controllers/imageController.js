@@ -1,10 +1,28 @@
+const { Op } = require("sequelize");
 const Image = require("../models/image");
+const ImageUpload = require("../models/imageUpload");
 const Event = require("../models/event");
 const Vehicle = require("../models/vehicle");
-const { saveImage } = require("../utils/uploadManager");
+const { saveImage, deleteStoredImage, deleteStoredFile } = require("../utils/uploadManager");
+const { readCaptureMetadata } = require("../utils/exif");
+const { visibleWhere } = require("../utils/drafts");
+const { findOdometerConflict } = require("./odometerController");
 
+const IMAGE_QUOTA_BYTES = parseInt(process.env.IMAGE_QUOTA_BYTES, 10) || 1024 * 1024 * 1024;
+
+const isTrue = (value) => ["true", "1"].includes(String(value));
+
+// stored images count at their stored size, unfinished uploads at the size they'll be
+const getQuota = async (userId) => {
+    const stored = await Image.sum("bytes", {where: {userId: userId}}) || 0;
+    const pending = await ImageUpload.sum("size", {where: {userId: userId, expiresAt: {[Op.gt]: new Date()}}}) || 0;
+    const used = stored + pending;
+    return {used: used, limit: IMAGE_QUOTA_BYTES, remaining: Math.max(IMAGE_QUOTA_BYTES - used, 0)};
+}
+
+// only the images on published events, like the event list
 const getImages = async () => {
-    const data = await Image.findAll({});
+    const data = await Image.findAll({include: {model: Event, where: visibleWhere(), attributes: []}});
     return data;
 }
 
@@ -14,29 +32,182 @@ const getImage = async (id) => {
 }
 
 const getImagesByEvent = async (id) => {
-    const data = await Image.findAll({where: {eventId: id}});
+    const data = await Image.findAll({where: {eventId: id}, order: [["sortOrder", "ASC"], ["id", "ASC"]]});
     return data;
 }
 
-const createImage = async (data, tokenUserId) => {
-    // ther tokenuser must own the parent vehicle of the parent event of the image
-    const eventData = await Event.findOne({where: {id: data.eventId}});
-    const vehicleId = eventData.vehicleId;
-    const vehicleOwnerData = await Vehicle.findOne({where: {id: vehicleId}});
-    if (Number(vehicleOwnerData.userId) !== tokenUserId) {
-        return 401;
+// an event without a location takes the first one its photos give it
+const geotagEvent = async ({eventId, latitude, longitude}) => {
+    if (latitude === null || longitude === null) {
+        return;
+    }
+    await Event.update({latitude: latitude, longitude: longitude}, {where: {id: eventId, latitude: null}});
+}
+
+// only when the uploader asks for it with useCaptureDate, the event keeps its date if its reading wouldn't fit the new one
+const dateEvent = async ({eventId, takenAt}) => {
+    if (!takenAt) {
+        return;
+    }
+    const event = await Event.findOne({where: {id: eventId}});
+    const date = takenAt.toISOString().slice(0, 10);
+    if (!event || event.date === date) {
+        return;
+    }
+    if (event.odometer !== null && !event.odometerFlagged) {
+        const conflict = await findOdometerConflict(event.vehicleId, {date: date, odometer: event.odometer, odometerReset: event.odometerReset}, event.id);
+        if (conflict) {
+            return;
+        }
+    }
+    await event.update({date: date});
+}
+
+// 403 once the file would take the uploader over their quota
+const createImage = async (data, userId) => {
+    const { image: file, variants, bytes, sortOrder, extractMetadata, useCaptureDate, takenAt, latitude, longitude, orientation, ...imageData } = data;
+    if (!file) {
+        return 400;
+    }
+    const quota = await getQuota(userId);
+    if (quota.remaining === 0) {
+        return 403;
     }
-    let imageData = {...data};
     // if there is an image in the data to handle
-    imageData.image = await saveImage(data.image, "event");
+    const saved = await saveImage(file, "event");
+    // what's charged is every stored size together, which is only known once they've been made
+    if (saved.bytes > quota.remaining) {
+        await deleteStoredImage(saved.image, saved.variants);
+        return 403;
+    }
+    imageData.image = saved.image;
+    imageData.variants = saved.variants;
+    imageData.bytes = saved.bytes;
+    imageData.userId = userId;
+    // the exif is only read when asked for, it has to come from the original as the saved sizes no longer have it
+    const metadata = isTrue(extractMetadata) || isTrue(useCaptureDate) ? await readCaptureMetadata(file.buffer) : null;
+    if (isTrue(extractMetadata)) {
+        Object.assign(imageData, metadata);
+        await geotagEvent(imageData);
+    }
+    if (isTrue(useCaptureDate)) {
+        await dateEvent({eventId: imageData.eventId, takenAt: metadata.takenAt});
+    }
+
+    // new photos go to the end of the gallery
+    const last = await Image.max("sortOrder", {where: {eventId: imageData.eventId}});
+    imageData.sortOrder = Number.isFinite(last) ? last + 1 : 0;
 
     const image = await Image.create(imageData);
     return image;
 }
 
+const updateImage = async (id, data) => {
+    const image = await Image.findOne({where: {id: id}});
+    if (!image) {
+        return 404;
+    }
+    const imageData = {};
+    for (const field of ["caption", "alt", "sortOrder"]) {
+        if (data[field] !== undefined) {
+            imageData[field] = data[field];
+        }
+    }
+    await image.update(imageData);
+    return image;
+}
+
+// 400 unless order lists every one of the event's images exactly once
+const reorderImages = async (eventId, order) => {
+    const images = await Image.findAll({where: {eventId: eventId}, attributes: ["id"]});
+    const ids = order.map(Number);
+    if (ids.length !== images.length || new Set(ids).size !== ids.length || !images.every((image) => ids.includes(image.id))) {
+        return 400;
+    }
+    for (const [index, id] of ids.entries()) {
+        await Image.update({sortOrder: index}, {where: {id: id, eventId: eventId}});
+    }
+    return await getImagesByEvent(eventId);
+}
+
+// covers only point at images by id, so they're cleared here rather than by the database
+const clearCovers = async (imageIds) => {
+    await Event.update({coverImageId: null}, {where: {coverImageId: imageIds}});
+    await Vehicle.update({coverImageId: null}, {where: {coverImageId: imageIds}});
+}
+
+const deleteImage = async (id) => {
+    const image = await Image.findOne({where: {id: id}});
+    if (!image) {
+        return 404;
+    }
+    await clearCovers([image.id]);
+    await image.destroy();
+    await deleteStoredImage(image.image, image.variants);
+    return 1;
+}
+
+const removeUploadParts = async (uploads) => {
+    for (const upload of uploads) {
+        for (const key of upload.parts) {
+            await deleteStoredFile("uploads", key);
+        }
+    }
+}
+
+// removes upload sessions, then the chunks they've stored so far
+const deletePendingUploads = async (where) => {
+    const uploads = await ImageUpload.findAll({where: where, attributes: ["id", "parts"]});
+    if (uploads.length === 0) {
+        return;
+    }
+    await ImageUpload.destroy({where: {id: uploads.map((upload) => upload.id)}});
+    await removeUploadParts(uploads);
+}
+
+// event images and uploads cascade away with their event, so what they've stored is collected first
+// and the covers pointing at them are cleared, pass the result to removeImageFiles once the events are gone
+// vehicleWhere narrows it to the events of matching vehicles
+const collectImageFiles = async (eventWhere, vehicleWhere) => {
+    const include = {
+        model: Event,
+        where: eventWhere,
+        attributes: [],
+        include: vehicleWhere ? {model: Vehicle, where: vehicleWhere, attributes: []} : []
+    };
+    const images = await Image.findAll({attributes: ["id", "image", "variants"], include: include});
+    const uploads = await ImageUpload.findAll({attributes: ["parts"], include: include});
+    if (images.length > 0) {
+        await clearCovers(images.map((image) => image.id));
+    }
+    return {images: images, uploads: uploads};
+}
+
+const removeImageFiles = async ({images, uploads}) => {
+    for (const image of images) {
+        await deleteStoredImage(image.image, image.variants);
+    }
+    await removeUploadParts(uploads);
+}
+
+// the private capture details, which the default scope leaves out everywhere else
+const getImageMetadata = async (id) => {
+    const data = await Image.unscoped().findOne({where: {id: id}, attributes: ["id", "eventId", "takenAt", "latitude", "longitude", "orientation"]});
+    return data;
+}
+
 module.exports = {
+    getQuota,
     getImages,
     getImage,
     getImagesByEvent,
-    createImage
+    createImage,
+    getImageMetadata,
+    updateImage,
+    reorderImages,
+    deleteImage,
+    deletePendingUploads,
+    removeUploadParts,
+    collectImageFiles,
+    removeImageFiles
 };
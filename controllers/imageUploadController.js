@@ -0,0 +1,135 @@
+const { Op } = require("sequelize");
+const { v4: uuidv4 } = require("uuid");
+const ImageUpload = require("../models/imageUpload");
+const { getStorage } = require("../storage");
+const { isReadableImage } = require("../utils/imageVariants");
+const { getQuota, createImage, deletePendingUploads } = require("./imageController");
+
+const IMAGE_MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES, 10) || 20 * 1024 * 1024;
+const UPLOAD_TTL_HOURS = Number(process.env.UPLOAD_TTL_HOURS) || 24;
+
+const expiresAt = () => new Date(Date.now() + UPLOAD_TTL_HOURS * 60 * 60 * 1000);
+
+// what the client needs to carry on, the storage keys of the chunks stay on the server
+const uploadStatus = (upload) => ({
+    id: upload.id,
+    eventId: upload.eventId,
+    filename: upload.filename,
+    mimeType: upload.mimeType,
+    size: upload.size,
+    received: upload.received,
+    expiresAt: upload.expiresAt
+});
+
+const readPart = async (key) => {
+    const stream = await getStorage("uploads").get(key);
+    if (!stream) {
+        throw new Error(`Missing chunk of a resumable upload (${key})`);
+    }
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// 413 over the size limit, 403 once the whole file wouldn't fit in the quota
+const startUpload = async (userId, data) => {
+    const {eventId, filename, mimeType, size, caption, alt, extractMetadata, useCaptureDate} = data;
+    if (size > IMAGE_MAX_BYTES) {
+        return 413;
+    }
+    // abandoned uploads are cleared out whenever a new one starts
+    await deletePendingUploads({expiresAt: {[Op.lte]: new Date()}});
+    const quota = await getQuota(userId);
+    if (size > quota.remaining) {
+        return 403;
+    }
+    const upload = await ImageUpload.create({
+        userId: userId,
+        eventId: eventId,
+        filename: filename,
+        mimeType: mimeType,
+        size: size,
+        caption: caption,
+        alt: alt,
+        extractMetadata: ["true", "1"].includes(String(extractMetadata)),
+        useCaptureDate: ["true", "1"].includes(String(useCaptureDate)),
+        expiresAt: expiresAt()
+    });
+    return uploadStatus(upload);
+}
+
+// only the user who started an upload can see or carry on with it
+const getUpload = async (id, userId) => {
+    const data = await ImageUpload.findOne({where: {id: id, userId: userId, expiresAt: {[Op.gt]: new Date()}}});
+    return data;
+}
+
+// the last chunk turns the upload into an image, the session is gone after that whatever happens
+// 422 when the file isn't an image after all, 403 when other uploads have used up the quota in the meantime
+const completeUpload = async (upload) => {
+    const buffers = [];
+    for (const key of upload.parts) {
+        buffers.push(await readPart(key));
+    }
+    const buffer = Buffer.concat(buffers);
+    await deletePendingUploads({id: upload.id});
+    if (!(await isReadableImage(buffer))) {
+        return 422;
+    }
+    const image = await createImage({
+        eventId: upload.eventId,
+        caption: upload.caption,
+        alt: upload.alt,
+        extractMetadata: upload.extractMetadata,
+        useCaptureDate: upload.useCaptureDate,
+        image: {buffer: buffer, mimetype: upload.mimeType, originalname: upload.filename, size: buffer.length}
+    }, upload.userId);
+    return image;
+}
+
+// 409 unless the chunk starts where the last one ended, 400 when it runs past the declared size
+// a chunk that was stored but never acknowledged is simply sent again from the same offset
+const appendChunk = async (upload, offset, buffer) => {
+    if (offset !== upload.received) {
+        return 409;
+    }
+    if (offset + buffer.length > upload.size) {
+        return 400;
+    }
+    const shortUuid = uuidv4().split("-")[0];
+    const key = `upload-${upload.id}-${offset}-${shortUuid}`;
+    await getStorage("uploads").put(key, buffer, "application/octet-stream");
+    // two copies of the same chunk can arrive at once on a bad connection, only the first one to get here counts
+    const [updated] = await ImageUpload.update(
+        {received: offset + buffer.length, parts: [...upload.parts, key], expiresAt: expiresAt()},
+        {where: {id: upload.id, received: offset}}
+    );
+    if (updated === 0) {
+        await getStorage("uploads").delete(key);
+        return 409;
+    }
+    await upload.reload();
+    if (upload.received < upload.size) {
+        return {upload: uploadStatus(upload), completed: false};
+    }
+    const image = await completeUpload(upload);
+    if (typeof image === "number") {
+        return image;
+    }
+    return {upload: uploadStatus(upload), completed: true, image: image};
+}
+
+const cancelUpload = async (upload) => {
+    await deletePendingUploads({id: upload.id});
+    return 1;
+}
+
+module.exports = {
+    uploadStatus,
+    startUpload,
+    getUpload,
+    appendChunk,
+    cancelUpload
+};
@@ -1,7 +1,12 @@
 const Like = require("../models/like");
+const Event = require("../models/event");
+const { visibleWhere } = require("../utils/drafts");
+
+// the lists only have the likes on published events, like the event list
+const onVisibleEvents = {model: Event, where: visibleWhere(), attributes: []};
 
 const getLikes = async () => {
-    const data = await Like.findAll({});
+    const data = await Like.findAll({include: onVisibleEvents});
     return data;
 }
 
@@ -16,28 +21,21 @@ const getLikesByEvent = async (id) => {
 }
 
 const getLikesByUser = async (id) => {
-    const data = await Like.findAll({where: {userId: id}});
+    const data = await Like.findAll({where: {userId: id}, include: onVisibleEvents});
     return data;
 }
 
-const createLike = async (data, tokenUserId) => {
+const createLike = async (data) => {
     // cant create a like if the user has already liked
     const likeData = await Like.findOne({where: {userId: data.userId, eventId: data.eventId}});
     if (likeData) {
         return 409;
     }
-    if (Number(data.userId) !== tokenUserId) {
-        return 401;
-    }
     const like = await Like.create(data);
     return like;
 }
 
-const deleteLike = async (id, tokenUserId) => {
-    const data = await Like.findOne({where: {id: id}});
-    if (Number(data.userId) !== tokenUserId) {
-        return 401;
-    }
+const deleteLike = async (id) => {
     const like = await Like.destroy({where: {id: id}});
     return like;
 }
@@ -0,0 +1,115 @@
+const MaintenanceSchedule = require("../models/maintenanceSchedule");
+const Event = require("../models/event");
+const { getOdometerHistory } = require("./odometerController");
+const { computeDue, matchesSchedule } = require("../utils/maintenance");
+
+const getSchedulesByVehicle = async (vehicleId) => {
+    const data = await MaintenanceSchedule.findAll({where: {vehicleId: vehicleId}, order: [["task", "ASC"]]});
+    return data;
+}
+
+// lastDoneEventId fills in the date and odometer from that event
+const resolveLastDone = async (vehicleId, data) => {
+    const { lastDoneEventId, ...scheduleData } = data;
+    if (lastDoneEventId) {
+        const event = await Event.findOne({where: {id: lastDoneEventId, vehicleId: vehicleId}});
+        if (!event) {
+            return 400;
+        }
+        scheduleData.lastDoneEventId = event.id;
+        scheduleData.lastDoneDate = event.date;
+        scheduleData.lastDoneOdometer = event.odometer;
+        scheduleData.lastDoneOdometerValue = event.odometerValue;
+        scheduleData.lastDoneOdometerUnit = event.odometerUnit;
+    } else if (lastDoneEventId === null) {
+        scheduleData.lastDoneEventId = null;
+    }
+    return scheduleData;
+}
+
+const createSchedule = async (vehicleId, data) => {
+    const scheduleData = await resolveLastDone(vehicleId, data);
+    if (scheduleData === 400) {
+        return 400;
+    }
+    const schedule = await MaintenanceSchedule.create({...scheduleData, vehicleId: vehicleId});
+    return schedule;
+}
+
+const updateSchedule = async (vehicleId, scheduleId, data) => {
+    const schedule = await MaintenanceSchedule.findOne({where: {id: scheduleId, vehicleId: vehicleId}});
+    if (!schedule) {
+        return 404;
+    }
+    const { vehicleId: ignored, ...rest } = data;
+    const scheduleData = await resolveLastDone(vehicleId, rest);
+    if (scheduleData === 400) {
+        return 400;
+    }
+    await schedule.update(scheduleData);
+    return schedule;
+}
+
+const deleteSchedule = async (vehicleId, scheduleId) => {
+    const schedule = await MaintenanceSchedule.destroy({where: {id: scheduleId, vehicleId: vehicleId}});
+    if (schedule === 0) {
+        return 404;
+    }
+    return schedule;
+}
+
+// called when a maintenance event is logged, resets the schedules it covers
+// scheduleIds picks them explicitly, otherwise they're matched on the task name and keywords
+const applyMaintenanceEvent = async (event, scheduleIds) => {
+    if (event.type !== "maintenance") {
+        return [];
+    }
+    const schedules = await MaintenanceSchedule.findAll({where: {vehicleId: event.vehicleId}});
+    const covered = schedules.filter((schedule) => {
+        if (Array.isArray(scheduleIds) && scheduleIds.length > 0) {
+            return scheduleIds.map(Number).includes(schedule.id);
+        }
+        return matchesSchedule(schedule, event);
+    });
+
+    const updated = [];
+    for (const schedule of covered) {
+        // logging an old service after the fact shouldn't wind a schedule back
+        if (schedule.lastDoneDate && schedule.lastDoneDate > event.date) {
+            continue;
+        }
+        await schedule.update({
+            lastDoneEventId: event.id,
+            lastDoneDate: event.date,
+            lastDoneOdometer: event.odometer,
+            lastDoneOdometerValue: event.odometerValue,
+            lastDoneOdometerUnit: event.odometerUnit
+        });
+        updated.push(schedule);
+    }
+    return updated;
+}
+
+const getDueMaintenance = async (vehicleId, {withinDistance, withinDays}) => {
+    // only the people sharing the vehicle see its maintenance, so readings from drafts count
+    const odometerHistory = await getOdometerHistory(vehicleId, {drafts: true});
+    if (!odometerHistory) {
+        return null;
+    }
+    const schedules = await getSchedulesByVehicle(vehicleId);
+    const items = schedules.map((schedule) => computeDue(schedule, {odometerHistory, withinDistance, withinDays}));
+    return {
+        asOf: odometerHistory.latest,
+        overdue: items.filter((item) => item.status === "overdue"),
+        upcoming: items.filter((item) => item.status === "upcoming"),
+    };
+}
+
+module.exports = {
+    getSchedulesByVehicle,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    applyMaintenanceEvent,
+    getDueMaintenance
+};
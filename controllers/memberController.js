@@ -0,0 +1,156 @@
+const { Op } = require("sequelize");
+const Vehicle = require("../models/vehicle");
+const User = require("../models/user");
+const VehicleMember = require("../models/vehicleMember");
+const { sendMail } = require("../mail/mailer");
+const { vehicleInvitationMail } = require("../mail/templates");
+
+const MEMBER_INVITE_TTL_DAYS = Number(process.env.MEMBER_INVITE_TTL_DAYS) || 14;
+
+const vehicleLabel = (vehicle) => vehicle.name || `${vehicle.year} ${vehicle.make} ${vehicle.model}`;
+const userAttributes = ["id", "name", "image", "imageVariants"];
+const vehicleAttributes = ["id", "name", "make", "model", "year", "image", "imageVariants"];
+
+// accepted members, and invitations that can still be accepted
+const isCurrent = () => ({
+    [Op.or]: [
+        {status: "active"},
+        {status: "pending", expiresAt: {[Op.gt]: new Date()}}
+    ]
+});
+
+const getMembers = async (vehicleId) => {
+    const vehicle = await Vehicle.findOne({where: {id: vehicleId}, include: {model: User, attributes: userAttributes}});
+    const members = await VehicleMember.findAll({
+        where: {vehicleId: vehicleId, ...isCurrent()},
+        include: {model: User, attributes: userAttributes},
+        order: [["status", "ASC"], ["createdAt", "ASC"]]
+    });
+    return {owner: vehicle.User, members: members};
+}
+
+// 400 inviting the owner, 409 when they are already a member or have an invitation waiting
+const inviteMember = async (vehicleId, userId, {email, role}) => {
+    const vehicle = await Vehicle.findOne({where: {id: vehicleId}, include: {model: User, attributes: ["id", "email"]}});
+    const inviter = await User.findOne({where: {id: userId}});
+    const address = email.trim().toLowerCase();
+    if (vehicle.User.email.toLowerCase() === address) {
+        return 400;
+    }
+    const existing = await VehicleMember.findOne({where: {vehicleId: vehicleId, email: address, ...isCurrent()}});
+    if (existing) {
+        return 409;
+    }
+    const member = await VehicleMember.create({
+        vehicleId: vehicleId,
+        email: address,
+        role: role,
+        invitedBy: userId,
+        expiresAt: new Date(Date.now() + MEMBER_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    await sendMail({
+        to: address,
+        ...vehicleInvitationMail({fromName: inviter.name, vehicle: vehicleLabel(vehicle), role: role, memberId: member.id, expiresInDays: MEMBER_INVITE_TTL_DAYS})
+    });
+    return member;
+}
+
+const updateMember = async (vehicleId, memberId, role) => {
+    const member = await VehicleMember.findOne({where: {id: memberId, vehicleId: vehicleId, ...isCurrent()}});
+    if (!member) {
+        return 404;
+    }
+    await member.update({role: role});
+    return member;
+}
+
+// removes a member, or takes back an invitation before it's accepted
+const removeMember = async (vehicleId, memberId) => {
+    const member = await VehicleMember.findOne({where: {id: memberId, vehicleId: vehicleId}});
+    if (!member) {
+        return 404;
+    }
+    await member.destroy();
+    return member;
+}
+
+// vehicles the user shares with someone else, and open invitations sent to their email
+const getMembershipsForUser = async (userId) => {
+    const user = await User.findOne({where: {id: userId}, attributes: ["id", "email"]});
+    const include = {model: Vehicle, attributes: vehicleAttributes};
+    const vehicles = await VehicleMember.findAll({where: {userId: userId, status: "active"}, include: include, order: [["acceptedAt", "DESC"]]});
+    const invitations = await VehicleMember.findAll({
+        where: {email: user.email.toLowerCase(), status: "pending", expiresAt: {[Op.gt]: new Date()}},
+        include: [include, {model: User, as: "inviter", attributes: userAttributes}],
+        order: [["createdAt", "DESC"]]
+    });
+    return {invitations: invitations, vehicles: vehicles};
+}
+
+// the invitee's invitation, 404 when it isn't theirs so other people's invitations can't be probed
+const findInvitation = async (memberId, userId) => {
+    const user = await User.findOne({where: {id: userId}});
+    const member = await VehicleMember.findOne({where: {id: memberId, status: "pending"}});
+    if (!user || !member || member.email !== user.email.toLowerCase()) {
+        return {};
+    }
+    return {user, member};
+}
+
+// 403 until the email is verified, 404 not theirs, 409 expired or they own the vehicle by now
+// 400 when shop access is offered to an account that isn't a business
+const acceptInvitation = async (memberId, userId) => {
+    const {user, member} = await findInvitation(memberId, userId);
+    if (!member) {
+        return 404;
+    }
+    if (!user.verified) {
+        return 403;
+    }
+    if (member.role === "shop" && user.accountType !== "business") {
+        return 400;
+    }
+    const vehicle = await Vehicle.findOne({where: {id: member.vehicleId}});
+    if (member.expiresAt <= new Date() || vehicle.userId === user.id) {
+        return 409;
+    }
+    // a second invitation to the same vehicle replaces the old membership
+    await VehicleMember.destroy({where: {vehicleId: member.vehicleId, userId: user.id, id: {[Op.ne]: member.id}}});
+    await member.update({userId: user.id, status: "active", acceptedAt: new Date(), expiresAt: null});
+    return member;
+}
+
+const declineInvitation = async (memberId, userId) => {
+    const {member} = await findInvitation(memberId, userId);
+    if (!member) {
+        return 404;
+    }
+    await member.destroy();
+    return member;
+}
+
+const leaveVehicle = async (memberId, userId) => {
+    const member = await VehicleMember.findOne({where: {id: memberId, userId: userId, status: "active"}});
+    if (!member) {
+        return 404;
+    }
+    await member.destroy();
+    return member;
+}
+
+// a new owner starts with nobody else on the vehicle
+const clearMembers = async (vehicleId) => {
+    await VehicleMember.destroy({where: {vehicleId: vehicleId}});
+}
+
+module.exports = {
+    getMembers,
+    inviteMember,
+    updateMember,
+    removeMember,
+    getMembershipsForUser,
+    acceptInvitation,
+    declineInvitation,
+    leaveVehicle,
+    clearMembers
+};
@@ -0,0 +1,58 @@
+const { Op } = require("sequelize");
+const Event = require("../models/event");
+const Vehicle = require("../models/vehicle");
+const { buildOdometerSeries } = require("../utils/odometer");
+const { visibleWhere } = require("../utils/drafts");
+
+const readingsWhere = (vehicleId, excludeEventId) => {
+    const where = {
+        vehicleId: vehicleId,
+        odometer: {[Op.ne]: null},
+        odometerFlagged: false
+    };
+    if (excludeEventId) {
+        where.id = {[Op.ne]: excludeEventId};
+    }
+    return where;
+}
+
+// checks a reading against the closest earlier and later dated readings for the vehicle
+// returns null when it fits, otherwise a message saying which reading it clashes with
+const findOdometerConflict = async (vehicleId, {date, odometer, odometerReset}, excludeEventId) => {
+    const where = readingsWhere(vehicleId, excludeEventId);
+    const before = await Event.findOne({
+        where: {...where, date: {[Op.lt]: date}},
+        order: [["date", "DESC"], ["id", "DESC"]]
+    });
+    const after = await Event.findOne({
+        where: {...where, date: {[Op.gt]: date}},
+        order: [["date", "ASC"], ["id", "ASC"]]
+    });
+
+    // a replaced or rolled over odometer is allowed to read lower than before
+    if (before && !odometerReset && odometer < before.odometer) {
+        return `odometer reading ${odometer} is lower than ${before.odometer} recorded on ${before.date}`;
+    }
+    if (after && !after.odometerReset && odometer > after.odometer) {
+        return `odometer reading ${odometer} is higher than ${after.odometer} recorded on ${after.date}`;
+    }
+    return null;
+}
+
+// viewer decides whether readings from drafts count, see utils/drafts.js
+const getOdometerHistory = async (vehicleId, viewer) => {
+    const vehicle = await Vehicle.findOne({where: {id: vehicleId}});
+    if (!vehicle) {
+        return null;
+    }
+    const events = await Event.findAll({
+        where: {vehicleId: vehicleId, odometer: {[Op.ne]: null}, ...visibleWhere(viewer)},
+        order: [["date", "ASC"], ["odometer", "ASC"], ["id", "ASC"]]
+    });
+    return {meter: vehicle.meter, ...buildOdometerSeries(events)};
+}
+
+module.exports = {
+    findOdometerConflict,
+    getOdometerHistory
+};
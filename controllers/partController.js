@@ -0,0 +1,139 @@
+const Part = require("../models/part");
+const Event = require("../models/event");
+const Vehicle = require("../models/vehicle");
+const { getOdometerHistory } = require("./odometerController");
+const { distanceSince } = require("../utils/odometer");
+
+const getPartsByVehicle = async (vehicleId) => {
+    const data = await Part.findAll({
+        where: {vehicleId: vehicleId},
+        order: [["category", "ASC"], ["installedAt", "ASC"], ["id", "ASC"]]
+    });
+    return data;
+}
+
+// fills the install and removal details in from their events, 400 if an event isn't on this vehicle
+const resolvePartEvents = async (vehicleId, data) => {
+    const partData = {...data};
+    if (data.installEventId) {
+        const event = await Event.findOne({where: {id: data.installEventId, vehicleId: vehicleId}});
+        if (!event) {
+            return 400;
+        }
+        partData.installedAt = data.installedAt || event.date;
+        if (data.installOdometer === undefined || data.installOdometer === null) {
+            partData.installOdometer = event.odometer;
+            partData.installOdometerValue = event.odometerValue;
+            partData.installOdometerUnit = event.odometerUnit;
+        }
+    }
+    if (data.removalEventId) {
+        const event = await Event.findOne({where: {id: data.removalEventId, vehicleId: vehicleId}});
+        if (!event) {
+            return 400;
+        }
+        partData.removedAt = data.removedAt || event.date;
+    }
+    return partData;
+}
+
+// 400 when an event is on another vehicle, 409 when it comes off before it went on
+const savePart = async (vehicleId, part, data) => {
+    const partData = await resolvePartEvents(vehicleId, data);
+    if (partData === 400) {
+        return 400;
+    }
+    const installedAt = partData.installedAt !== undefined ? partData.installedAt : part && part.installedAt;
+    const removedAt = partData.removedAt !== undefined ? partData.removedAt : part && part.removedAt;
+    if (installedAt && removedAt && removedAt < installedAt) {
+        return 409;
+    }
+    if (part) {
+        await part.update(partData);
+        return part;
+    }
+    return await Part.create({...partData, vehicleId: vehicleId});
+}
+
+const createPart = async (vehicleId, data) => {
+    return await savePart(vehicleId, null, data);
+}
+
+const updatePart = async (vehicleId, partId, data) => {
+    const part = await Part.findOne({where: {id: partId, vehicleId: vehicleId}});
+    if (!part) {
+        return 404;
+    }
+    const { vehicleId: ignored, ...partData } = data;
+    return await savePart(vehicleId, part, partData);
+}
+
+const deletePart = async (vehicleId, partId) => {
+    const part = await Part.destroy({where: {id: partId, vehicleId: vehicleId}});
+    if (part === 0) {
+        return 404;
+    }
+    return part;
+}
+
+const distanceSinceInstall = (odometerHistory, part) => {
+    const distance = distanceSince(odometerHistory, {eventId: part.installEventId, odometer: part.installOdometer});
+    return distance === null ? null : Math.max(distance, 0);
+}
+
+// the parts on the vehicle right now, grouped by category
+// anything with a removal event or date has come off, so a swapped part only shows its replacement
+// viewer decides whether readings from drafts count towards the distances, see utils/drafts.js
+const getBuildSheet = async (vehicleId, viewer) => {
+    const vehicle = await Vehicle.findOne({where: {id: vehicleId}});
+    if (!vehicle) {
+        return null;
+    }
+    const parts = await getPartsByVehicle(vehicleId);
+    const odometerHistory = await getOdometerHistory(vehicleId, viewer);
+    const latest = odometerHistory.latest;
+    const today = new Date().toISOString().slice(0, 10);
+
+    const installed = parts.filter((part) => !part.removalEventId && !part.removedAt);
+    const categories = new Map();
+    for (const part of installed) {
+        if (!categories.has(part.category)) {
+            categories.set(part.category, []);
+        }
+        categories.get(part.category).push({
+            id: part.id,
+            name: part.name,
+            brand: part.brand,
+            partNumber: part.partNumber,
+            installEventId: part.installEventId,
+            installedAt: part.installedAt,
+            installOdometer: part.installOdometer,
+            installOdometerValue: part.installOdometerValue,
+            installOdometerUnit: part.installOdometerUnit,
+            // how far it's been driven, going by the latest reading on the vehicle's events
+            distanceSinceInstall: distanceSinceInstall(odometerHistory, part),
+            warrantyExpiry: part.warrantyExpiry,
+            underWarranty: part.warrantyExpiry ? part.warrantyExpiry >= today : null,
+            notes: part.notes
+        });
+    }
+
+    return {
+        vehicleId: vehicle.id,
+        asOf: latest,
+        installedCount: installed.length,
+        removedCount: parts.length - installed.length,
+        categories: [...categories.entries()].map(([category, categoryParts]) => ({
+            category: category,
+            parts: categoryParts
+        }))
+    };
+}
+
+module.exports = {
+    getPartsByVehicle,
+    createPart,
+    updatePart,
+    deletePart,
+    getBuildSheet
+};
@@ -0,0 +1,67 @@
+const { Op } = require("sequelize");
+const User = require("../models/user");
+const PasswordReset = require("../models/passwordReset");
+const { generateToken, hashToken } = require("../auth/tokenManager");
+const { revokeAllSessions } = require("./sessionController");
+const { sendMail } = require("../mail/mailer");
+const { passwordResetMail } = require("../mail/templates");
+const { clearAccount } = require("../auth/loginThrottle");
+
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+const requestPasswordReset = async (email) => {
+    const user = await User.findOne({where: {email: email}});
+    // nothing to do, but the route answers the same either way so emails can't be probed
+    if (!user) {
+        return null;
+    }
+
+    // only the latest link should work
+    await PasswordReset.update({usedAt: new Date()}, {where: {userId: user.id, usedAt: null}});
+
+    const token = generateToken(32);
+    const passwordReset = await PasswordReset.create({
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    });
+
+    await sendMail({
+        to: user.email,
+        ...passwordResetMail({name: user.name, token: token, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES})
+    });
+    return passwordReset;
+}
+
+// hashedPassword is already bcrypt hashed by the route
+const confirmPasswordReset = async (token, hashedPassword) => {
+    const passwordReset = await PasswordReset.findOne({
+        where: {
+            tokenHash: hashToken(token),
+            usedAt: null,
+            expiresAt: {[Op.gt]: new Date()}
+        }
+    });
+    if (!passwordReset) {
+        return 400;
+    }
+
+    // mark it used first so the same token can't race through twice
+    const claimed = await PasswordReset.update({usedAt: new Date()}, {where: {id: passwordReset.id, usedAt: null}});
+    if (claimed[0] === 0) {
+        return 400;
+    }
+
+    await User.update({password: hashedPassword}, {where: {id: passwordReset.userId}});
+    // whoever had the old password shouldn't stay logged in
+    await revokeAllSessions(passwordReset.userId);
+    const user = await User.findOne({where: {id: passwordReset.userId}});
+    // proving access to the inbox is as good as the unlock link
+    await clearAccount(user.email);
+    return user;
+}
+
+module.exports = {
+    requestPasswordReset,
+    confirmPasswordReset
+};
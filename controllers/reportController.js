@@ -0,0 +1,152 @@
+const { Op } = require("sequelize");
+const Vehicle = require("../models/vehicle");
+const User = require("../models/user");
+const Event = require("../models/event");
+const EventCost = require("../models/eventCost");
+const ServiceRecord = require("../models/serviceRecord");
+const ReportLink = require("../models/reportLink");
+const { getOwnershipHistory } = require("./transferController");
+const { getOdometerHistory } = require("./odometerController");
+const { buildExpenseReport } = require("../utils/expenses");
+const { isHours, kmToMiles, KM_PER_MILE } = require("../utils/units");
+const { generateToken, hashToken } = require("../auth/tokenManager");
+const { visibleWhere } = require("../utils/drafts");
+
+const REPORT_LINK_DEFAULT_DAYS = Number(process.env.REPORT_LINK_DEFAULT_DAYS) || 14;
+
+// stories are the owner's diary, the report is the record of what was done to the vehicle
+// it's made to be handed to other people, so drafts are never in it
+const TIMELINE_TYPES = ["repair", "modification", "maintenance"];
+
+// everything the report shows, with distances already in the unit it's printed in
+// units falls back to the vehicle's display unit, an hour meter always reports hours
+const buildVehicleReport = async (vehicleId, {units} = {}) => {
+    const vehicle = await Vehicle.findOne({where: {id: vehicleId}, include: {model: User, attributes: ["name"]}});
+    if (!vehicle) {
+        return null;
+    }
+    const unit = isHours(vehicle.meter) ? "hours" : (units || vehicle.displayUnit || "km");
+    const distance = (value) => value === null || value === undefined ? value : (unit === "mi" ? kmToMiles(value) : value);
+
+    const events = await Event.findAll({
+        where: {vehicleId: vehicleId, ...visibleWhere()},
+        include: [
+            {model: EventCost, as: "costs"},
+            {model: ServiceRecord, as: "serviceRecord", attributes: ["shopName"]}
+        ],
+        order: [["date", "ASC"], ["id", "ASC"]]
+    });
+    const odometer = await getOdometerHistory(vehicleId, {});
+    const expenses = buildExpenseReport(events, odometer);
+
+    return {
+        generatedAt: new Date(),
+        unit: unit,
+        vehicle: {
+            name: vehicle.name,
+            make: vehicle.make,
+            model: vehicle.model,
+            year: vehicle.year,
+            type: vehicle.type,
+            vin: vehicle.vin,
+            meter: vehicle.meter,
+            owner: vehicle.User ? vehicle.User.name : null
+        },
+        ownership: await getOwnershipHistory(vehicleId),
+        timeline: events.filter((event) => TIMELINE_TYPES.includes(event.type)).map((event) => ({
+            date: event.date,
+            type: event.type,
+            title: event.title,
+            detail: event.detail,
+            odometer: distance(event.odometer),
+            odometerFlagged: event.odometerFlagged,
+            shopVerified: event.shopVerified,
+            shopName: event.serviceRecord ? event.serviceRecord.shopName : null,
+            costs: event.costs.map((cost) => ({
+                category: cost.category,
+                description: cost.description,
+                amount: parseFloat(cost.amount),
+                currency: cost.currency
+            }))
+        })),
+        odometer: {
+            series: odometer.series.map((point) => ({
+                date: point.date,
+                odometer: distance(point.odometer),
+                flagged: point.flagged,
+                reset: point.reset
+            })),
+            totalDistance: distance(odometer.totalDistance),
+            averagePerMonth: distance(odometer.averagePerMonth),
+            firstDate: odometer.firstDate,
+            lastDate: odometer.lastDate,
+            latest: odometer.latest ? distance(odometer.latest.odometer) : null
+        },
+        costs: expenses.currencies.map((currency) => {
+            const costPer = currency.costPerHour ?? currency.costPerKm;
+            return {
+                currency: currency.currency,
+                total: currency.total,
+                eventCount: currency.eventCount,
+                byCategory: currency.byCategory,
+                byType: currency.byType,
+                costPerUnit: costPer === null || costPer === undefined ? null
+                    : Math.round((unit === "mi" ? costPer * KM_PER_MILE : costPer) * 10000) / 10000
+            };
+        })
+    };
+}
+
+// the token is only in the returned value, what's stored can't be turned back into a working link
+const createReportLink = async (vehicleId, userId, {expiresInDays = REPORT_LINK_DEFAULT_DAYS, label}) => {
+    const token = generateToken(24);
+    const link = await ReportLink.create({
+        vehicleId: vehicleId,
+        userId: userId,
+        tokenHash: hashToken(token),
+        label: label || null,
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+    const {tokenHash, ...data} = link.toJSON();
+    return {...data, token: token};
+}
+
+const getReportLinks = async (vehicleId) => {
+    const data = await ReportLink.findAll({
+        where: {vehicleId: vehicleId},
+        attributes: {exclude: ["tokenHash"]},
+        order: [["createdAt", "DESC"]]
+    });
+    return data;
+}
+
+const revokeReportLink = async (vehicleId, linkId) => {
+    const link = await ReportLink.findOne({where: {id: linkId, vehicleId: vehicleId}, attributes: {exclude: ["tokenHash"]}});
+    if (!link) {
+        return 404;
+    }
+    if (!link.revokedAt) {
+        await link.update({revokedAt: new Date()});
+    }
+    return link;
+}
+
+// the vehicle id behind a link that still works, counting the view, or null
+const useReportLink = async (token) => {
+    const link = await ReportLink.findOne({
+        where: {tokenHash: hashToken(token), revokedAt: null, expiresAt: {[Op.gt]: new Date()}}
+    });
+    if (!link) {
+        return null;
+    }
+    await link.update({viewCount: link.viewCount + 1, lastViewedAt: new Date()});
+    return link.vehicleId;
+}
+
+module.exports = {
+    buildVehicleReport,
+    createReportLink,
+    getReportLinks,
+    revokeReportLink,
+    useReportLink
+};
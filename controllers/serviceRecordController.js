@@ -0,0 +1,178 @@
+const Vehicle = require("../models/vehicle");
+const User = require("../models/user");
+const Event = require("../models/event");
+const ServiceRecord = require("../models/serviceRecord");
+const { setEventCosts } = require("./expenseController");
+const { applyMaintenanceEvent } = require("./maintenanceController");
+const { findOdometerConflict } = require("./odometerController");
+const { saveDocument, deleteStoredFile } = require("../utils/uploadManager");
+const { sendMail } = require("../mail/mailer");
+const { serviceRecordSubmittedMail } = require("../mail/templates");
+
+const vehicleLabel = (vehicle) => vehicle.name || `${vehicle.year} ${vehicle.make} ${vehicle.model}`;
+
+// shops only ever see what they sent themselves
+const getServiceRecords = async (vehicleId, {shopId, status}) => {
+    const where = {vehicleId: vehicleId};
+    if (shopId) {
+        where.shopId = shopId;
+    }
+    if (status) {
+        where.status = status;
+    }
+    const data = await ServiceRecord.findAll({where: where, order: [["date", "DESC"], ["id", "DESC"]]});
+    return data;
+}
+
+const getServiceRecord = async (vehicleId, recordId, {shopId} = {}) => {
+    const where = {id: recordId, vehicleId: vehicleId};
+    if (shopId) {
+        where.shopId = shopId;
+    }
+    const data = await ServiceRecord.findOne({where: where});
+    return data;
+}
+
+// 403 unless the shop is still a business account
+const submitServiceRecord = async (vehicleId, shopId, data) => {
+    const shop = await User.findOne({where: {id: shopId}});
+    if (shop.accountType !== "business") {
+        return 403;
+    }
+    const {title, detail, type, date, odometer, odometerValue, odometerUnit, items} = data;
+    const record = await ServiceRecord.create({
+        vehicleId: vehicleId,
+        shopId: shopId,
+        shopName: shop.name,
+        title, detail, type, date, odometer, odometerValue, odometerUnit,
+        items: items || []
+    });
+    const vehicle = await Vehicle.findOne({where: {id: vehicleId}, include: {model: User, attributes: ["email"]}});
+    await sendMail({
+        to: vehicle.User.email,
+        ...serviceRecordSubmittedMail({shopName: shop.name, vehicle: vehicleLabel(vehicle), vehicleId: vehicle.id})
+    });
+    return record;
+}
+
+// 409 once the owner has reviewed it, a new invoice replaces the old one
+const attachInvoice = async (vehicleId, recordId, shopId, file) => {
+    const record = await getServiceRecord(vehicleId, recordId, {shopId});
+    if (!record) {
+        return 404;
+    }
+    if (record.status !== "pending") {
+        return 409;
+    }
+    const previousFile = record.invoice;
+    await record.update({
+        invoice: await saveDocument(file, "invoice"),
+        invoiceName: file.originalname,
+        invoiceMimeType: file.mimetype
+    });
+    if (previousFile) {
+        await deleteStoredFile("documents", previousFile);
+    }
+    return record;
+}
+
+const withdrawServiceRecord = async (vehicleId, recordId, shopId) => {
+    const record = await getServiceRecord(vehicleId, recordId, {shopId});
+    if (!record) {
+        return 404;
+    }
+    if (record.status !== "pending") {
+        return 409;
+    }
+    await record.destroy();
+    if (record.invoice) {
+        await deleteStoredFile("documents", record.invoice);
+    }
+    return 1;
+}
+
+// the event is written as the shop's, so nobody but staff can change it after it's verified
+// a reading that clashes with the journal is kept and flagged, the owner has already said the work was done
+const approveServiceRecord = async (vehicleId, recordId, {published = true}) => {
+    const record = await getServiceRecord(vehicleId, recordId);
+    if (!record) {
+        return 404;
+    }
+    if (record.status !== "pending") {
+        return 409;
+    }
+    // claim it first so two approvals can't both add an event
+    const [claimed] = await ServiceRecord.update(
+        {status: "approved", reviewedAt: new Date()},
+        {where: {id: record.id, status: "pending"}}
+    );
+    if (claimed === 0) {
+        return 409;
+    }
+    let odometerFlagged = false;
+    if (record.odometer !== null) {
+        const conflict = await findOdometerConflict(vehicleId, {date: record.date, odometer: record.odometer});
+        odometerFlagged = !!conflict;
+    }
+    const event = await Event.create({
+        userId: record.shopId,
+        vehicleId: vehicleId,
+        title: record.title,
+        detail: record.detail,
+        type: record.type,
+        date: record.date,
+        odometer: record.odometer,
+        odometerValue: record.odometerValue,
+        odometerUnit: record.odometerUnit,
+        odometerFlagged: odometerFlagged,
+        published: published,
+        publishedAt: published ? new Date() : null,
+        shopVerified: true
+    });
+    if (record.items.length > 0) {
+        await setEventCosts(event.id, record.items.map((item) => ({vendor: record.shopName, ...item})));
+    }
+    await applyMaintenanceEvent(event);
+    await record.update({status: "approved", eventId: event.id});
+    return record;
+}
+
+const rejectServiceRecord = async (vehicleId, recordId, note) => {
+    const record = await getServiceRecord(vehicleId, recordId);
+    if (!record) {
+        return 404;
+    }
+    if (record.status !== "pending") {
+        return 409;
+    }
+    // an approval that got there first wins
+    const [claimed] = await ServiceRecord.update(
+        {status: "rejected", reviewNote: note || null, reviewedAt: new Date()},
+        {where: {id: record.id, status: "pending"}}
+    );
+    if (claimed === 0) {
+        return 409;
+    }
+    await record.reload();
+    return record;
+}
+
+// invoices are stored files, so they're looked up before the vehicle's records cascade away
+const findInvoiceFiles = async (vehicleWhere) => {
+    const records = await ServiceRecord.findAll({
+        attributes: ["invoice"],
+        include: {model: Vehicle, where: vehicleWhere, attributes: []}
+    });
+    return records.map((record) => record.invoice).filter(Boolean);
+}
+
+module.exports = {
+    getServiceRecords,
+    getServiceRecord,
+    submitServiceRecord,
+    attachInvoice,
+    withdrawServiceRecord,
+    approveServiceRecord,
+    rejectServiceRecord,
+    findInvoiceFiles
+};
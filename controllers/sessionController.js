@@ -0,0 +1,88 @@
+const { Op } = require("sequelize");
+const Session = require("../models/session");
+const { generateToken, hashToken, signAccessToken } = require("../auth/tokenManager");
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const refreshTokenExpiry = () => {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+const createSession = async (userId, {userAgent, ip} = {}) => {
+    const refreshToken = generateToken();
+    const session = await Session.create({
+        userId: userId,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: userAgent,
+        ip: ip,
+        expiresAt: refreshTokenExpiry(),
+        lastUsedAt: new Date()
+    });
+    const token = signAccessToken(userId, session.id);
+    return { token, refreshToken };
+}
+
+const refreshSession = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({where: {refreshTokenHash: tokenHash}});
+
+    if (!session) {
+        // an already rotated token coming back means it has leaked, kill the session it belonged to
+        const reusedSession = await Session.findOne({where: {previousTokenHash: tokenHash, revokedAt: null}});
+        if (reusedSession) {
+            await reusedSession.update({revokedAt: new Date()});
+        }
+        return 401;
+    }
+    if (session.revokedAt || session.expiresAt < new Date()) {
+        return 401;
+    }
+
+    // rotate the refresh token every time it is used
+    const newRefreshToken = generateToken();
+    await session.update({
+        previousTokenHash: tokenHash,
+        refreshTokenHash: hashToken(newRefreshToken),
+        expiresAt: refreshTokenExpiry(),
+        lastUsedAt: new Date()
+    });
+    const token = signAccessToken(session.userId, session.id);
+    return { token, refreshToken: newRefreshToken };
+}
+
+const isSessionActive = async (sessionId, userId) => {
+    const session = await Session.findOne({
+        where: {
+            id: sessionId,
+            userId: userId,
+            revokedAt: null,
+            expiresAt: {[Op.gt]: new Date()}
+        }
+    });
+    return !!session;
+}
+
+const revokeSession = async (sessionId, userId) => {
+    const response = await Session.update({revokedAt: new Date()}, {
+        where: {id: sessionId, userId: userId, revokedAt: null}
+    });
+    return response[0];
+}
+
+// log out every device, optionally keeping the session making the request alive
+const revokeAllSessions = async (userId, exceptSessionId) => {
+    const where = {userId: userId, revokedAt: null};
+    if (exceptSessionId) {
+        where.id = {[Op.ne]: exceptSessionId};
+    }
+    const response = await Session.update({revokedAt: new Date()}, {where: where});
+    return response[0];
+}
+
+module.exports = {
+    createSession,
+    refreshSession,
+    isSessionActive,
+    revokeSession,
+    revokeAllSessions
+};
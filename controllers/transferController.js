@@ -0,0 +1,176 @@
+const { Op } = require("sequelize");
+const Vehicle = require("../models/vehicle");
+const User = require("../models/user");
+const VehicleTransfer = require("../models/vehicleTransfer");
+const OwnershipRecord = require("../models/ownershipRecord");
+const ReportLink = require("../models/reportLink");
+const { clearMembers } = require("./memberController");
+const { sendMail } = require("../mail/mailer");
+const { vehicleTransferMail } = require("../mail/templates");
+
+const TRANSFER_TTL_DAYS = Number(process.env.TRANSFER_TTL_DAYS) || 14;
+
+const vehicleLabel = (vehicle) => vehicle.name || `${vehicle.year} ${vehicle.make} ${vehicle.model}`;
+
+// vehicles from before ownership was tracked start their chain with the current owner
+const ensureOwnershipRecord = async (vehicle) => {
+    const count = await OwnershipRecord.count({where: {vehicleId: vehicle.id}});
+    if (count > 0) {
+        return;
+    }
+    const owner = await User.findOne({where: {id: vehicle.userId}, attributes: ["name"]});
+    await OwnershipRecord.create({
+        vehicleId: vehicle.id,
+        userId: vehicle.userId,
+        ownerName: owner ? owner.name : "Unknown",
+        startedAt: vehicle.createdAt || new Date()
+    });
+}
+
+const getOwnershipHistory = async (vehicleId) => {
+    const vehicle = await Vehicle.findOne({where: {id: vehicleId}});
+    if (!vehicle) {
+        return null;
+    }
+    await ensureOwnershipRecord(vehicle);
+    const records = await OwnershipRecord.findAll({
+        where: {vehicleId: vehicleId},
+        include: {model: User, attributes: ["id", "name", "image", "imageVariants"]},
+        order: [["startedAt", "ASC"], ["id", "ASC"]]
+    });
+    // only names and dates, who the vehicle went to by email stays private
+    return records.map((record) => ({
+        userId: record.userId,
+        name: record.User ? record.User.name : record.ownerName,
+        image: record.User ? record.User.image : null,
+        startedAt: record.startedAt,
+        endedAt: record.endedAt,
+        current: record.endedAt === null
+    }));
+}
+
+const isOpen = (transfer) => transfer.status === "pending" && transfer.expiresAt > new Date();
+
+// 400 sending it to yourself, 409 when one is already waiting on an answer
+const initiateTransfer = async (vehicleId, userId, email) => {
+    const vehicle = await Vehicle.findOne({where: {id: vehicleId}});
+    const owner = await User.findOne({where: {id: userId}});
+    const toEmail = email.trim().toLowerCase();
+    if (owner.email.toLowerCase() === toEmail) {
+        return 400;
+    }
+    const pending = await VehicleTransfer.findOne({
+        where: {vehicleId: vehicleId, status: "pending", expiresAt: {[Op.gt]: new Date()}}
+    });
+    if (pending) {
+        return 409;
+    }
+    const transfer = await VehicleTransfer.create({
+        vehicleId: vehicleId,
+        fromUserId: userId,
+        toEmail: toEmail,
+        expiresAt: new Date(Date.now() + TRANSFER_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    await sendMail({
+        to: toEmail,
+        ...vehicleTransferMail({fromName: owner.name, vehicle: vehicleLabel(vehicle), transferId: transfer.id, expiresInDays: TRANSFER_TTL_DAYS})
+    });
+    return transfer;
+}
+
+// transfers the user has sent, and open ones waiting for them to answer
+const getTransfersForUser = async (userId) => {
+    const user = await User.findOne({where: {id: userId}, attributes: ["id", "email", "verified"]});
+    const include = {model: Vehicle, attributes: ["id", "name", "make", "model", "year", "image", "imageVariants"]};
+    const outgoing = await VehicleTransfer.findAll({where: {fromUserId: userId}, include: include, order: [["createdAt", "DESC"]]});
+    const incoming = await VehicleTransfer.findAll({
+        where: {toEmail: user.email.toLowerCase(), status: "pending", expiresAt: {[Op.gt]: new Date()}},
+        include: include,
+        order: [["createdAt", "DESC"]]
+    });
+    return {incoming: incoming, outgoing: outgoing};
+}
+
+// the recipient's transfer, 404 when it isn't theirs so other people's transfers can't be probed
+const findIncoming = async (transferId, userId) => {
+    const user = await User.findOne({where: {id: userId}});
+    const transfer = await VehicleTransfer.findOne({where: {id: transferId}});
+    if (!user || !transfer || transfer.toEmail !== user.email.toLowerCase()) {
+        return {};
+    }
+    return {user, transfer};
+}
+
+// 403 until the email is verified, 404 not theirs, 409 no longer open or the vehicle changed hands since
+const acceptTransfer = async (transferId, userId) => {
+    const {user, transfer} = await findIncoming(transferId, userId);
+    if (!transfer) {
+        return 404;
+    }
+    if (!user.verified) {
+        return 403;
+    }
+    const vehicle = await Vehicle.findOne({where: {id: transfer.vehicleId}});
+    if (!isOpen(transfer) || !vehicle || vehicle.userId !== transfer.fromUserId) {
+        return 409;
+    }
+
+    // claim it first so two accepts can't both go through
+    const now = new Date();
+    const [claimed] = await VehicleTransfer.update(
+        {status: "accepted", toUserId: user.id, respondedAt: now},
+        {where: {id: transfer.id, status: "pending"}}
+    );
+    if (claimed === 0) {
+        return 409;
+    }
+    await ensureOwnershipRecord(vehicle);
+    await OwnershipRecord.update({endedAt: now}, {where: {vehicleId: vehicle.id, endedAt: null}});
+    await OwnershipRecord.create({
+        vehicleId: vehicle.id,
+        userId: user.id,
+        ownerName: user.name,
+        startedAt: now,
+        transferId: transfer.id
+    });
+    // the journal moves with the vehicle, past events keep the previous owner's userId
+    await vehicle.update({userId: user.id});
+    await clearMembers(vehicle.id);
+    // report links the previous owner handed out stop working
+    await ReportLink.update({revokedAt: now}, {where: {vehicleId: vehicle.id, revokedAt: null}});
+    return await VehicleTransfer.findOne({where: {id: transfer.id}});
+}
+
+const declineTransfer = async (transferId, userId) => {
+    const {transfer} = await findIncoming(transferId, userId);
+    if (!transfer) {
+        return 404;
+    }
+    if (!isOpen(transfer)) {
+        return 409;
+    }
+    await transfer.update({status: "declined", respondedAt: new Date()});
+    return transfer;
+}
+
+const cancelTransfer = async (transferId, userId) => {
+    const transfer = await VehicleTransfer.findOne({where: {id: transferId, fromUserId: userId}});
+    if (!transfer) {
+        return 404;
+    }
+    if (transfer.status !== "pending") {
+        return 409;
+    }
+    await transfer.update({status: "cancelled", respondedAt: new Date()});
+    return transfer;
+}
+
+module.exports = {
+    ensureOwnershipRecord,
+    getOwnershipHistory,
+    initiateTransfer,
+    getTransfersForUser,
+    acceptTransfer,
+    declineTransfer,
+    cancelTransfer
+};
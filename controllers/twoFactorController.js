@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+const TwoFactor = require("../models/twoFactor");
+const RecoveryCode = require("../models/recoveryCode");
+const User = require("../models/user");
+const { generateSecret, verifyTotp, otpauthUri } = require("../auth/totp");
+const { hashToken } = require("../auth/tokenManager");
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Ride Journal";
+const RECOVERY_CODE_COUNT = 10;
+
+// recovery codes are typed by hand so dashes and case shouldn't matter
+const normaliseRecoveryCode = (code) => String(code).replace(/[\s-]/g, "").toLowerCase();
+
+const isTwoFactorEnabled = async (userId) => {
+    const twoFactor = await TwoFactor.findOne({where: {userId: userId}});
+    return !!(twoFactor && twoFactor.enabledAt);
+}
+
+// starts enrolment, the secret only takes effect once enableTwoFactor confirms a code from it
+const setupTwoFactor = async (userId) => {
+    const user = await User.findOne({where: {id: userId}});
+    const existing = await TwoFactor.findOne({where: {userId: userId}});
+    if (existing && existing.enabledAt) {
+        return 409;
+    }
+
+    const secret = generateSecret();
+    if (existing) {
+        await existing.update({secret: secret, lastUsedStep: null});
+    } else {
+        await TwoFactor.create({userId: userId, secret: secret});
+    }
+    return {
+        secret: secret,
+        otpauthUri: otpauthUri({secret: secret, label: user.email, issuer: TOTP_ISSUER})
+    };
+}
+
+const generateRecoveryCodes = async (userId) => {
+    await RecoveryCode.destroy({where: {userId: userId}});
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString("hex");
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    await RecoveryCode.bulkCreate(codes.map((code) => ({
+        userId: userId,
+        codeHash: hashToken(normaliseRecoveryCode(code))
+    })));
+    return codes;
+}
+
+// checks a totp code against the user's secret and burns its time step
+const checkTotpCode = async (twoFactor, code) => {
+    const step = verifyTotp(twoFactor.secret, code);
+    if (step === null || (twoFactor.lastUsedStep !== null && step <= Number(twoFactor.lastUsedStep))) {
+        return false;
+    }
+    const claimed = await TwoFactor.update({lastUsedStep: step}, {where: {id: twoFactor.id, lastUsedStep: twoFactor.lastUsedStep}});
+    return claimed[0] > 0;
+}
+
+const useRecoveryCode = async (userId, code) => {
+    const claimed = await RecoveryCode.update({usedAt: new Date()}, {
+        where: {userId: userId, codeHash: hashToken(normaliseRecoveryCode(code)), usedAt: null}
+    });
+    return claimed[0] > 0;
+}
+
+// returns the recovery codes, the only time they are ever shown
+const enableTwoFactor = async (userId, code) => {
+    const twoFactor = await TwoFactor.findOne({where: {userId: userId}});
+    if (!twoFactor) {
+        return 404;
+    }
+    if (twoFactor.enabledAt) {
+        return 409;
+    }
+    if (!await checkTotpCode(twoFactor, code)) {
+        return 400;
+    }
+    await twoFactor.update({enabledAt: new Date()});
+    const recoveryCodes = await generateRecoveryCodes(userId);
+    return { recoveryCodes };
+}
+
+// second login step, either a totp code or one of the recovery codes
+const verifySecondFactor = async (userId, {code, recoveryCode}) => {
+    const twoFactor = await TwoFactor.findOne({where: {userId: userId}});
+    if (!twoFactor || !twoFactor.enabledAt) {
+        return false;
+    }
+    if (code) {
+        return checkTotpCode(twoFactor, code);
+    }
+    if (recoveryCode) {
+        return useRecoveryCode(userId, recoveryCode);
+    }
+    return false;
+}
+
+// the route has already checked the password again
+const disableTwoFactor = async (userId, {code, recoveryCode}) => {
+    const verified = await verifySecondFactor(userId, {code, recoveryCode});
+    if (!verified) {
+        return 400;
+    }
+    await TwoFactor.destroy({where: {userId: userId}});
+    await RecoveryCode.destroy({where: {userId: userId}});
+    return true;
+}
+
+const regenerateRecoveryCodes = async (userId, code) => {
+    const verified = await verifySecondFactor(userId, {code});
+    if (!verified) {
+        return 400;
+    }
+    const recoveryCodes = await generateRecoveryCodes(userId);
+    return { recoveryCodes };
+}
+
+module.exports = {
+    isTwoFactorEnabled,
+    setupTwoFactor,
+    enableTwoFactor,
+    verifySecondFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+};
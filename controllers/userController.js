@@ -1,6 +1,10 @@
 const User = require("../models/user");
 const Vehicle = require("../models/vehicle");
-const { saveImage } = require("../utils/uploadManager");
+const { saveImage, deleteStoredImage } = require("../utils/uploadManager");
+const ImageUpload = require("../models/imageUpload");
+const { sendVerification } = require("./emailVerificationController");
+const { collectVehicleFiles, removeVehicleFiles } = require("./vehicleController");
+const { removeUploadParts } = require("./imageController");
 
 const getUsers = async () => {
     const data = await User.findAll({});
@@ -23,42 +27,78 @@ const getUserByEmail = async (email) => {
 };
 
 const createUser = async (data) => {
-    const { image, ...userData } = data;
+    // verification and roles are never taken from the request
+    const { image, imageVariants, verified, verifiedAt, role, ...userData } = data;
     // if there is an image in the data to handle
     if (image){
-        userData.image = await saveImage(image, "user");
+        const saved = await saveImage(image, "user");
+        userData.image = saved.image;
+        userData.imageVariants = saved.variants;
     } else {
         userData.image = "default.png";
     }
+    // a stale unverified account may still be sitting on this address, it's only handed over
+    // once the link sent to it is confirmed so until then the new account goes without one
+    const email = userData.email;
+    const holder = await User.findOne({where: {email: email}});
+    if (holder) {
+        userData.email = null;
+    }
     // do the database create line here
     const user = await User.create(userData);
+    await sendVerification(user, email);
     return user;
 }
 
-const updateUser = async (id, data, tokenUserId) => {
-    // if the user to be updated is not the same as the token user reject
-    if (id !== tokenUserId) {
-        return 401;
+const updateUser = async (id, data) => {
+    // roles are only changed through updateUserRole
+    const { image, imageVariants, verified, verifiedAt, role, email, ...userData } = data;
+    const currentUser = await User.findOne({where: {id: id}});
+    if (!currentUser) {
+        return null;
     }
-    
-    const { image, ...userData } = data;
     // if there is an image in the data to handle
     if (image){
-        userData.image = await saveImage(image, "user");
+        const saved = await saveImage(image, "user");
+        userData.image = saved.image;
+        userData.imageVariants = saved.variants;
     } 
     // do the database create line here
-    const updateResponse = await User.update(userData, {where: {id: id}});
-
-    if (updateResponse[0] === 0) {
-        return null;
-    } else {
-        const user = await User.findOne({where: {id: id}});
-        return user;
+    if (Object.keys(userData).length > 0) {
+        await User.update(userData, {where: {id: id}});
+    }
+    // the replaced picture's files aren't needed any more
+    if (image) {
+        await deleteStoredImage(currentUser.image, currentUser.imageVariants);
+    }
+    // a new email only replaces the old one once the link sent to it is confirmed
+    if (email && email !== currentUser.email) {
+        await sendVerification(currentUser, email);
     }
+
+    const user = await User.findOne({where: {id: id}});
+    return user;
 }
 
+// the account and its vehicles go first and cascade everything hanging off them, the stored files after that
+// what the user wrote or uploaded on other people's vehicles stays with the author cleared
 const deleteUser = async (id) => {
+    const currentUser = await User.findOne({where: {id: id}, attributes: ["image", "imageVariants"]});
+    if (!currentUser) {
+        return 0;
+    }
+    const vehicleFiles = await collectVehicleFiles({userId: id});
+    const uploads = await ImageUpload.findAll({where: {userId: id}, attributes: ["parts"]});
     const user = await User.destroy({where: {id: id}});
+    await removeVehicleFiles(vehicleFiles);
+    await removeUploadParts(uploads);
+    await deleteStoredImage(currentUser.image, currentUser.imageVariants);
+    return user;
+}
+
+const updateUserRole = async (id, role) => {
+    await User.update({role: role}, {where: {id: id}});
+    const user = await User.findOne({where: {id: id}});
     return user;
 }
 
@@ -69,5 +109,6 @@ module.exports = {
     getUserByEmail,
     createUser,
     updateUser,
-    deleteUser
+    deleteUser,
+    updateUserRole
 };
@@ -1,5 +1,16 @@
+const { Op } = require("sequelize");
 const Vehicle = require("../models/vehicle");
-const { saveImage } = require("../utils/uploadManager");
+const Event = require("../models/event");
+const User = require("../models/user");
+const { isHours } = require("../utils/units");
+const { findDocumentFiles } = require("./vehicleDocumentController");
+const { findInvoiceFiles } = require("./serviceRecordController");
+const { vehicleDetailsFromVin } = require("../utils/vin");
+const { ensureOwnershipRecord } = require("./transferController");
+const Image = require("../models/image");
+const { saveImage, deleteStoredImage, deleteStoredFile } = require("../utils/uploadManager");
+const { collectImageFiles, removeImageFiles } = require("./imageController");
+const { visibleWhere } = require("../utils/drafts");
 
 const getVehicles = async ({limit, offset}) => {
     const data = await Vehicle.findAll({
@@ -15,8 +26,13 @@ const getVehicle = async (id) => {
     return data;
 }
 
-const getVehicleIncludeAll = async (id) => {
-    const data = await Vehicle.findOne({ where: { id: id }, include: { all: true }});
+// the owner and the journal, the vehicle's private records have their own routes
+const getVehicleIncludeAll = async (id, viewer) => {
+    const data = await Vehicle.findOne({ where: { id: id }, include: [
+        {model: User},
+        {model: Event, where: visibleWhere(viewer), required: false},
+        {model: Image, as: "coverImage"}
+    ]});
     return data;
 }
 
@@ -30,47 +46,106 @@ const getVehiclesByType = async (type) => {
     return data;
 }
 
-const createVehicle = async (data, tokenUserId) => {
-    // if ther user to be updated is not the same as the token user reject
-    if (Number(data.userId) !== tokenUserId) {
-        return 401;
+const createVehicle = async (data) => {
+    // a new vehicle has no events to take a cover image from
+    const { image, imageVariants, coverImageId, ...vehicleData } = data;
+    // make and year come from the VIN when they weren't given
+    if (vehicleData.vin) {
+        const fromVin = vehicleDetailsFromVin(vehicleData.vin);
+        vehicleData.make = vehicleData.make || fromVin.make;
+        vehicleData.year = vehicleData.year || fromVin.year;
+    } else {
+        vehicleData.vin = null;
     }
-
-    const { image, ...vehicleData } = data;
     // if there is an image in the data to handle
     if (image){
-        vehicleData.image = await saveImage(image, "vehicle");
+        const saved = await saveImage(image, "vehicle");
+        vehicleData.image = saved.image;
+        vehicleData.imageVariants = saved.variants;
     } else {
         vehicleData.image = "default.png";
     }
+    // boats usually count engine hours
+    if (!vehicleData.meter) {
+        vehicleData.meter = vehicleData.type === "boat" ? "hours" : "km";
+    }
 
     const vehicle = await Vehicle.create(vehicleData);
+    await ensureOwnershipRecord(vehicle);
     return vehicle;
 }
 
-const updateVehicle = async (id, data, tokenUserId) => {
-    const vehicleOwnerData = await Vehicle.findOne({where: {id: id}});
-    if (Number(vehicleOwnerData.userId) !== tokenUserId) {
-        return 401;
+const updateVehicle = async (id, data) => {
+    const { image, imageVariants, ...vehicleData } = data;
+    const current = await Vehicle.findOne({where: {id: id}, attributes: ["image", "imageVariants", "meter"]});
+    if (vehicleData.vin === "") {
+        vehicleData.vin = null;
     }
-
-    const { image, ...vehicleData } = data;
-    // if there is an image in the data to handle
+    // forms can't send null, an empty value clears the cover
+    if (vehicleData.coverImageId === "") {
+        vehicleData.coverImageId = null;
+    }
+    // the cover has to come from one of the vehicle's events
+    if (vehicleData.coverImageId) {
+        const cover = await Image.findOne({where: {id: vehicleData.coverImageId}, include: {model: Event, where: {vehicleId: id}, attributes: []}});
+        if (!cover) {
+            return 400;
+        }
+    }
+    // km and miles are both stored as km, but readings already logged can't turn into hours or back
+    if (vehicleData.meter) {
+        if (current && isHours(current.meter) !== isHours(vehicleData.meter)) {
+            const readings = await Event.count({where: {vehicleId: id, odometer: {[Op.ne]: null}}});
+            if (readings > 0) {
+                return 409;
+            }
+        }
+    }
+    // if there is an image in the data to handle, the old one's files go once the new one is in place
     if (image){
-        vehicleData.image = await saveImage(image, "vehicle");
-    } 
+        const saved = await saveImage(image, "vehicle");
+        vehicleData.image = saved.image;
+        vehicleData.imageVariants = saved.variants;
+    }
     const vehicle = await Vehicle.update(vehicleData, {where: {id: id}});
+    if (image && current) {
+        await deleteStoredImage(current.image, current.imageVariants);
+    }
     return vehicle;
 }
 
-const deleteVehicle = async (id, tokenUserId) => {
-    // if the vehicle you are trying to delete is not yours reject
-    const vehicleData = await Vehicle.findOne({where: {id: id}});
-    if (Number(vehicleData.userId) !== tokenUserId) {
-        return 401;
+// other people's vehicles with this VIN, a second owner might be a typo, a resale or a cloned VIN
+const countOtherVinOwners = async (vin, userId) => {
+    if (!vin) {
+        return 0;
+    }
+    const count = await Vehicle.count({where: {vin: vin, userId: {[Op.ne]: userId}}});
+    return count;
+}
+
+// the files of matching vehicles and everything hanging off them, which the database can't cascade to
+// collected before the vehicles are deleted, pass the result to removeVehicleFiles once they're gone
+const collectVehicleFiles = async (vehicleWhere) => {
+    const documents = [...await findDocumentFiles(vehicleWhere), ...await findInvoiceFiles(vehicleWhere)];
+    const images = await collectImageFiles({}, vehicleWhere);
+    const vehicles = await Vehicle.findAll({where: vehicleWhere, attributes: ["image", "imageVariants"]});
+    return {documents: documents, images: images, vehicles: vehicles};
+}
+
+const removeVehicleFiles = async ({documents, images, vehicles}) => {
+    for (const document of documents) {
+        await deleteStoredFile("documents", document);
     }
+    await removeImageFiles(images);
+    for (const vehicle of vehicles) {
+        await deleteStoredImage(vehicle.image, vehicle.imageVariants);
+    }
+}
 
+const deleteVehicle = async (id) => {
+    const files = await collectVehicleFiles({id: id});
     const vehicle = await Vehicle.destroy({where: {id: id}});
+    await removeVehicleFiles(files);
     return vehicle;
 }
 
@@ -82,5 +157,8 @@ module.exports = {
     getVehiclesByType,
     createVehicle,
     updateVehicle,
-    deleteVehicle
+    deleteVehicle,
+    collectVehicleFiles,
+    removeVehicleFiles,
+    countOtherVinOwners
 };
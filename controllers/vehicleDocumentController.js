@@ -0,0 +1,120 @@
+const { Op } = require("sequelize");
+const VehicleDocument = require("../models/vehicleDocument");
+const Vehicle = require("../models/vehicle");
+const { saveDocument, deleteStoredFile } = require("../utils/uploadManager");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// the stored file details come from the upload, never from the request body
+const fileFields = async (file, type) => {
+    return {
+        file: await saveDocument(file, type),
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size
+    };
+}
+
+const stripFileFields = ({file, originalName, mimeType, size, vehicleId, ...data}) => {
+    // multipart forms send a cleared date as an empty string
+    for (const field of ["issuedAt", "expiresAt"]) {
+        if (data[field] === "") {
+            data[field] = null;
+        }
+    }
+    return data;
+}
+
+const getDocumentsByVehicle = async (vehicleId) => {
+    const data = await VehicleDocument.findAll({
+        where: {vehicleId: vehicleId},
+        order: [["type", "ASC"], ["expiresAt", "ASC"]]
+    });
+    return data;
+}
+
+const getDocument = async (vehicleId, documentId) => {
+    const data = await VehicleDocument.findOne({where: {id: documentId, vehicleId: vehicleId}});
+    return data;
+}
+
+const createDocument = async (vehicleId, data, file) => {
+    const documentData = stripFileFields(data);
+    const document = await VehicleDocument.create({
+        ...documentData,
+        ...await fileFields(file, "document"),
+        vehicleId: vehicleId
+    });
+    return document;
+}
+
+// a new file replaces the old one, which is removed once the record points at the new file
+const updateDocument = async (vehicleId, documentId, data, file) => {
+    const document = await getDocument(vehicleId, documentId);
+    if (!document) {
+        return 404;
+    }
+    const documentData = stripFileFields(data);
+    const previousFile = document.file;
+    if (file) {
+        Object.assign(documentData, await fileFields(file, "document"));
+    }
+    await document.update(documentData);
+    if (file) {
+        await deleteStoredFile("documents", previousFile);
+    }
+    return document;
+}
+
+const deleteVehicleDocument = async (vehicleId, documentId) => {
+    const document = await getDocument(vehicleId, documentId);
+    if (!document) {
+        return 404;
+    }
+    await document.destroy();
+    await deleteStoredFile("documents", document.file);
+    return 1;
+}
+
+// the database cascades the records when a vehicle or user goes, so their files are looked up beforehand
+const findDocumentFiles = async (vehicleWhere) => {
+    const documents = await VehicleDocument.findAll({
+        attributes: ["file"],
+        include: {model: Vehicle, where: vehicleWhere, attributes: []}
+    });
+    return documents.map((document) => document.file);
+}
+
+// everything across the user's vehicles that expires within the window, expired ones included
+// so nothing that lapsed without being renewed drops off the list
+const getExpiringDocuments = async (userId, {withinDays}) => {
+    const today = toDateString(new Date());
+    const until = toDateString(new Date(Date.now() + withinDays * MS_PER_DAY));
+    const documents = await VehicleDocument.findAll({
+        where: {expiresAt: {[Op.lte]: until}},
+        include: {model: Vehicle, where: {userId: userId}, attributes: ["id", "name", "make", "model", "year"]},
+        order: [["expiresAt", "ASC"]]
+    });
+    const items = documents.map((document) => ({
+        ...document.toJSON(),
+        daysRemaining: Math.round((new Date(`${document.expiresAt}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / MS_PER_DAY)
+    }));
+    return {
+        asOf: today,
+        until: until,
+        expired: items.filter((item) => item.daysRemaining < 0),
+        expiring: items.filter((item) => item.daysRemaining >= 0)
+    };
+}
+
+module.exports = {
+    getDocumentsByVehicle,
+    getDocument,
+    createDocument,
+    updateDocument,
+    deleteVehicleDocument,
+    findDocumentFiles,
+    getExpiringDocuments
+};
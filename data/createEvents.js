@@ -98,12 +98,16 @@ const events = [
   
 // Server URL
 const url = 'http://localhost:3000/api/events';
+// personal access token with the events:write scope, create one with POST /api/users/{id}/tokens
+const token = process.env.RIDE_JOURNAL_TOKEN;
 
 // Async function to post each event
 async function postEvents() {
   for (const event of events) {
     try {
-      const response = await axios.post(url, event);
+      const response = await axios.post(url, event, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
       console.log(`Successfully posted event: ${event.title}`);
     } catch (error) {
       console.error(`Failed to post event: ${event.title}. Error: ${error.message}`);
@@ -0,0 +1,78 @@
+"use strict";
+// sync() only creates tables that are missing, it never changes one that's already there
+// so changes to existing tables live in migrations/ and are applied here before the models are synced
+// npm run migrate runs them on their own, e.g. before starting a new version
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { DataTypes } = require("sequelize");
+const db = require("./index");
+const Logger = require("../logging/logger");
+
+const MIGRATIONS_DIR = path.join(__dirname, "../migrations");
+
+// applied migrations are recorded by file name
+const SchemaMigration = db.Sequelize.define("SchemaMigration", {
+    name: {
+        type: DataTypes.STRING,
+        primaryKey: true,
+    },
+}, {
+    updatedAt: false,
+});
+
+const tableExists = async (queryInterface, table) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.map((name) => (typeof name === "string" ? name : name.tableName)).includes(table);
+}
+
+// adds the columns a table doesn't have yet, a table that doesn't exist is left for sync() to create in full
+// returns the names of the columns it added
+const addMissingColumns = async (queryInterface, table, columns) => {
+    if (!(await tableExists(queryInterface, table))) {
+        return [];
+    }
+    const existing = await queryInterface.describeTable(table);
+    const added = [];
+    for (const [name, spec] of Object.entries(columns)) {
+        if (!existing[name]) {
+            await queryInterface.addColumn(table, name, spec);
+            added.push(name);
+        }
+    }
+    return added;
+}
+
+// runs every migration that hasn't been applied yet, in file name order
+const migrate = async () => {
+    await SchemaMigration.sync();
+    const applied = (await SchemaMigration.findAll({attributes: ["name"]})).map((migration) => migration.name);
+    const pending = fs.readdirSync(MIGRATIONS_DIR)
+        .filter((file) => file.endsWith(".js") && !applied.includes(file))
+        .sort();
+    const queryInterface = db.Sequelize.getQueryInterface();
+    for (const file of pending) {
+        Logger.info(`Applying migration ${file}`);
+        await require(path.join(MIGRATIONS_DIR, file)).up(queryInterface, {addMissingColumns, tableExists});
+        await SchemaMigration.create({name: file});
+    }
+    return pending;
+}
+
+if (require.main === module) {
+    migrate()
+        .then((pending) => {
+            Logger.info(`Applied ${pending.length} migration(s)`);
+            process.exit(0);
+        })
+        .catch((err) => {
+            Logger.error(`Migration failed: ${err}`);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    migrate,
+    addMissingColumns,
+    tableExists,
+};
@@ -1,3 +1,4 @@
+const multer = require('multer');
 const Logger = require('../logging/logger');
 
 // Middleware function to handle invalid JSON errors
@@ -9,6 +10,21 @@ function handleInvalidJson(err, req, res, next) {
     next(err);
 }
 
+// Middleware function to handle uploads multer turned away, mostly files over the size limit
+// bodies over their limit, like a resumable upload chunk, come from the body parser instead
+function handleUploadErrors(err, req, res, next) {
+    if (err instanceof multer.MulterError) {
+      Logger.error(err);
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).send({ errors: [{ msg: err.message }] });
+    }
+    if (err.type === 'entity.too.large') {
+      Logger.error(err);
+      return res.status(413).send({ errors: [{ msg: `Request body too large, the limit is ${err.limit} bytes` }] });
+    }
+    next(err);
+}
+
 // Middleware function to handle unauthorized errors
 function handleUnauthorized(err, req, res, next) {
     if (err.status === 401) {
@@ -34,6 +50,7 @@ function handleAllOtherErrors(err, req, res, next) {
 
 module.exports = {
     handleInvalidJson,
+    handleUploadErrors,
     handleUnauthorized,
     handleNotFound,
     handleAllOtherErrors
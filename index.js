@@ -2,8 +2,9 @@ require("dotenv").config();
 const cors = require('cors');
 const path = require('path');
 const favicon = require('serve-favicon');
-const { handleInvalidJson, handleUnauthorized, handleNotFound, handleAllOtherErrors } = require("./errors/errorHandler");
+const { handleInvalidJson, handleUploadErrors, handleUnauthorized, handleNotFound, handleAllOtherErrors } = require("./errors/errorHandler");
 const morganMiddleware = require("./logging/morganMiddleware");
+const { unitPreference, vehicleUnits } = require("./utils/units");
 const Logger = require("./logging/logger");
 
 
@@ -16,10 +17,18 @@ models.init();
 const express = require("express");
 const app = express();
 
+// behind a load balancer req.ip is the proxy unless we trust it, the login throttle counts per ip
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : (isNaN(trustProxy) ? trustProxy : Number(trustProxy)));
+}
+
 // setup morgan
 app.use(morganMiddleware);
 // parse all incoming data as json
 app.use(express.json());
+// ?units=mi or an X-Units header converts distances in the response
+app.use(unitPreference);
 
 // setup cors
 var corsOptions = {
@@ -37,9 +46,21 @@ if (process.env.SERVER_ENV === 'development') {
 
 // setup all the routes
 app.use("/api/users", require("./routes/userRoutes"));
+app.use(["/api/vehicles/:id", "/api/events/vehicle/:id"], vehicleUnits);
+app.use("/api/vehicles/:id/maintenance", require("./routes/maintenanceRoutes"));
+app.use("/api/vehicles/:id/fuel", require("./routes/fuelRoutes"));
+app.use("/api/vehicles/:id/parts", require("./routes/partRoutes"));
+app.use("/api/vehicles/:id/documents", require("./routes/vehicleDocumentRoutes"));
+app.use("/api/vehicles/:id/members", require("./routes/memberRoutes"));
+app.use("/api/vehicles/:id/service-records", require("./routes/serviceRecordRoutes"));
+app.use("/api/vehicles/:id/report", require("./routes/reportRoutes"));
 app.use("/api/vehicles", require("./routes/vehicleRoutes"));
 app.use("/api/events", require("./routes/eventRoutes"));
+app.use("/api/transfers", require("./routes/transferRoutes"));
+app.use("/api/memberships", require("./routes/membershipRoutes"));
+app.use("/api/reports", require("./routes/sharedReportRoutes"));
 app.use("/api/comments", require("./routes/commentRoutes"));
+app.use("/api/images/uploads", require("./routes/imageUploadRoutes"));
 app.use("/api/images", require("./routes/imageRoutes"));
 app.use("/api/likes", require("./routes/likeRoutes"));
 app.use('/images', express.static(path.join(__dirname, 'public', 'images')));
@@ -51,6 +72,7 @@ app.get("/", (req, res) => {
 
 // Add error handler middleware functions to the pipeline
 app.use(handleInvalidJson);
+app.use(handleUploadErrors);
 app.use(handleUnauthorized);
 app.use(handleNotFound);
 app.use(handleAllOtherErrors);
@@ -58,4 +80,7 @@ app.use(handleAllOtherErrors);
 const port = process.env.PORT || 3000
 app.listen(port, ()=>{
     Logger.debug(`listening on port: ${port}`);
-});
\ No newline at end of file
+});
+
+// background jobs
+require("./utils/publishScheduler").startPublishScheduler();
\ No newline at end of file
@@ -0,0 +1,50 @@
+// Desc: mailer for the application, the transport is picked with MAIL_TRANSPORT
+const Logger = require("../logging/logger");
+
+const transports = {
+  smtp: require("./transports/smtpTransport"),
+  outbox: require("./transports/outboxTransport"),
+};
+
+let transport;
+
+// transports are created lazily so a missing smtp config only matters once we try to send
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || "outbox";
+    const createTransport = transports[name];
+    if (!createTransport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// lets tests or other environments plug in their own transport, anything with a send(message) method
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || "Ride Journal <no-reply@ridejournal.app>",
+    to,
+    subject,
+    text,
+    html,
+  };
+  try {
+    const result = await getTransport().send(message);
+    Logger.info(`Mail "${subject}" sent to ${to} via ${getTransport().name}`);
+    return result;
+  } catch (error) {
+    Logger.error(`Error sending mail "${subject}" to ${to}: ${error}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+};
@@ -0,0 +1,99 @@
+// plain text bodies for the mail we send, links point at the client app
+
+const clientLink = (pathname, token) => {
+  const base = process.env.CLIENT_URL || "http://localhost:8080";
+  if (token === undefined) {
+    return `${base}${pathname}`;
+  }
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+const passwordResetMail = ({ name, token, expiresInMinutes }) => {
+  const link = clientLink("/reset-password", token);
+  return {
+    subject: "Reset your Ride Journal password",
+    text: `Hi ${name},\n\n`
+      + `Someone asked to reset the password for your Ride Journal account. `
+      + `If that was you, use the link below within ${expiresInMinutes} minutes:\n\n`
+      + `${link}\n\n`
+      + `If you didn't ask for this you can ignore this email, your password won't change.`,
+  };
+};
+
+const emailVerificationMail = ({ name, token, expiresInHours }) => {
+  const link = clientLink("/verify-email", token);
+  return {
+    subject: "Confirm your Ride Journal email address",
+    text: `Hi ${name},\n\n`
+      + `Please confirm this email address for your Ride Journal account `
+      + `by opening the link below within ${expiresInHours} hours:\n\n`
+      + `${link}\n\n`
+      + `If you didn't sign up or change your email on Ride Journal you can ignore this email.`,
+  };
+};
+
+const accountUnlockMail = ({ name, token, lockMinutes }) => {
+  const link = clientLink("/unlock-account", token);
+  return {
+    subject: "Your Ride Journal account has been locked",
+    text: `Hi ${name},\n\n`
+      + `There were too many failed attempts to log in to your Ride Journal account, `
+      + `so we have locked it for ${lockMinutes} minutes. If that was you, you can unlock it straight away here:\n\n`
+      + `${link}\n\n`
+      + `If it wasn't you, someone may be guessing your password. `
+      + `It's worth changing it, and turning on two factor authentication.`,
+  };
+};
+
+// the recipient may not have an account yet, so this goes to the address rather than a user
+const vehicleTransferMail = ({ fromName, vehicle, transferId, expiresInDays }) => {
+  const link = clientLink(`/transfers/${transferId}`);
+  return {
+    subject: `${fromName} wants to transfer their ${vehicle} to you on Ride Journal`,
+    text: `Hi,\n\n`
+      + `${fromName} is handing over the Ride Journal for their ${vehicle} to you, along with its history. `
+      + `Log in or sign up with this email address, then accept it within ${expiresInDays} days:\n\n`
+      + `${link}\n\n`
+      + `If you weren't expecting this you can ignore this email, nothing changes unless you accept.`,
+  };
+};
+
+const MEMBER_ROLES = {
+  owner: 'a co-owner, so you can change anything about it just like they can',
+  editor: 'an editor, so you can log events and upload photos to its journal',
+  viewer: 'a viewer, so you can see its whole journal including fuel, costs and maintenance',
+  shop: 'their workshop, so you can send them the service records for work you do on it',
+};
+
+const vehicleInvitationMail = ({ fromName, vehicle, role, memberId, expiresInDays }) => {
+  const link = clientLink(`/invitations/${memberId}`);
+  return {
+    subject: `${fromName} shared their ${vehicle} with you on Ride Journal`,
+    text: `Hi,\n\n`
+      + `${fromName} has shared their ${vehicle} with you as ${MEMBER_ROLES[role]}. `
+      + `Log in or sign up with this email address, then accept within ${expiresInDays} days:\n\n`
+      + `${link}\n\n`
+      + `If you weren't expecting this you can ignore this email.`,
+  };
+};
+
+const serviceRecordSubmittedMail = ({ shopName, vehicle, vehicleId }) => {
+  const link = clientLink(`/vehicles/${vehicleId}/service-records`);
+  return {
+    subject: `${shopName} sent a service record for your ${vehicle}`,
+    text: `Hi,\n\n`
+      + `${shopName} has written up the work they did on your ${vehicle}. `
+      + `Have a look and approve it to add it to your journal as shop verified:\n\n`
+      + `${link}`,
+  };
+};
+
+module.exports = {
+  clientLink,
+  passwordResetMail,
+  emailVerificationMail,
+  accountUnlockMail,
+  vehicleTransferMail,
+  vehicleInvitationMail,
+  serviceRecordSubmittedMail,
+};
@@ -0,0 +1,22 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+
+// writes every message to a json file instead of sending it, so mail flows
+// can be followed locally without a mail server
+function createOutboxTransport() {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "../../outbox");
+
+  return {
+    name: "outbox",
+    send: async (message) => {
+      await fs.mkdir(outboxDir, { recursive: true });
+      const id = `${Date.now()}-${uuidv4().split("-")[0]}`;
+      const filePath = path.join(outboxDir, `${id}.json`);
+      await fs.writeFile(filePath, JSON.stringify({ id, date: new Date(), ...message }, null, 2));
+      return { id, path: filePath };
+    },
+  };
+}
+
+module.exports = createOutboxTransport;
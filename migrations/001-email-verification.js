@@ -0,0 +1,17 @@
+"use strict";
+// accounts gained a verified email address
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { addMissingColumns }) => {
+    const added = await addMissingColumns(queryInterface, "Users", {
+        verified: {type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false},
+        verifiedAt: {type: DataTypes.DATE, allowNull: true},
+    });
+    // accounts from before verification existed count as verified, otherwise they'd be locked out
+    // and an unverified account's address can be claimed by someone else
+    if (added.includes("verified")) {
+        await queryInterface.sequelize.query("UPDATE `Users` SET `verified` = true, `verifiedAt` = `createdAt`");
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,11 @@
+"use strict";
+// accounts gained a role for the authorization policies
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { addMissingColumns }) => {
+    await addMissingColumns(queryInterface, "Users", {
+        role: {type: DataTypes.ENUM("user", "moderator", "admin"), allowNull: false, defaultValue: "user"},
+    });
+}
+
+module.exports = { up };
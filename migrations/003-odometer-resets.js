@@ -0,0 +1,12 @@
+"use strict";
+// readings can be marked as after an odometer swap or rollover, or flagged for not fitting their neighbours
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { addMissingColumns }) => {
+    await addMissingColumns(queryInterface, "Events", {
+        odometerReset: {type: DataTypes.ENUM("replacement", "rollover"), allowNull: true},
+        odometerFlagged: {type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false},
+    });
+}
+
+module.exports = { up };
@@ -0,0 +1,20 @@
+"use strict";
+// vehicles gained a meter, and readings keep the value and unit they were entered in
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { addMissingColumns }) => {
+    await addMissingColumns(queryInterface, "Vehicles", {
+        meter: {type: DataTypes.ENUM("km", "mi", "hours"), allowNull: false, defaultValue: "km"},
+        displayUnit: {type: DataTypes.ENUM("km", "mi", "hours"), allowNull: true},
+    });
+    const added = await addMissingColumns(queryInterface, "Events", {
+        odometerValue: {type: DataTypes.DECIMAL(12, 1), allowNull: true},
+        odometerUnit: {type: DataTypes.ENUM("km", "mi", "hours"), allowNull: true},
+    });
+    // readings were always entered in km before vehicles had meters
+    if (added.includes("odometerValue")) {
+        await queryInterface.sequelize.query("UPDATE `Events` SET `odometerValue` = `odometer`, `odometerUnit` = 'km' WHERE `odometer` IS NOT NULL");
+    }
+}
+
+module.exports = { up };
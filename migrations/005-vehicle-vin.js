@@ -0,0 +1,11 @@
+"use strict";
+// vehicles gained an optional VIN, sync() adds its index
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { addMissingColumns }) => {
+    await addMissingColumns(queryInterface, "Vehicles", {
+        vin: {type: DataTypes.STRING(17), allowNull: true},
+    });
+}
+
+module.exports = { up };
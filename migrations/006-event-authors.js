@@ -0,0 +1,24 @@
+"use strict";
+// an event now stays in the journal when its author's account is deleted, with the author cleared
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { tableExists }) => {
+    if (!(await tableExists(queryInterface, "Events"))) {
+        return;
+    }
+    const references = await queryInterface.getForeignKeyReferencesForTable("Events");
+    const author = references.find((reference) => reference.columnName === "userId");
+    if (author && author.constraintName) {
+        await queryInterface.removeConstraint("Events", author.constraintName);
+    }
+    await queryInterface.changeColumn("Events", "userId", {type: DataTypes.INTEGER, allowNull: true});
+    await queryInterface.addConstraint("Events", {
+        type: "foreign key",
+        fields: ["userId"],
+        references: {table: "Users", field: "id"},
+        onDelete: "SET NULL",
+        onUpdate: "CASCADE",
+    });
+}
+
+module.exports = { up };
@@ -0,0 +1,21 @@
+"use strict";
+// business accounts, shops as vehicle members and the events they had approved
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { addMissingColumns, tableExists }) => {
+    await addMissingColumns(queryInterface, "Users", {
+        accountType: {type: DataTypes.ENUM("personal", "business"), allowNull: false, defaultValue: "personal"},
+    });
+    await addMissingColumns(queryInterface, "Events", {
+        shopVerified: {type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false},
+    });
+    if (await tableExists(queryInterface, "VehicleMembers")) {
+        await queryInterface.changeColumn("VehicleMembers", "role", {
+            type: DataTypes.ENUM("owner", "editor", "viewer", "shop"),
+            allowNull: false,
+            defaultValue: "viewer",
+        });
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,15 @@
+"use strict";
+// events remember when they went public and when they're scheduled to
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { addMissingColumns }) => {
+    const added = await addMissingColumns(queryInterface, "Events", {
+        publishedAt: {type: DataTypes.DATE, allowNull: true},
+        publishAt: {type: DataTypes.DATE, allowNull: true},
+    });
+    if (added.includes("publishedAt")) {
+        await queryInterface.sequelize.query("UPDATE `Events` SET `publishedAt` = `createdAt` WHERE `published` = true");
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,17 @@
+"use strict";
+// uploaded pictures are stored in several sizes
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { addMissingColumns }) => {
+    await addMissingColumns(queryInterface, "Users", {
+        imageVariants: {type: DataTypes.JSON, allowNull: true},
+    });
+    await addMissingColumns(queryInterface, "Vehicles", {
+        imageVariants: {type: DataTypes.JSON, allowNull: true},
+    });
+    await addMissingColumns(queryInterface, "Images", {
+        variants: {type: DataTypes.JSON, allowNull: true},
+    });
+}
+
+module.exports = { up };
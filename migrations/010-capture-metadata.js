@@ -0,0 +1,14 @@
+"use strict";
+// the capture details read from a photo's exif when the uploader asks for them
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { addMissingColumns }) => {
+    await addMissingColumns(queryInterface, "Images", {
+        takenAt: {type: DataTypes.DATE, allowNull: true},
+        latitude: {type: DataTypes.DOUBLE, allowNull: true},
+        longitude: {type: DataTypes.DOUBLE, allowNull: true},
+        orientation: {type: DataTypes.INTEGER, allowNull: true},
+    });
+}
+
+module.exports = { up };
@@ -0,0 +1,19 @@
+"use strict";
+// images gained captions, alt text and a gallery order, events and vehicles a cover image
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { addMissingColumns }) => {
+    await addMissingColumns(queryInterface, "Images", {
+        caption: {type: DataTypes.STRING(500), allowNull: true},
+        alt: {type: DataTypes.STRING, allowNull: true},
+        sortOrder: {type: DataTypes.INTEGER, allowNull: false, defaultValue: 0},
+    });
+    await addMissingColumns(queryInterface, "Events", {
+        coverImageId: {type: DataTypes.INTEGER, allowNull: true},
+    });
+    await addMissingColumns(queryInterface, "Vehicles", {
+        coverImageId: {type: DataTypes.INTEGER, allowNull: true},
+    });
+}
+
+module.exports = { up };
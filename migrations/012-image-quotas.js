@@ -0,0 +1,22 @@
+"use strict";
+// images count against their uploader's quota
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { addMissingColumns }) => {
+    const added = await addMissingColumns(queryInterface, "Images", {
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {model: "Users", key: "id"},
+            onDelete: "SET NULL",
+            onUpdate: "CASCADE",
+        },
+        bytes: {type: DataTypes.INTEGER, allowNull: false, defaultValue: 0},
+    });
+    // images from before uploads were tracked belong to whoever wrote the event
+    if (added.includes("userId")) {
+        await queryInterface.sequelize.query("UPDATE `Images` SET `userId` = (SELECT `userId` FROM `Events` WHERE `Events`.`id` = `Images`.`eventId`)");
+    }
+}
+
+module.exports = { up };
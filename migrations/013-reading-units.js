@@ -0,0 +1,39 @@
+"use strict";
+// fuel, part and maintenance readings keep the value and unit they were entered in, like event readings
+const { DataTypes } = require("sequelize");
+
+const reading = () => ({
+    value: {type: DataTypes.DECIMAL(12, 1), allowNull: true},
+    unit: {type: DataTypes.ENUM("km", "mi", "hours"), allowNull: true},
+});
+
+// readings so far were entered in the vehicle's normalised unit, km or hours
+const backfill = (queryInterface, table, field) => queryInterface.sequelize.query(
+    `UPDATE \`${table}\` SET \`${field}Value\` = \`${field}\`, \`${field}Unit\` = `
+    + `(SELECT CASE WHEN \`meter\` = 'hours' THEN 'hours' ELSE 'km' END FROM \`Vehicles\` WHERE \`Vehicles\`.\`id\` = \`${table}\`.\`vehicleId\`) `
+    + `WHERE \`${field}\` IS NOT NULL`
+);
+
+const up = async (queryInterface, { addMissingColumns }) => {
+    const tables = {
+        FuelLogs: ["odometer"],
+        Parts: ["installOdometer"],
+        MaintenanceSchedules: ["intervalDistance", "lastDoneOdometer"],
+    };
+    for (const [table, fields] of Object.entries(tables)) {
+        const columns = {};
+        for (const field of fields) {
+            const { value, unit } = reading();
+            columns[`${field}Value`] = value;
+            columns[`${field}Unit`] = unit;
+        }
+        const added = await addMissingColumns(queryInterface, table, columns);
+        for (const field of fields) {
+            if (added.includes(`${field}Value`)) {
+                await backfill(queryInterface, table, field);
+            }
+        }
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,12 @@
+"use strict";
+// events gained a location that their photos can fill in
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { addMissingColumns }) => {
+    await addMissingColumns(queryInterface, "Events", {
+        latitude: {type: DataTypes.DOUBLE, allowNull: true},
+        longitude: {type: DataTypes.DOUBLE, allowNull: true},
+    });
+}
+
+module.exports = { up };
@@ -0,0 +1,11 @@
+"use strict";
+// a sign up waiting to take over an address held by a stale unverified account has no email until it's confirmed
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { tableExists }) => {
+    if (await tableExists(queryInterface, "Users")) {
+        await queryInterface.changeColumn("Users", "email", {type: DataTypes.STRING, allowNull: true});
+    }
+}
+
+module.exports = { up };
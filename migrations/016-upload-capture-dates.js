@@ -0,0 +1,11 @@
+"use strict";
+// a resumable upload remembers whether the event should be dated from the photo once it completes
+const { DataTypes } = require("sequelize");
+
+const up = async (queryInterface, { addMissingColumns }) => {
+    await addMissingColumns(queryInterface, "ImageUploads", {
+        useCaptureDate: {type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false},
+    });
+}
+
+module.exports = { up };
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+// personal access tokens for scripts, accepted by verifyToken alongside session JWTs
+const ApiToken = db.Sequelize.define('ApiToken', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    // the start of the token so users can tell their tokens apart in a listing
+    prefix: {
+        type: DataTypes.STRING(16),
+        allowNull: false
+    },
+    // comma separated, see auth/scopes.js
+    scopes: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        get() {
+            const value = this.getDataValue('scopes');
+            return value ? value.split(',') : [];
+        },
+        set(value) {
+            this.setDataValue('scopes', Array.isArray(value) ? value.join(',') : value);
+        }
+    },
+    lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    defaultScope: {
+        attributes: { exclude: ['tokenHash'] }
+    }
+});
+
+module.exports = ApiToken;
@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+const EmailVerification = db.Sequelize.define('EmailVerification', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // the address being verified, on an email change the user keeps the old one until this is confirmed
+    email: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+});
+
+module.exports = EmailVerification;
@@ -7,9 +7,10 @@ const Event = db.Sequelize.define('Event', {
         primaryKey: true,
         autoIncrement: true,
     },
+    // whoever wrote it, kept when the vehicle is transferred and cleared if their account is deleted
     userId: {
         type: DataTypes.INTEGER,
-        allowNull: false
+        allowNull: true
     },
     vehicleId : {
         type: DataTypes.INTEGER,
@@ -32,13 +33,72 @@ const Event = db.Sequelize.define('Event', {
         type: DataTypes.DATEONLY,
         allowNull: false
     },
+    // normalised to km, or hours when the vehicle has an hour meter
     odometer: {
         type: DataTypes.INTEGER,
         allowNull: true
     },
+    // the reading as it was entered, and the unit it was in
+    odometerValue: {
+        type: DataTypes.DECIMAL(12, 1),
+        allowNull: true
+    },
+    odometerUnit: {
+        type: DataTypes.ENUM,
+        values: ['km', 'mi', 'hours'],
+        allowNull: true
+    },
+    // set when the odometer was swapped or wrapped around, so this reading may be lower than the last
+    odometerReset: {
+        type: DataTypes.ENUM,
+        values: ['replacement', 'rollover'],
+        allowNull: true
+    },
+    // a reading that didn't fit its neighbours but was kept because ODOMETER_MODE is flag
+    odometerFlagged: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    // drafts are only shown to the people sharing the vehicle
     published: {
         type: DataTypes.BOOLEAN,
         defaultValue: false
+    },
+    // when it last went public, cleared while it's a draft
+    publishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // a draft the scheduled publisher will make public at this time
+    publishAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // written by a shop and approved by the owner, only ever set by approving a service record
+    shopVerified: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    // one of the event's own images, shown first in feeds
+    coverImageId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // where it happened, entered or taken from the first of its photos uploaded with extractMetadata
+    // it can be someone's home, so only the author and the vehicle's owner see it, see GET /api/events/{id}/location
+    latitude: {
+        type: DataTypes.DOUBLE,
+        allowNull: true
+    },
+    longitude: {
+        type: DataTypes.DOUBLE,
+        allowNull: true
+    }
+}, {
+    defaultScope: {
+        attributes: { exclude: ['latitude', 'longitude'] }
     }
 });
 
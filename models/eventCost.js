@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+// one line of what an event cost, an invoice can be split into as many as needed
+const EventCost = db.Sequelize.define('EventCost', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    eventId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    category: {
+        type: DataTypes.ENUM,
+        values: ['parts', 'labour', 'other'],
+        allowNull: false,
+        defaultValue: 'parts'
+    },
+    description: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: 0
+        }
+    },
+    // ISO 4217 code, amounts are never converted so reports total each currency separately
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: process.env.DEFAULT_CURRENCY || 'USD'
+    },
+    vendor: {
+        type: DataTypes.STRING,
+        allowNull: true
+    }
+});
+
+module.exports = EventCost;
@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+const FuelLog = db.Sequelize.define('FuelLog', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    vehicleId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    // normalised to km, or hours when the vehicle has an hour meter, like an event's reading
+    odometer: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // the reading as it was entered, and the unit it was in
+    odometerValue: {
+        type: DataTypes.DECIMAL(12, 1),
+        allowNull: true
+    },
+    odometerUnit: {
+        type: DataTypes.ENUM,
+        values: ['km', 'mi', 'hours'],
+        allowNull: true
+    },
+    // litres or US gallons of fuel, or kWh for a charge
+    amount: {
+        type: DataTypes.DECIMAL(10, 3),
+        allowNull: false,
+        validate: {
+            min: 0
+        }
+    },
+    unit: {
+        type: DataTypes.ENUM,
+        values: ['litre', 'gallon', 'kWh'],
+        allowNull: false,
+        defaultValue: 'litre'
+    },
+    // total paid for the fill-up
+    price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        validate: {
+            min: 0
+        }
+    },
+    // false for a top-up that didn't fill the tank (or charge to the usual level)
+    fullTank: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    station: {
+        type: DataTypes.STRING,
+        allowNull: true
+    }
+});
+
+module.exports = FuelLog;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const db = require('../db');
+const { variantsWithUrls } = require('../utils/imageVariants');
 
 const Image = db.Sequelize.define('Image', {
     id: {
@@ -11,9 +12,66 @@ const Image = db.Sequelize.define('Image', {
         type: DataTypes.INTEGER,
         allowNull: false
     },
+    // who uploaded it, their upload quota is counted from these
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // everything stored for it, all sizes and formats together
+    bytes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
     image: {
         type: DataTypes.STRING,
         allowNull: false
+    },
+    caption: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    },
+    // describes the photo for screen readers
+    alt: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // position in the event's gallery, lowest first
+    sortOrder: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // file names for each size, {thumb, medium, full} each with src, webp, width and height
+    // responses add url and webpUrl from the storage driver, clients shouldn't build them from the names
+    variants: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        get() {
+            return variantsWithUrls(this.getDataValue('variants'), this.getDataValue('image'));
+        }
+    },
+    // read from the photo's exif when the uploader asks for it, the stored files never keep it
+    // only the event's author and the vehicle's owner see these, see GET /api/images/{id}/metadata
+    takenAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    latitude: {
+        type: DataTypes.DOUBLE,
+        allowNull: true
+    },
+    longitude: {
+        type: DataTypes.DOUBLE,
+        allowNull: true
+    },
+    orientation: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    }
+}, {
+    defaultScope: {
+        attributes: { exclude: ['takenAt', 'latitude', 'longitude', 'orientation'] }
     }
 });
 
@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+// a resumable upload in progress, the chunks are stored one by one and put together into an image once they're all in
+const ImageUpload = db.Sequelize.define('ImageUpload', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    eventId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    filename: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    mimeType: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    // the whole file's size in bytes, declared up front
+    size: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // bytes stored so far, the offset the next chunk has to start at
+    received: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // storage keys of the chunks in order
+    parts: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: []
+    },
+    caption: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    },
+    alt: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    extractMetadata: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    useCaptureDate: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    // pushed back with every chunk, an abandoned upload is cleared out after this
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+});
+
+module.exports = ImageUpload;
@@ -1,10 +1,28 @@
 "use strict"
+const { migrate } = require("../db/migrate");
 const User = require("./user");
 const Vehicle = require("./vehicle");
 const Event = require("./event");
 const Comment = require("./comment");
 const Image = require("./image");
 const Like = require("./like");
+const Session = require("./session");
+const PasswordReset = require("./passwordReset");
+const EmailVerification = require("./emailVerification");
+const TwoFactor = require("./twoFactor");
+const RecoveryCode = require("./recoveryCode");
+const ApiToken = require("./apiToken");
+const MaintenanceSchedule = require("./maintenanceSchedule");
+const FuelLog = require("./fuelLog");
+const EventCost = require("./eventCost");
+const Part = require("./part");
+const VehicleDocument = require("./vehicleDocument");
+const VehicleTransfer = require("./vehicleTransfer");
+const OwnershipRecord = require("./ownershipRecord");
+const VehicleMember = require("./vehicleMember");
+const ServiceRecord = require("./serviceRecord");
+const ReportLink = require("./reportLink");
+const ImageUpload = require("./imageUpload");
 
 async function init() {
     // create relationships between models
@@ -47,14 +65,218 @@ async function init() {
                 allowNull: false,
             }
         });
-        User.hasMany(Event, {
+        User.hasMany(Session, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "userId",
+                allowNull: false,
+            },
+        });
+        Session.belongsTo(User, {
+            foreignKey: {
+                name: "userId",
+                allowNull: false,
+            }
+        });
+        User.hasMany(PasswordReset, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "userId",
+                allowNull: false,
+            },
+        });
+        PasswordReset.belongsTo(User, {
+            foreignKey: {
+                name: "userId",
+                allowNull: false,
+            }
+        });
+        User.hasMany(EmailVerification, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "userId",
+                allowNull: false,
+            },
+        });
+        EmailVerification.belongsTo(User, {
+            foreignKey: {
+                name: "userId",
+                allowNull: false,
+            }
+        });
+        User.hasOne(TwoFactor, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "userId",
+                allowNull: false,
+            },
+        });
+        TwoFactor.belongsTo(User, {
+            foreignKey: {
+                name: "userId",
+                allowNull: false,
+            }
+        });
+        User.hasMany(RecoveryCode, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "userId",
+                allowNull: false,
+            },
+        });
+        RecoveryCode.belongsTo(User, {
+            foreignKey: {
+                name: "userId",
+                allowNull: false,
+            }
+        });
+        User.hasMany(ApiToken, {
             onDelete: 'CASCADE',
             foreignKey: {
                 name: "userId",
                 allowNull: false,
             },
         });
+        ApiToken.belongsTo(User, {
+            foreignKey: {
+                name: "userId",
+                allowNull: false,
+            }
+        });
+        // a sold vehicle keeps the events its previous owner wrote, even once their account is gone
+        User.hasMany(Event, {
+            onDelete: 'SET NULL',
+            foreignKey: {
+                name: "userId",
+                allowNull: true,
+            },
+        });
         Event.belongsTo(User, {
+            foreignKey: {
+                name: "userId",
+                allowNull: true,
+            },
+        });
+        User.hasMany(VehicleTransfer, {
+            as: "sentTransfers",
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "fromUserId",
+                allowNull: false,
+            },
+        });
+        VehicleTransfer.belongsTo(User, {
+            as: "fromUser",
+            foreignKey: {
+                name: "fromUserId",
+                allowNull: false,
+            },
+        });
+        User.hasMany(VehicleTransfer, {
+            as: "receivedTransfers",
+            onDelete: 'SET NULL',
+            foreignKey: {
+                name: "toUserId",
+                allowNull: true,
+            },
+        });
+        VehicleTransfer.belongsTo(User, {
+            as: "toUser",
+            foreignKey: {
+                name: "toUserId",
+                allowNull: true,
+            },
+        });
+        User.hasMany(OwnershipRecord, {
+            onDelete: 'SET NULL',
+            foreignKey: {
+                name: "userId",
+                allowNull: true,
+            },
+        });
+        OwnershipRecord.belongsTo(User, {
+            foreignKey: {
+                name: "userId",
+                allowNull: true,
+            },
+        });
+        User.hasMany(VehicleMember, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "userId",
+                allowNull: true,
+            },
+        });
+        VehicleMember.belongsTo(User, {
+            foreignKey: {
+                name: "userId",
+                allowNull: true,
+            },
+        });
+        User.hasMany(VehicleMember, {
+            as: "sentInvitations",
+            onDelete: 'SET NULL',
+            foreignKey: {
+                name: "invitedBy",
+                allowNull: true,
+            },
+        });
+        VehicleMember.belongsTo(User, {
+            as: "inviter",
+            foreignKey: {
+                name: "invitedBy",
+                allowNull: true,
+            },
+        });
+        User.hasMany(ServiceRecord, {
+            onDelete: 'SET NULL',
+            foreignKey: {
+                name: "shopId",
+                allowNull: true,
+            },
+        });
+        ServiceRecord.belongsTo(User, {
+            as: "shop",
+            foreignKey: {
+                name: "shopId",
+                allowNull: true,
+            },
+        });
+        User.hasMany(ReportLink, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "userId",
+                allowNull: false,
+            },
+        });
+        ReportLink.belongsTo(User, {
+            foreignKey: {
+                name: "userId",
+                allowNull: false,
+            },
+        });
+        // images stay on the event when their uploader's account is deleted
+        User.hasMany(Image, {
+            onDelete: 'SET NULL',
+            foreignKey: {
+                name: "userId",
+                allowNull: true,
+            },
+        });
+        Image.belongsTo(User, {
+            foreignKey: {
+                name: "userId",
+                allowNull: true,
+            },
+        });
+        User.hasMany(ImageUpload, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "userId",
+                allowNull: false,
+            },
+        });
+        ImageUpload.belongsTo(User, {
             foreignKey: {
                 name: "userId",
                 allowNull: false,
@@ -76,6 +298,203 @@ async function init() {
             },
         });
 
+        Vehicle.hasMany(VehicleTransfer, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        VehicleTransfer.belongsTo(Vehicle, {
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        Vehicle.hasMany(OwnershipRecord, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        OwnershipRecord.belongsTo(Vehicle, {
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        Vehicle.hasMany(VehicleMember, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        VehicleMember.belongsTo(Vehicle, {
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        Vehicle.hasMany(ServiceRecord, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        ServiceRecord.belongsTo(Vehicle, {
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        Vehicle.hasMany(ReportLink, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        ReportLink.belongsTo(Vehicle, {
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        // the record stays as the shop sent it if the owner later deletes the event
+        Event.hasOne(ServiceRecord, {
+            as: "serviceRecord",
+            onDelete: 'SET NULL',
+            foreignKey: {
+                name: "eventId",
+                allowNull: true,
+            },
+        });
+        ServiceRecord.belongsTo(Event, {
+            foreignKey: {
+                name: "eventId",
+                allowNull: true,
+            },
+        });
+
+        Vehicle.hasMany(MaintenanceSchedule, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        MaintenanceSchedule.belongsTo(Vehicle, {
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        Vehicle.hasMany(FuelLog, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        FuelLog.belongsTo(Vehicle, {
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        // deleting the event a task was last done in keeps the copied date and odometer
+        Event.hasMany(MaintenanceSchedule, {
+            as: "completedMaintenance",
+            onDelete: 'SET NULL',
+            foreignKey: {
+                name: "lastDoneEventId",
+                allowNull: true,
+            },
+        });
+        MaintenanceSchedule.belongsTo(Event, {
+            as: "lastDoneEvent",
+            foreignKey: {
+                name: "lastDoneEventId",
+                allowNull: true,
+            },
+        });
+
+        Vehicle.hasMany(Part, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        Part.belongsTo(Vehicle, {
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        Vehicle.hasMany(VehicleDocument, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        VehicleDocument.belongsTo(Vehicle, {
+            foreignKey: {
+                name: "vehicleId",
+                allowNull: false,
+            },
+        });
+        // the copied dates and odometer keep the part's history if its events are deleted
+        Event.hasMany(Part, {
+            as: "installedParts",
+            onDelete: 'SET NULL',
+            foreignKey: {
+                name: "installEventId",
+                allowNull: true,
+            },
+        });
+        Part.belongsTo(Event, {
+            as: "installEvent",
+            foreignKey: {
+                name: "installEventId",
+                allowNull: true,
+            },
+        });
+        Event.hasMany(Part, {
+            as: "removedParts",
+            onDelete: 'SET NULL',
+            foreignKey: {
+                name: "removalEventId",
+                allowNull: true,
+            },
+        });
+        Part.belongsTo(Event, {
+            as: "removalEvent",
+            foreignKey: {
+                name: "removalEventId",
+                allowNull: true,
+            },
+        });
+
+        Event.hasMany(EventCost, {
+            as: "costs",
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "eventId",
+                allowNull: false,
+            },
+        });
+        EventCost.belongsTo(Event, {
+            foreignKey: {
+                name: "eventId",
+                allowNull: false,
+            },
+        });
+
         Event.hasMany(Like, {
             onDelete: 'CASCADE',
             foreignKey: {
@@ -115,13 +534,63 @@ async function init() {
                 allowNull: false,
             }
         });
+        Event.hasMany(ImageUpload, {
+            onDelete: 'CASCADE',
+            foreignKey: {
+                name: "eventId",
+                allowNull: false,
+            },
+        });
+        ImageUpload.belongsTo(Event, {
+            foreignKey: {
+                name: "eventId",
+                allowNull: false,
+            },
+        });
+        // images are synced after events and vehicles, so the covers have no constraint
+        // and deleting an image clears them itself
+        Event.belongsTo(Image, {
+            as: "coverImage",
+            constraints: false,
+            foreignKey: {
+                name: "coverImageId",
+                allowNull: true,
+            },
+        });
+        Vehicle.belongsTo(Image, {
+            as: "coverImage",
+            constraints: false,
+            foreignKey: {
+                name: "coverImageId",
+                allowNull: true,
+            },
+        });
 
+        // existing tables are brought up to date first, sync() only creates the missing ones
+        await migrate();
         await User.sync();
         await Vehicle.sync();
         await Event.sync();
         await Comment.sync();
         await Image.sync();
         await Like.sync();
+        await Session.sync();
+        await PasswordReset.sync();
+        await EmailVerification.sync();
+        await TwoFactor.sync();
+        await RecoveryCode.sync();
+        await ApiToken.sync();
+        await MaintenanceSchedule.sync();
+        await FuelLog.sync();
+        await EventCost.sync();
+        await Part.sync();
+        await VehicleDocument.sync();
+        await VehicleTransfer.sync();
+        await OwnershipRecord.sync();
+        await VehicleMember.sync();
+        await ServiceRecord.sync();
+        await ReportLink.sync();
+        await ImageUpload.sync();
     }
 
     module.exports = {
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+const MaintenanceSchedule = db.Sequelize.define('MaintenanceSchedule', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    vehicleId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    task: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    // extra comma separated words that mark a maintenance event as this task, the task name always counts
+    keywords: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // due every intervalDistance and/or every intervalMonths, whichever comes first
+    // distances are normalised to the vehicle's meter like an event's reading, with what was entered next to them
+    intervalDistance: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+            min: 1
+        }
+    },
+    intervalDistanceValue: {
+        type: DataTypes.DECIMAL(12, 1),
+        allowNull: true
+    },
+    intervalDistanceUnit: {
+        type: DataTypes.ENUM,
+        values: ['km', 'mi', 'hours'],
+        allowNull: true
+    },
+    intervalMonths: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+            min: 1
+        }
+    },
+    lastDoneEventId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // copied from the event so the schedule still works if that event is deleted
+    lastDoneDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    lastDoneOdometer: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    lastDoneOdometerValue: {
+        type: DataTypes.DECIMAL(12, 1),
+        allowNull: true
+    },
+    lastDoneOdometerUnit: {
+        type: DataTypes.ENUM,
+        values: ['km', 'mi', 'hours'],
+        allowNull: true
+    }
+});
+
+module.exports = MaintenanceSchedule;
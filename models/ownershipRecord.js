@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+// one link in a vehicle's chain of owners, endedAt is null for the current owner
+const OwnershipRecord = db.Sequelize.define('OwnershipRecord', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    vehicleId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // cleared if the owner deletes their account, ownerName keeps the chain readable
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    ownerName: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    startedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    endedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    transferId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    }
+});
+
+module.exports = OwnershipRecord;
@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+const Part = db.Sequelize.define('Part', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    vehicleId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    brand: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    partNumber: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // free text so people can group a build however they like, exhaust, suspension, brakes...
+    category: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'other'
+    },
+    installEventId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    removalEventId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // copied from the install/removal events when they're given, so they survive the event being deleted
+    installedAt: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    // normalised to the vehicle's meter like an event's reading, with the reading as entered next to it
+    installOdometer: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    installOdometerValue: {
+        type: DataTypes.DECIMAL(12, 1),
+        allowNull: true
+    },
+    installOdometerUnit: {
+        type: DataTypes.ENUM,
+        values: ['km', 'mi', 'hours'],
+        allowNull: true
+    },
+    removedAt: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    warrantyExpiry: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+});
+
+module.exports = Part;
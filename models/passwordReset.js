@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+const PasswordReset = db.Sequelize.define('PasswordReset', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // only the sha256 of the token is stored, the raw token is only ever in the email
+    tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+});
+
+module.exports = PasswordReset;
@@ -0,0 +1,24 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+const RecoveryCode = db.Sequelize.define('RecoveryCode', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    codeHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false
+    },
+    usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+});
+
+module.exports = RecoveryCode;
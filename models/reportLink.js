@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+// a link the owner hands out so someone without an account can read the vehicle's report until it expires
+const ReportLink = db.Sequelize.define('ReportLink', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    vehicleId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // who made the link
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // only the hash is stored, the token itself is shown once when the link is made
+    tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    label: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    viewCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    lastViewedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+});
+
+module.exports = ReportLink;
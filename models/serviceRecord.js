@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+// work a shop has done on a customer's vehicle, it only becomes an event once the owner approves it
+const ServiceRecord = db.Sequelize.define('ServiceRecord', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    vehicleId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // cleared if the shop deletes their account, shopName keeps the record readable
+    shopId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    shopName: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    // the event made on approval
+    eventId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM,
+        values: ['pending', 'approved', 'rejected'],
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    title: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    detail: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    type: {
+        type: DataTypes.ENUM,
+        values: ['repair', 'maintenance'],
+        allowNull: false
+    },
+    date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    // normalised the same way as an event's reading
+    odometer: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    odometerValue: {
+        type: DataTypes.DECIMAL(12, 1),
+        allowNull: true
+    },
+    odometerUnit: {
+        type: DataTypes.ENUM,
+        values: ['km', 'mi', 'hours'],
+        allowNull: true
+    },
+    // the work done, these become the event's cost lines
+    items: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: []
+    },
+    invoice: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    invoiceName: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    invoiceMimeType: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // the owner's reason when it's rejected
+    reviewNote: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    reviewedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+});
+
+module.exports = ServiceRecord;
@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+const Session = db.Sequelize.define('Session', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // only the sha256 of the refresh token is stored, the raw token is handed to the client once
+    refreshTokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    // the token that was rotated out last, used to spot a stolen refresh token being replayed
+    previousTokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+    },
+    userAgent: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    ip: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    indexes: [
+        { fields: ['previousTokenHash'] }
+    ]
+});
+
+module.exports = Session;
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+// kept out of the User model so the secret never ends up in a user response
+const TwoFactor = db.Sequelize.define('TwoFactor', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true
+    },
+    secret: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    // null while enrolment is waiting on the first code to be confirmed
+    enabledAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // the last time step a code was accepted for, stops the same code being used twice
+    lastUsedStep: {
+        type: DataTypes.BIGINT,
+        allowNull: true
+    }
+});
+
+module.exports = TwoFactor;
@@ -1,5 +1,6 @@
 const { DataTypes } = require("sequelize");
 const db = require("../db");
+const { variantsWithUrls } = require("../utils/imageVariants");
 
 const User = db.Sequelize.define(
   "User",
@@ -13,9 +14,10 @@ const User = db.Sequelize.define(
       type: DataTypes.STRING,
       allowNull: false,
     },
+    // empty while a sign up waits to take over an address a stale unverified account was holding
     email: {
       type: DataTypes.STRING,
-      allowNull: false,
+      allowNull: true,
       unique: true,
     },
     password: {
@@ -29,9 +31,39 @@ const User = db.Sequelize.define(
       type: DataTypes.STRING,
       allowNull: false,
     },
+    // the sized copies of image, same shape as an event image's variants
+    imageVariants: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      get() {
+        return variantsWithUrls(this.getDataValue("imageVariants"), this.getDataValue("image"));
+      },
+    },
     profile: {
       type: DataTypes.TEXT,
       allowNull: true,
+    },
+    role: {
+      type: DataTypes.ENUM,
+      values: ["user", "moderator", "admin"],
+      allowNull: false,
+      defaultValue: "user",
+    },
+    verified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    verifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // business accounts are workshops, they can be given shop access to customers' vehicles
+    accountType: {
+      type: DataTypes.ENUM,
+      values: ["personal", "business"],
+      allowNull: false,
+      defaultValue: "personal",
     }
   }
 );
@@ -1,5 +1,6 @@
 const { DataTypes } = require("sequelize");
 const db = require("../db");
+const { variantsWithUrls } = require("../utils/imageVariants");
 
 const Vehicle = db.Sequelize.define("Vehicle", {
   id: {
@@ -49,10 +50,43 @@ const Vehicle = db.Sequelize.define("Vehicle", {
     type: DataTypes.STRING,
     allowNull: false,
   },
+  // the sized copies of image, same shape as an event image's variants
+  imageVariants: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    get() {
+      return variantsWithUrls(this.getDataValue("imageVariants"), this.getDataValue("image"));
+    },
+  },
   profile: {
     type: DataTypes.TEXT,
     allowNull: true,
   },
+  // an image from one of the vehicle's events, picked to show off the vehicle
+  coverImageId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  // stored normalised, the same VIN on two users' vehicles is allowed but warned about
+  vin: {
+    type: DataTypes.STRING(17),
+    allowNull: true,
+  },
+  // what the vehicle's own meter reads, event readings are stored in km for km/mi and hours for hours
+  meter: {
+    type: DataTypes.ENUM,
+    values: ['km', 'mi', 'hours'],
+    allowNull: false,
+    defaultValue: 'km',
+  },
+  // the unit the vehicle's readings are shown in when a request doesn't ask for one
+  displayUnit: {
+    type: DataTypes.ENUM,
+    values: ['km', 'mi', 'hours'],
+    allowNull: true,
+  },
+}, {
+  indexes: [{ fields: ['vin'] }],
 });
 
 module.exports = Vehicle;
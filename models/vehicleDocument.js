@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+const VehicleDocument = db.Sequelize.define('VehicleDocument', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    vehicleId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    type: {
+        type: DataTypes.ENUM,
+        values: ['registration', 'insurance', 'roadworthy', 'warranty', 'other'],
+        allowNull: false
+    },
+    title: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // the stored file under DOCUMENT_DIR, never served statically
+    file: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    originalName: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    mimeType: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    size: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    issuedAt: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    expiresAt: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+});
+
+module.exports = VehicleDocument;
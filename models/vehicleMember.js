@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+// someone sharing a vehicle with its owner, invited by email and active once they accept
+// owners can do everything the vehicle's owner can except sell or delete it, editors log events and images, viewers only read
+// shops are business accounts that can only submit service records for the owner to approve
+const VehicleMember = db.Sequelize.define('VehicleMember', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    vehicleId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // set when the invitation is accepted, the invitee may not have an account before that
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    email: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    role: {
+        type: DataTypes.ENUM,
+        values: ['owner', 'editor', 'viewer', 'shop'],
+        allowNull: false,
+        defaultValue: 'viewer'
+    },
+    status: {
+        type: DataTypes.ENUM,
+        values: ['pending', 'active'],
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    invitedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    acceptedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+});
+
+module.exports = VehicleMember;
@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const db = require('../db');
+
+const VehicleTransfer = db.Sequelize.define('VehicleTransfer', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    vehicleId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    fromUserId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // the recipient may not have an account yet, whoever verifies this address can accept
+    toEmail: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    toUserId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM,
+        values: ['pending', 'accepted', 'declined', 'cancelled'],
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    respondedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+});
+
+module.exports = VehicleTransfer;
@@ -7,12 +7,16 @@ const {validationResult} = require('express-validator');
 const { idParamValidator } = require("../validators");
 const {commentValidator, updateCommentValidator} = require("../validators/commentValidator");
 const verifyToken = require("../auth/authMiddleware");
+const authorize = require("../auth/authorize");
+const { optionalToken, hidesDraft } = require("../auth/viewer");
+const { policies } = require("../auth/policies");
+const { requireVerified } = require("../auth/verificationMiddleware");
 
 /**
  * @swagger
  * /api/comments:
  *  get:
- *    description: Use to request all comments
+ *    description: Use to request all comments on published events
  *    tags:
  *      - Comments
  *    responses:
@@ -36,7 +40,7 @@ router.get("/", async (req, res, next) => {
  * @swagger
  * /api/comments/{id}:
  *  get:
- *    description: Use to request a comment by ID
+ *    description: Use to request a comment by ID. Comments on drafts are only found by the people who can see the draft
  *    tags:
  *      - Comments
  *    parameters:
@@ -57,12 +61,12 @@ router.get("/", async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.get("/:id", idParamValidator, async (req, res, next) => {
+router.get("/:id", optionalToken, idParamValidator, async (req, res, next) => {
     const errors = validationResult(req);
     try {
         if (errors.isEmpty()) {
             const data = await commentController.getComment(req.params.id);
-            if (!data) {
+            if (!data || await hidesDraft(req, await policies.Event.load(data.eventId))) {
                 res.sendStatus(404);
             } else {
                 res.send({ result: 200, data: data });
@@ -79,7 +83,7 @@ router.get("/:id", idParamValidator, async (req, res, next) => {
  * @swagger
  * /api/comments/event/{id}:
  *  get:
- *    description: Use to request comments by event by ID
+ *    description: Use to request comments by event by ID. A draft's comments are only found by the people who can see it
  *    tags:
  *      - Comments
  *    parameters:
@@ -100,12 +104,12 @@ router.get("/:id", idParamValidator, async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.get("/event/:id", idParamValidator, async (req, res, next) => {
+router.get("/event/:id", optionalToken, idParamValidator, async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()) {
             const data = await commentController.getCommentsByEvent(req.params.id);
-            if (!data) {
+            if (!data || await hidesDraft(req, await policies.Event.load(req.params.id))) {
                 res.sendStatus(404);
             } else {
                 res.send({ result: 200, data: data });
@@ -122,7 +126,7 @@ router.get("/event/:id", idParamValidator, async (req, res, next) => {
  * @swagger
  * /api/comments/user/{id}:
  *  get:
- *    description: Use to request comments by use by ID
+ *    description: Use to request comments by use by ID, only the ones on published events
  *    tags:
  *      - Comments
  *    parameters:
@@ -192,6 +196,8 @@ router.get("/user/:id", idParamValidator, async (req, res, next) => {
  *        description: A successful response
  *      '400':
  *        description: Invalid JSON
+ *      '403':
+ *        description: Email address must be verified to comment
  *      '404':
  *        description: Comment not found
  *      '422':
@@ -199,18 +205,15 @@ router.get("/user/:id", idParamValidator, async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.post("/", verifyToken, commentValidator, async (req, res, next) =>{
+router.post("/", verifyToken, requireVerified("comment"), commentValidator, authorize("Comment", "create"), async (req, res, next) =>{
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()){
-            const data = await commentController.createComment(req.body, req.userId);
+            const data = await commentController.createComment(req.body);
             switch (data) {
                 case 404:
                     res.sendStatus(404);
                     break;
-                case 401:
-                    res.status(401).json({errors: [{"msg":"Unauthorized"}]});
-                    break;
                 default:
                     res.send({result:200, data:data});
             }
@@ -260,6 +263,8 @@ router.post("/", verifyToken, commentValidator, async (req, res, next) =>{
  *        description: A successful response
  *      '400':
  *        description: Invalid JSON
+ *      '403':
+ *        description: Forbidden
  *      '404':
  *        description: Comment not found
  *      '422':
@@ -267,18 +272,15 @@ router.post("/", verifyToken, commentValidator, async (req, res, next) =>{
  *      '500':
  *        description: Server error
  */
-router.put("/:id", verifyToken, updateCommentValidator, async (req, res, next) => {
+router.put("/:id", verifyToken, updateCommentValidator, authorize("Comment", "update"), async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()){
-            const data = await commentController.updateComment(req.params.id, req.body, req.userId);
+            const data = await commentController.updateComment(req.params.id, req.body);
             switch (data) {
                 case 404:
                     res.sendStatus(404);
                     break;
-                case 401:
-                    res.status(401).json({errors: [{"msg":"Unauthorized"}]});
-                    break;
                 default:
                     res.send({result:200, data:data});
             }
@@ -309,6 +311,8 @@ router.put("/:id", verifyToken, updateCommentValidator, async (req, res, next) =
  *    responses:
  *      '200':
  *        description: A successful response
+ *      '403':
+ *        description: Forbidden
  *      '404':
  *        description: Comment not found
  *      '422':
@@ -316,18 +320,15 @@ router.put("/:id", verifyToken, updateCommentValidator, async (req, res, next) =
  *      '500':
  *        description: Server error
  */
-router.delete("/:id", verifyToken, idParamValidator, async (req, res, next) => {
+router.delete("/:id", verifyToken, idParamValidator, authorize("Comment", "delete"), async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()){
-            const data = await commentController.deleteComment(req.params.id, req.userId);
+            const data = await commentController.deleteComment(req.params.id);
             switch (data) {
                 case 404:
                     res.sendStatus(404);
                     break;
-                case 401:
-                    res.status(401).json({errors: [{"msg":"Unauthorized"}]});
-                    break;
                 default:
                     res.send({result:200, data:data});
             }
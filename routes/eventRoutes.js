@@ -5,14 +5,21 @@ const eventController = require("../controllers/eventController");
 // import validators
 const {validationResult} = require('express-validator');
 const { idParamValidator } = require("../validators");
-const {eventValidator, updateEventValidator, eventTypeParamValidator} = require("../validators/eventValidator");
+const {eventValidator, updateEventValidator, publishEventValidator, eventTypeParamValidator} = require("../validators/eventValidator");
 const verifyToken = require("../auth/authMiddleware");
+const authorize = require("../auth/authorize");
+const { requireVerified, isPublishing } = require("../auth/verificationMiddleware");
+const { optionalToken, viewerCan, hidesDraft } = require("../auth/viewer");
+const { policies } = require("../auth/policies");
+
+// cost lines are as private as the vehicle's expenses
+const hidesCosts = async (req, event) => !(await viewerCan(req, "Vehicle", "readExpenses", await policies.Vehicle.load(event.vehicleId)));
 
 /**
  * @swagger
  * /api/events:
  *  get:
- *    description: Use to request all events
+ *    description: Use to request all published events
  *    tags:
  *      - Events
  *    parameters:
@@ -52,7 +59,10 @@ router.get("/", async (req, res, next) => {
  * @swagger
  * /api/events/{id}:
  *  get:
- *    description: Use to request a event by ID
+ *    description: Use to request a event by ID. Drafts are only found by the people sharing the vehicle, and only they get the cost lines
+ *    security:
+ *     - {}
+ *     - bearerAuth: []
  *    tags:
  *      - Events
  *    parameters:
@@ -73,15 +83,19 @@ router.get("/", async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.get("/:id", idParamValidator, async (req, res, next) => {
+router.get("/:id", optionalToken, idParamValidator, async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()) {
             const data = await eventController.getEvent(req.params.id);
-            if (!data) {
+            if (!data || await hidesDraft(req, data)) {
                 res.sendStatus(404);
             } else {
-                res.send({ result: 200, data: data });
+                const filteredData = data.toJSON();
+                if (await hidesCosts(req, data)) {
+                    delete filteredData.costs;
+                }
+                res.send({ result: 200, data: filteredData });
             }
         } else {
             res.status(422).json({errors: errors.array()});
@@ -95,7 +109,10 @@ router.get("/:id", idParamValidator, async (req, res, next) => {
  * @swagger
  * /api/events/{id}/include:
  *  get:
- *    description: Use to request a event by ID with all includes
+ *    description: Use to request a event by ID with all includes. Drafts are only found by the people sharing the vehicle, and only they get the cost lines
+ *    security:
+ *     - {}
+ *     - bearerAuth: []
  *    tags:
  *      - Events
  *    parameters:
@@ -116,12 +133,12 @@ router.get("/:id", idParamValidator, async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.get("/:id/include", idParamValidator, async (req, res, next) => {
+router.get("/:id/include", optionalToken, idParamValidator, async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()) {
             const data = await eventController.getEventIncludeAll(req.params.id);
-            if (!data) {
+            if (!data || await hidesDraft(req, data)) {
                 res.sendStatus(404);
             } else {
                 const filteredData = data.toJSON();
@@ -129,6 +146,9 @@ router.get("/:id/include", idParamValidator, async (req, res, next) => {
                     delete filteredData.User.password;
                     delete filteredData.User.email;
                 }
+                if (await hidesCosts(req, data)) {
+                    delete filteredData.costs;
+                }
                 res.send({ result: 200, data: filteredData });
             }
         } else {
@@ -139,11 +159,57 @@ router.get("/:id/include", idParamValidator, async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/events/{id}/location:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to request where an event happened, as entered or taken from one of its photos. Only the event's author and the vehicle's owner can see it
+ *    tags:
+ *      - Events
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of event to fetch
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response, latitude and longitude are null when the event has no location
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Event not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/:id/location", verifyToken, idParamValidator, authorize("Event", "readLocation"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await eventController.getEventLocation(req.params.id);
+            res.send({ result: 200, data: data });
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
 /**
  * @swagger
  * /api/events/vehicle/{id}:
  *  get:
- *    description: Use to request a event by vehicle ID
+ *    description: Use to request a vehicle's events. Drafts are included for the people sharing the vehicle, and your own drafts always are
+ *    security:
+ *     - {}
+ *     - bearerAuth: []
  *    tags:
  *      - Events
  *    parameters:
@@ -164,11 +230,13 @@ router.get("/:id/include", idParamValidator, async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.get("/vehicle/:id", idParamValidator, async (req, res, next) => {
+router.get("/vehicle/:id", optionalToken, idParamValidator, async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()) {
-            const data = await eventController.getEventsByVehicle(req.params.id);
+            const vehicle = await policies.Vehicle.load(req.params.id);
+            const drafts = await viewerCan(req, "Vehicle", "readDrafts", vehicle);
+            const data = await eventController.getEventsByVehicle(req.params.id, {drafts: drafts, userId: req.userId});
             if (!data) {
                 res.sendStatus(404);
             } else {
@@ -186,7 +254,7 @@ router.get("/vehicle/:id", idParamValidator, async (req, res, next) => {
  * @swagger
  * /api/events/type/{type}:
  *  get:
- *    description: Use to request events by type
+ *    description: Use to request published events by type
  *    tags:
  *      - Events
  *    parameters:
@@ -265,17 +333,68 @@ router.get("/type/:type", eventTypeParamValidator, async (req, res, next) => {
  *                format: date
  *                example: 2023-06-12
  *              odometer:
- *                type: integer
+ *                type: number
+ *                description: the reading in odometerUnit, it is stored normalised to km (or hours) with the original kept in odometerValue
  *                example: 120000
  *                nullable: true
+ *              odometerUnit:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: defaults to the vehicle's meter, km and mi can be mixed on one vehicle
+ *              odometerReset:
+ *                type: string
+ *                enum: [replacement, rollover]
+ *                description: set when the odometer was replaced or rolled over, lets the reading be lower than earlier ones
+ *                nullable: true
  *              published:
  *                type: boolean
  *                example: true
+ *              latitude:
+ *                type: number
+ *                description: where it happened, only the author and the vehicle's owner see it. Sent together with longitude, a photo uploaded with extractMetadata fills it in when it's empty
+ *                example: -33.86
+ *                nullable: true
+ *              longitude:
+ *                type: number
+ *                example: 151.21
+ *                nullable: true
+ *              maintenanceScheduleIds:
+ *                type: array
+ *                items:
+ *                  type: integer
+ *                description: maintenance schedules this event completes, by default they are matched on the title
+ *                nullable: true
+ *              costs:
+ *                type: array
+ *                description: itemised costs, on update this replaces every cost line on the event
+ *                items:
+ *                  type: object
+ *                  required:
+ *                    - amount
+ *                  properties:
+ *                    category:
+ *                      type: string
+ *                      enum: [parts, labour, other]
+ *                      default: parts
+ *                    description:
+ *                      type: string
+ *                      example: Stainless cat-back exhaust
+ *                    amount:
+ *                      type: number
+ *                      example: 649.99
+ *                    currency:
+ *                      type: string
+ *                      example: EUR
+ *                    vendor:
+ *                      type: string
+ *                      example: Performance Parts Ltd
  *    responses:
  *      '200':
  *        description: A successful response
  *      '400':
  *        description: Invalid JSON
+ *      '403':
+ *        description: Email address must be verified to publish
  *      '404':
  *        description: Event not found
  *      '422':
@@ -283,18 +402,15 @@ router.get("/type/:type", eventTypeParamValidator, async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.post("/", verifyToken, eventValidator, async (req, res, next) => {
+router.post("/", verifyToken, requireVerified("publish", isPublishing), eventValidator, authorize("Event", "create"), async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()){
-            const data = await eventController.createEvent(req.body, req.userId);
+            const data = await eventController.createEvent(req.body);
             switch (data) {
                 case 404:
                     res.sendStatus(404);
                     break;
-                case 401:
-                    res.status(401).json({errors: [{"msg":"Unauthorized"}]});
-                    break;
                 default:
                     res.send({result:200, data:data});
             }
@@ -350,17 +466,67 @@ router.post("/", verifyToken, eventValidator, async (req, res, next) => {
  *                format: date
  *                example: 2023-06-12
  *              odometer:
- *                type: integer
+ *                type: number
+ *                description: the reading in odometerUnit, it is stored normalised to km (or hours) with the original kept in odometerValue
  *                example: 120000
  *                nullable: true
+ *              odometerUnit:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: defaults to the vehicle's meter, km and mi can be mixed on one vehicle
+ *              odometerReset:
+ *                type: string
+ *                enum: [replacement, rollover]
+ *                description: set when the odometer was replaced or rolled over, lets the reading be lower than earlier ones
+ *                nullable: true
  *              published:
  *                type: boolean
  *                example: true
+ *              latitude:
+ *                type: number
+ *                description: where it happened, only the author and the vehicle's owner see it. Sent together with longitude, a photo uploaded with extractMetadata fills it in when it's empty
+ *                example: -33.86
+ *                nullable: true
+ *              longitude:
+ *                type: number
+ *                example: 151.21
+ *                nullable: true
+ *              coverImageId:
+ *                type: integer
+ *                description: one of the event's images to show first, null clears it
+ *                example: 4
+ *                nullable: true
+ *              costs:
+ *                type: array
+ *                description: itemised costs, on update this replaces every cost line on the event
+ *                items:
+ *                  type: object
+ *                  required:
+ *                    - amount
+ *                  properties:
+ *                    category:
+ *                      type: string
+ *                      enum: [parts, labour, other]
+ *                      default: parts
+ *                    description:
+ *                      type: string
+ *                      example: Stainless cat-back exhaust
+ *                    amount:
+ *                      type: number
+ *                      example: 649.99
+ *                    currency:
+ *                      type: string
+ *                      example: EUR
+ *                    vendor:
+ *                      type: string
+ *                      example: Performance Parts Ltd
  *    responses:
  *      '200':
  *        description: A successful response
  *      '400':
- *        description: Invalid JSON
+ *        description: Invalid JSON or the cover image isn't one of the event's images
+ *      '403':
+ *        description: Email address must be verified to publish
  *      '404':
  *        description: Event not found
  *      '422':
@@ -368,18 +534,18 @@ router.post("/", verifyToken, eventValidator, async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.put("/:id", verifyToken, updateEventValidator, async (req, res, next) => {
+router.put("/:id", verifyToken, requireVerified("publish", isPublishing), updateEventValidator, authorize("Event", "update"), async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()){
-            const data = await eventController.updateEvent(req.params.id, req.body, req.userId);
+            const data = await eventController.updateEvent(req.params.id, req.body);
             switch (data) {
+                case 400:
+                    res.status(400).json({errors:[{"msg": "coverImageId has to be one of the event's images"}]});
+                    break;
                 case 404:
                     res.sendStatus(404);
                     break;
-                case 401:
-                    res.status(401).json({errors: [{"msg":"Unauthorized"}]});
-                    break;
                 default:
                     res.send({result:200, data:data});
             }
@@ -392,6 +558,100 @@ router.put("/:id", verifyToken, updateEventValidator, async (req, res, next) =>
     }
 });
 
+/**
+ * @swagger
+ * /api/events/{id}/publish:
+ *  post:
+ *    description: Use to publish a draft now, or schedule it by sending publishAt. Publishing stamps publishedAt
+ *    tags:
+ *      - Events
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of event to publish
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      required: false
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              publishAt:
+ *                type: string
+ *                format: date-time
+ *                description: Future time to publish at, the event stays a draft until then
+ *                example: 2026-11-01T09:00:00Z
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '403':
+ *        description: Forbidden or email address must be verified to publish
+ *      '404':
+ *        description: Event not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/:id/publish", verifyToken, requireVerified("publish"), publishEventValidator, authorize("Event", "publish"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()){
+            const data = await eventController.publishEvent(req.params.id, req.body);
+            res.send({result:200, data:data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/events/{id}/unpublish:
+ *  post:
+ *    description: Use to turn an event back into a draft, this also cancels a scheduled publish
+ *    tags:
+ *      - Events
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of event to unpublish
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Event not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/:id/unpublish", verifyToken, idParamValidator, authorize("Event", "unpublish"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()){
+            const data = await eventController.unpublishEvent(req.params.id);
+            res.send({result:200, data:data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
 /**
  * @swagger
  * /api/events/{id}:
@@ -410,6 +670,8 @@ router.put("/:id", verifyToken, updateEventValidator, async (req, res, next) =>
  *    responses:
  *      '200':
  *        description: A successful response
+ *      '403':
+ *        description: Forbidden
  *      '404':
  *        description: Event not found
  *      '422':
@@ -417,18 +679,15 @@ router.put("/:id", verifyToken, updateEventValidator, async (req, res, next) =>
  *      '500':
  *        description: Server error
  */
-router.delete("/:id", verifyToken, idParamValidator, async (req, res, next) => {
+router.delete("/:id", verifyToken, idParamValidator, authorize("Event", "delete"), async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()){
-            const data = await eventController.deleteEvent(req.params.id, req.userId);
+            const data = await eventController.deleteEvent(req.params.id);
             switch (data) {
                 case 404:
                     res.sendStatus(404);
                     break;
-                case 401:
-                    res.status(401).json({errors: [{"msg":"Unauthorized"}]});
-                    break;
                 default:
                     res.send({result:200, data:data});
             }
@@ -0,0 +1,367 @@
+const express = require("express");
+// mounted under /api/vehicles/:id/fuel, so req.params.id is the vehicle
+const router = express.Router({ mergeParams: true });
+const fuelController = require("../controllers/fuelController");
+
+// import validators
+const {validationResult} = require('express-validator');
+const {fuelLogValidator, updateFuelLogValidator, fuelLogParamValidator, fuelLogListValidator, fuelStatsValidator} = require("../validators/fuelValidator");
+const verifyToken = require("../auth/authMiddleware");
+const authorize = require("../auth/authorize");
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/fuel:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to request the fill-ups and charges logged for a vehicle, newest first
+ *    tags:
+ *      - Fuel
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - in: query
+ *        name: limit
+ *        schema:
+ *          type: integer
+ *        description: The numbers of items to return. Default is 50.
+ *      - in: query
+ *        name: offset
+ *        schema:
+ *          type: integer
+ *        description: The number of items to skip before starting to collect the result set. Default is 0.
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/", verifyToken, fuelLogListValidator, authorize("Vehicle", "readFuel"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const limit = parseInt(req.query.limit, 10) || 50; // Default limit is 50
+            const offset = parseInt(req.query.offset, 10) || 0; // Default offset is 0
+            const data = await fuelController.getFuelLogsByVehicle(req.params.id, {limit, offset});
+            res.send({ result: 200, data: data });
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/fuel/stats:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to request consumption, cost per distance and monthly trends for a vehicle. Consumption is measured between full fills, partial fills in between are added to the next full one. Fuel and electric charges are reported separately. On an hour meter consumption is L/h (gal/h for imperial) or kWh/h and costPerHour replaces costPerDistance
+ *    tags:
+ *      - Fuel
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - in: query
+ *        name: units
+ *        schema:
+ *          type: string
+ *          enum: [metric, imperial, km, mi]
+ *        description: metric (or km) gives L/100km and cost per km, imperial (or mi) gives mpg (US) and cost per mile. Defaults to the vehicle's display unit
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/stats", verifyToken, fuelStatsValidator, authorize("Vehicle", "readFuel"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await fuelController.getFuelStats(req.params.id, {units: (req.units || res.locals.displayUnit) === "mi" ? "imperial" : "metric"});
+            if (!data) {
+                res.sendStatus(404);
+            } else {
+                res.send({ result: 200, data: data });
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/fuel:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to log a fill-up or charge for a vehicle
+ *    tags:
+ *      - Fuel
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - date
+ *              - odometer
+ *              - amount
+ *            properties:
+ *              date:
+ *                type: string
+ *                format: date
+ *                example: 2024-03-02
+ *              odometer:
+ *                type: integer
+ *                description: the reading in odometerUnit, it is stored normalised to km (or hours) with the original kept in odometerValue
+ *                example: 123456
+ *              odometerUnit:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: defaults to the vehicle's meter, km and mi can be mixed on one vehicle
+ *              amount:
+ *                type: number
+ *                description: litres or gallons of fuel, or kWh for a charge
+ *                example: 42.5
+ *              unit:
+ *                type: string
+ *                enum: [litre, gallon, kWh]
+ *                default: litre
+ *              price:
+ *                type: number
+ *                description: total paid
+ *                example: 78.20
+ *                nullable: true
+ *              fullTank:
+ *                type: boolean
+ *                description: false for a partial fill, it is counted towards the next full tank
+ *                default: true
+ *              station:
+ *                type: string
+ *                example: Shell Main St
+ *                nullable: true
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/", verifyToken, fuelLogValidator, authorize("Vehicle", "manageFuel"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await fuelController.createFuelLog(req.params.id, req.body);
+            res.send({result: 200, data: data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/fuel/{fuelLogId}:
+ *  put:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to update a fuel log entry
+ *    tags:
+ *      - Fuel
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: fuelLogId
+ *        in: path
+ *        description: ID of the fuel log entry to update
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              date:
+ *                type: string
+ *                format: date
+ *                example: 2024-03-02
+ *              odometer:
+ *                type: integer
+ *                description: the reading in odometerUnit, it is stored normalised to km (or hours) with the original kept in odometerValue
+ *                example: 123456
+ *              odometerUnit:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: defaults to the vehicle's meter, km and mi can be mixed on one vehicle
+ *              amount:
+ *                type: number
+ *                description: litres or gallons of fuel, or kWh for a charge
+ *                example: 42.5
+ *              unit:
+ *                type: string
+ *                enum: [litre, gallon, kWh]
+ *                default: litre
+ *              price:
+ *                type: number
+ *                description: total paid
+ *                example: 78.20
+ *                nullable: true
+ *              fullTank:
+ *                type: boolean
+ *                description: false for a partial fill, it is counted towards the next full tank
+ *                default: true
+ *              station:
+ *                type: string
+ *                example: Shell Main St
+ *                nullable: true
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or fuel log entry not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.put("/:fuelLogId", verifyToken, updateFuelLogValidator, authorize("Vehicle", "manageFuel"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await fuelController.updateFuelLog(req.params.id, req.params.fuelLogId, req.body);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/fuel/{fuelLogId}:
+ *  delete:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to delete a fuel log entry
+ *    tags:
+ *      - Fuel
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: fuelLogId
+ *        in: path
+ *        description: ID of the fuel log entry to delete
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or fuel log entry not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.delete("/:fuelLogId", verifyToken, fuelLogParamValidator, authorize("Vehicle", "manageFuel"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await fuelController.deleteFuelLog(req.params.id, req.params.fuelLogId);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+module.exports = router;
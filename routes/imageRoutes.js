@@ -1,22 +1,43 @@
 const express = require("express");
 const router = express.Router();
+const Logger = require("../logging/logger");
 const imageController = require("../controllers/imageController");
 
 // import multer for image file hanlding
 const multer = require('multer');
-const upload = multer({ storage: multer.memoryStorage() });
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: parseInt(process.env.IMAGE_MAX_BYTES, 10) || 20 * 1024 * 1024 } });
 
 // import validators
 const {validationResult} = require('express-validator');
-const { idParamValidator, imageUploadValidator } = require("../validators");
-const {imageValidator} = require("../validators/imageValidator");
+const { idParamValidator, imageUploadValidator, imageFileError } = require("../validators");
+const {imageValidator, batchImageValidator, updateImageValidator, reorderImagesValidator} = require("../validators/imageValidator");
 const verifyToken = require("../auth/authMiddleware");
+const authorize = require("../auth/authorize");
+const { optionalToken, hidesDraft } = require("../auth/viewer");
+const { policies } = require("../auth/policies");
+
+const IMAGE_BATCH_MAX_FILES = parseInt(process.env.IMAGE_BATCH_MAX_FILES, 10) || 30;
+const IMAGE_BATCH_MAX_BYTES = parseInt(process.env.IMAGE_BATCH_MAX_BYTES, 10) || 100 * 1024 * 1024;
+const QUOTA_MESSAGE = "This upload would take you over your image storage quota";
+
+// multer keeps a whole batch in memory, so its size is checked from the headers before any of it is read
+// without a Content-Length there'd be nothing to check, so a batch can't be sent chunked
+const limitBatchSize = (req, res, next) => {
+    const length = Number(req.headers["content-length"]);
+    if (!req.headers["content-length"] || !Number.isInteger(length)) {
+        return res.status(411).json({errors: [{"msg": "A batch has to be sent with a Content-Length"}]});
+    }
+    if (length > IMAGE_BATCH_MAX_BYTES) {
+        return res.status(413).json({errors: [{"msg": `A batch can be up to ${IMAGE_BATCH_MAX_BYTES} bytes altogether`}]});
+    }
+    next();
+}
 
 /**
  * @swagger
  * /api/images:
  *  get:
- *    description: Use to request all images
+ *    description: Use to request all images on published events
  *    tags:
  *      - Images
  *    responses:
@@ -36,11 +57,35 @@ router.get("/", async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/images/quota:
+ *  get:
+ *    description: Use to request how much of your image storage quota is used, in bytes. Unfinished resumable uploads count at their full size
+ *    tags:
+ *      - Images
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '500':
+ *        description: Server error
+ */
+router.get("/quota", verifyToken, async (req, res, next) => {
+    try {
+        const data = await imageController.getQuota(req.userId);
+        res.send({result: 200, data: data});
+    } catch(err) {
+        next(err);
+    }
+});
+
 /**
  * @swagger
  * /api/images/{id}:
  *  get:
- *    description: Use to request a image by ID
+ *    description: Use to request a image by ID. Images on drafts are only found by the people who can see the draft
  *    tags:
  *      - Images
  *    parameters:
@@ -61,12 +106,12 @@ router.get("/", async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.get("/:id", idParamValidator, async (req, res, next) => {
+router.get("/:id", optionalToken, idParamValidator, async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()) {
             const data = await imageController.getImage(req.params.id);
-            if (!data) {
+            if (!data || await hidesDraft(req, await policies.Event.load(data.eventId))) {
                 res.sendStatus(404);
             } else {
                 res.send({ result: 200, data: data });
@@ -79,11 +124,52 @@ router.get("/:id", idParamValidator, async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/images/{id}/metadata:
+ *  get:
+ *    description: Use to request where and when a photo was taken, as read from its EXIF when it was uploaded with extractMetadata. Only the event's author and the vehicle's owner can see it
+ *    tags:
+ *      - Images
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of image to fetch
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response, takenAt, latitude, longitude and orientation are null when they weren't extracted
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Image not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/:id/metadata", verifyToken, idParamValidator, authorize("Image", "readMetadata"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await imageController.getImageMetadata(req.params.id);
+            res.send({ result: 200, data: data });
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
 /**
  * @swagger
  * /api/images/event/{id}:
  *  get:
- *    description: Use to request images for a given event ID
+ *    description: Use to request images for a given event ID, in the event's gallery order. A draft's images are only found by the people who can see it
  *    tags:
  *      - Images
  *    parameters:
@@ -104,12 +190,12 @@ router.get("/:id", idParamValidator, async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.get("/event/:id", idParamValidator, async (req, res, next) => {
+router.get("/event/:id", optionalToken, idParamValidator, async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()) {
             const data = await imageController.getImagesByEvent(req.params.id);
-            if (!data) {
+            if (!data || await hidesDraft(req, await policies.Event.load(req.params.id))) {
                 res.sendStatus(404);
             } else {
                 res.send({ result: 200, data: data });
@@ -126,7 +212,7 @@ router.get("/event/:id", idParamValidator, async (req, res, next) => {
  * @swagger
  * /api/images:
  *  post:
- *    description: Use to create a new image
+ *    description: Use to create a new image. It's stored resized as thumb (320px), medium (1024px) and full (2048px), each also as WebP, and the response's variants map has the file names and urls for every size. Use the urls rather than building them from the names, they depend on where the server stores files
  *    tags:
  *      - Images
  *    requestBody:
@@ -144,13 +230,32 @@ router.get("/event/:id", idParamValidator, async (req, res, next) => {
  *         image:
  *          type: string
  *          format: binary
- *          description: image file
+ *          description: JPG, PNG or GIF image file
  *          nullable: false
+ *         caption:
+ *          type: string
+ *          example: Fresh off the trailer
+ *         alt:
+ *          type: string
+ *          description: describes the photo for screen readers
+ *          example: Blue ute parked on a gravel road
+ *         extractMetadata:
+ *          type: boolean
+ *          description: Read the capture date, GPS position and orientation from the photo's EXIF into the image's private fields. An event without a location is given the photo's. The stored files never keep EXIF either way
+ *          example: false
+ *         useCaptureDate:
+ *          type: boolean
+ *          description: Move the event to the day the photo was taken, read from its EXIF. Nothing else from the EXIF is kept unless extractMetadata is set too. The event keeps its date when the photo has no capture date, or when its odometer reading wouldn't fit on the new day
+ *          example: false
  *    responses:
  *      '200':
  *        description: A successful response
  *      '400':
  *        description: Invalid JSON
+ *      '403':
+ *        description: Forbidden or over the upload quota
+ *      '413':
+ *        description: The file is over IMAGE_MAX_BYTES
  *      '404':
  *        description: Images not found
  *      '422':
@@ -158,7 +263,7 @@ router.get("/event/:id", idParamValidator, async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.post("/", upload.single('image'), verifyToken, imageUploadValidator, imageValidator, async (req, res, next) =>{
+router.post("/", upload.single('image'), verifyToken, imageUploadValidator, imageValidator, authorize("Image", "create"), async (req, res, next) =>{
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()){
@@ -171,12 +276,293 @@ router.post("/", upload.single('image'), verifyToken, imageUploadValidator, imag
                 case 400:
                     res.sendStatus(400);
                     break;
-                case 401:
-                    res.status(401).json({errors: [{"msg":"Unauthorized"}]});
+                case 403:
+                    res.status(403).json({errors: [{"msg": QUOTA_MESSAGE}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+                    break;
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/images/batch:
+ *  post:
+ *    description: Use to add several images to an event in one request. Each file is checked and stored on its own, so the response has a result per file in the order they were sent and one bad file doesn't stop the rest. The whole request can be up to IMAGE_BATCH_MAX_BYTES (100MB) and has to have a Content-Length
+ *    tags:
+ *      - Images
+ *    requestBody:
+ *     content:
+ *      multipart/form-data:
+ *       schema:
+ *        type: object
+ *        required:
+ *         - eventId
+ *         - images
+ *        properties:
+ *         eventId:
+ *          type: integer
+ *          example: 3
+ *         images:
+ *          type: array
+ *          description: up to IMAGE_BATCH_MAX_FILES (30) JPG, PNG or GIF files
+ *          items:
+ *           type: string
+ *           format: binary
+ *         captions:
+ *          type: array
+ *          description: A caption per file in the same order as the files, leave an entry empty for a file without one. A single caption isn't accepted
+ *          items:
+ *           type: string
+ *         alts:
+ *          type: array
+ *          description: Alt text per file in the same order as the files, leave an entry empty for a file without one. A single alt isn't accepted
+ *          items:
+ *           type: string
+ *         extractMetadata:
+ *          type: boolean
+ *          description: Read the capture details from every file's EXIF, see POST /api/images
+ *          example: false
+ *         useCaptureDate:
+ *          type: boolean
+ *          description: Move the event to the day the first file was taken, see POST /api/images
+ *          example: false
+ *    responses:
+ *      '200':
+ *        description: A result per file, each with the file name, its own result code and either the image or its errors
+ *      '400':
+ *        description: More files than IMAGE_BATCH_MAX_FILES
+ *      '403':
+ *        description: Forbidden
+ *      '411':
+ *        description: The request has no Content-Length
+ *      '413':
+ *        description: A file is over IMAGE_MAX_BYTES, or the request is over IMAGE_BATCH_MAX_BYTES
+ *      '422':
+ *        description: Validation error, no files, a single caption or alt, or more captions or alts than files
+ *      '500':
+ *        description: Server error
+ */
+router.post("/batch", verifyToken, limitBatchSize, upload.array('images', IMAGE_BATCH_MAX_FILES), batchImageValidator, authorize("Image", "create"), async (req, res, next) =>{
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty() && req.files && req.files.length > 0){
+            const {eventId, extractMetadata, useCaptureDate, captions = [], alts = []} = req.body;
+            const results = [];
+            // one at a time, every file is resized into several copies and that's the expensive part
+            for (const [index, file] of req.files.entries()) {
+                const result = {file: file.originalname};
+                try {
+                    const error = await imageFileError(file);
+                    const caption = captions[index] || null;
+                    const alt = alts[index] || null;
+                    const data = error ? 422 : await imageController.createImage({
+                        eventId, extractMetadata, caption, alt, image: file,
+                        // the event is dated from the first file only
+                        useCaptureDate: index === 0 && useCaptureDate
+                    }, req.userId);
+                    switch (data) {
+                        case 422:
+                            Object.assign(result, {result: 422, errors: [{"msg": error}]});
+                            break;
+                        case 403:
+                            Object.assign(result, {result: 403, errors: [{"msg": QUOTA_MESSAGE}]});
+                            break;
+                        default:
+                            Object.assign(result, {result: 200, data: data});
+                    }
+                } catch(err) {
+                    // a failure storing one file is reported with it, the ones after it still get their turn
+                    Logger.error(`Error storing ${file.originalname} from a batch upload: ${err}`);
+                    Object.assign(result, {result: 500, errors: [{"msg": "the image couldn't be stored"}]});
+                }
+                results.push(result);
+            }
+            res.send({result: 200, data: results});
+        } else if (errors.isEmpty()) {
+            res.status(422).json({errors: [{"msg": "at least one image is required"}]});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/images/event/{id}/order:
+ *  put:
+ *    description: Use to reorder an event's gallery, order lists every one of the event's image IDs in the new order
+ *    tags:
+ *      - Images
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the event the images are attached to
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - order
+ *            properties:
+ *              order:
+ *                type: array
+ *                items:
+ *                  type: integer
+ *                example: [3, 1, 2]
+ *    responses:
+ *      '200':
+ *        description: A successful response with the images in their new order
+ *      '400':
+ *        description: order doesn't list each of the event's images exactly once
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Event not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.put("/event/:id/order", verifyToken, reorderImagesValidator, authorize("Event", "update"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()){
+            const data = await imageController.reorderImages(req.params.id, req.body.order);
+            switch (data) {
+                case 400:
+                    res.status(400).json({errors: [{"msg": "order has to list each of the event's images exactly once"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/images/{id}:
+ *  put:
+ *    description: Use to change an image's caption, alt text or place in the event's gallery
+ *    tags:
+ *      - Images
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of image to update
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              caption:
+ *                type: string
+ *                example: Fresh off the trailer
+ *                nullable: true
+ *              alt:
+ *                type: string
+ *                example: Blue ute parked on a gravel road
+ *                nullable: true
+ *              sortOrder:
+ *                type: integer
+ *                minimum: 0
+ *                example: 2
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Image not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.put("/:id", verifyToken, updateImageValidator, authorize("Image", "update"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()){
+            const data = await imageController.updateImage(req.params.id, req.body);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
                     break;
                 default:
                     res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/images/{id}:
+ *  delete:
+ *    description: Use to delete an image and all of its stored sizes, it stops being a cover wherever it was one
+ *    tags:
+ *      - Images
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of image to delete
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Image not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.delete("/:id", verifyToken, idParamValidator, authorize("Image", "delete"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()){
+            const data = await imageController.deleteImage(req.params.id);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
                     break;
+                default:
+                    res.send({result: 200, data: data});
             }
         } else {
             res.status(422).json({errors: errors.array()});
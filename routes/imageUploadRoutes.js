@@ -0,0 +1,294 @@
+const express = require("express");
+const router = express.Router();
+const imageUploadController = require("../controllers/imageUploadController");
+const User = require("../models/user");
+const { can } = require("../auth/policies");
+
+// import validators
+const {validationResult} = require('express-validator');
+const { idParamValidator } = require("../validators");
+const {startUploadValidator, uploadChunkValidator} = require("../validators/imageValidator");
+const verifyToken = require("../auth/authMiddleware");
+const authorize = require("../auth/authorize");
+const { requireScope } = require("../auth/scopes");
+
+// chunks come in as the raw bytes, small enough to get through on a mobile connection before it drops
+const UPLOAD_CHUNK_MAX_BYTES = parseInt(process.env.UPLOAD_CHUNK_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const QUOTA_MESSAGE = "This upload would take you over your image storage quota";
+
+// the upload has to be the user's own, and they still need to be allowed to add images to its event
+const loadUpload = async (req, res, next) => {
+    if (!validationResult(req).isEmpty()) return next();
+    try {
+        const upload = await imageUploadController.getUpload(req.params.id, req.userId);
+        if (!upload) return res.sendStatus(404);
+        const user = await User.findOne({ where: { id: req.userId }, attributes: ['id', 'role'] });
+        if (!user) return res.status(401).json({ errors: [{ msg: 'Unauthorized' }] });
+        if (!(await can(user, "Image", "create", null, { eventId: upload.eventId }))) {
+            return res.status(403).json({ errors: [{ msg: 'Forbidden' }] });
+        }
+        req.upload = upload;
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * @swagger
+ * /api/images/uploads:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to start a resumable upload of a large image. The file is then sent in chunks with PUT /api/images/uploads/{id} and becomes an image of the event once the last byte is in. The whole size is counted against the quota from the start, an upload that gets no chunks for UPLOAD_TTL_HOURS (24) is thrown away
+ *    tags:
+ *      - Images
+ *    requestBody:
+ *     content:
+ *      application/json:
+ *       schema:
+ *        type: object
+ *        required:
+ *         - eventId
+ *         - filename
+ *         - mimeType
+ *         - size
+ *        properties:
+ *         eventId:
+ *          type: integer
+ *          example: 3
+ *         filename:
+ *          type: string
+ *          example: IMG_2041.jpg
+ *         mimeType:
+ *          type: string
+ *          enum: [image/jpeg, image/png, image/gif]
+ *         size:
+ *          type: integer
+ *          description: the size of the whole file in bytes, up to IMAGE_MAX_BYTES
+ *          example: 14680064
+ *         caption:
+ *          type: string
+ *         alt:
+ *          type: string
+ *         extractMetadata:
+ *          type: boolean
+ *          description: Read the capture details from the file's EXIF, see POST /api/images
+ *          example: false
+ *         useCaptureDate:
+ *          type: boolean
+ *          description: Move the event to the day the file was taken once it's complete, see POST /api/images
+ *          example: false
+ *    responses:
+ *      '200':
+ *        description: The upload, with how many bytes have been received and the largest chunk the server takes
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden, or the file would take you over your quota
+ *      '413':
+ *        description: The file is over IMAGE_MAX_BYTES
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/", verifyToken, startUploadValidator, authorize("Image", "create"), async (req, res, next) =>{
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()){
+            const data = await imageUploadController.startUpload(req.userId, req.body);
+            switch(data){
+                case 413:
+                    res.status(413).json({errors: [{"msg": "The file is over the size limit for images"}]});
+                    break;
+                case 403:
+                    res.status(403).json({errors: [{"msg": QUOTA_MESSAGE}]});
+                    break;
+                default:
+                    res.send({result: 200, data: {...data, chunkMaxBytes: UPLOAD_CHUNK_MAX_BYTES}});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/images/uploads/{id}:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to find out how much of a resumable upload the server has, after a dropped connection the next chunk starts at received
+ *    tags:
+ *      - Images
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the upload
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Upload not found or expired
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/:id", verifyToken, idParamValidator, requireScope("images:write"), loadUpload, async (req, res, next) =>{
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()){
+            res.set("Upload-Offset", String(req.upload.received));
+            res.send({result: 200, data: {...imageUploadController.uploadStatus(req.upload), chunkMaxBytes: UPLOAD_CHUNK_MAX_BYTES}});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/images/uploads/{id}:
+ *  put:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to send the next chunk of a resumable upload as the raw bytes. Upload-Offset has to be the number of bytes the server already has, so a chunk whose response was lost can safely be sent again. The response to the last chunk has the new image
+ *    tags:
+ *      - Images
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the upload
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: Upload-Offset
+ *        in: header
+ *        description: The byte of the file this chunk starts at
+ *        required: true
+ *        type: integer
+ *        minimum: 0
+ *        example: 0
+ *    requestBody:
+ *     content:
+ *      application/octet-stream:
+ *       schema:
+ *        type: string
+ *        format: binary
+ *        description: up to UPLOAD_CHUNK_MAX_BYTES (5MB) of the file
+ *    responses:
+ *      '200':
+ *        description: The upload, whether it's completed and the image once it is
+ *      '400':
+ *        description: The chunk is empty or runs past the size of the file
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden, or the file no longer fits in your quota
+ *      '404':
+ *        description: Upload not found or expired
+ *      '409':
+ *        description: Upload-Offset isn't where the upload is up to, the Upload-Offset response header says where it is
+ *      '413':
+ *        description: The chunk is over UPLOAD_CHUNK_MAX_BYTES
+ *      '422':
+ *        description: Validation error, or the finished file isn't an image
+ *      '500':
+ *        description: Server error
+ */
+router.put("/:id", verifyToken, uploadChunkValidator, requireScope("images:write"), loadUpload, express.raw({ type: "application/octet-stream", limit: UPLOAD_CHUNK_MAX_BYTES }), async (req, res, next) =>{
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty() && Buffer.isBuffer(req.body) && req.body.length > 0){
+            const data = await imageUploadController.appendChunk(req.upload, req.headers["upload-offset"], req.body);
+            switch(data){
+                case 409:
+                    await req.upload.reload();
+                    res.set("Upload-Offset", String(req.upload.received));
+                    res.status(409).json({errors: [{"msg": `The next chunk has to start at byte ${req.upload.received}`}]});
+                    break;
+                case 400:
+                    res.status(400).json({errors: [{"msg": "The chunk runs past the size of the file"}]});
+                    break;
+                case 422:
+                    res.status(422).json({errors: [{"msg": "The file could not be read as an image."}]});
+                    break;
+                case 403:
+                    res.status(403).json({errors: [{"msg": QUOTA_MESSAGE}]});
+                    break;
+                default:
+                    res.set("Upload-Offset", String(data.upload.received));
+                    res.send({result: 200, data: data});
+            }
+        } else if (errors.isEmpty()) {
+            res.status(400).json({errors: [{"msg": "The chunk has to be sent as application/octet-stream"}]});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/images/uploads/{id}:
+ *  delete:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to give up on a resumable upload, the chunks sent so far are thrown away and stop counting against the quota
+ *    tags:
+ *      - Images
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the upload
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Upload not found or expired
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.delete("/:id", verifyToken, idParamValidator, requireScope("images:write"), loadUpload, async (req, res, next) =>{
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()){
+            const data = await imageUploadController.cancelUpload(req.upload);
+            res.send({result: 200, data: data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -7,12 +7,15 @@ const {validationResult} = require('express-validator');
 const { idParamValidator } = require("../validators");
 const {likeValidator} = require("../validators/likeValidator");
 const verifyToken = require("../auth/authMiddleware");
+const authorize = require("../auth/authorize");
+const { optionalToken, hidesDraft } = require("../auth/viewer");
+const { policies } = require("../auth/policies");
 
 /**
  * @swagger
  * /api/likes:
  *  get:
- *    description: Use to request all likes
+ *    description: Use to request all likes on published events
  *    tags:
  *      - Likes
  *    responses:
@@ -36,7 +39,7 @@ router.get("/", async (req, res, next) => {
  * @swagger
  * /api/likes/{id}:
  *  get:
- *    description: Use to request a like by ID
+ *    description: Use to request a like by ID. Likes on drafts are only found by the people who can see the draft
  *    tags:
  *      - Likes
  *    parameters:
@@ -57,12 +60,12 @@ router.get("/", async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.get("/:id", idParamValidator, async (req, res, next) => {
+router.get("/:id", optionalToken, idParamValidator, async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()) {
             const data = await likeController.getLike(req.params.id);
-            if (!data) {
+            if (!data || await hidesDraft(req, await policies.Event.load(data.eventId))) {
                 res.sendStatus(404);
             } else {
                 res.send({ result: 200, data: data });
@@ -79,7 +82,7 @@ router.get("/:id", idParamValidator, async (req, res, next) => {
  * @swagger
  * /api/likes/event/{id}:
  *  get:
- *    description: Use to request likes for a given event ID
+ *    description: Use to request likes for a given event ID. A draft's likes are only found by the people who can see it
  *    tags:
  *      - Likes
  *    parameters:
@@ -100,12 +103,12 @@ router.get("/:id", idParamValidator, async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.get("/event/:id", idParamValidator, async (req, res, next) => {
+router.get("/event/:id", optionalToken, idParamValidator, async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()) {
             const data = await likeController.getLikesByEvent(req.params.id);
-            if (!data) {
+            if (!data || await hidesDraft(req, await policies.Event.load(req.params.id))) {
                 res.sendStatus(404);
             } else {
                 res.send({ result: 200, data: data });
@@ -122,7 +125,7 @@ router.get("/event/:id", idParamValidator, async (req, res, next) => {
  * @swagger
  * /api/likes/user/{id}:
  *  get:
- *    description: Use to request likes for a given user ID
+ *    description: Use to request likes for a given user ID, only the ones on published events
  *    tags:
  *      - Likes
  *    parameters:
@@ -188,6 +191,8 @@ router.get("/user/:id", idParamValidator, async (req, res, next) => {
  *        description: A successful response
  *      '400':
  *        description: Invalid JSON
+ *      '403':
+ *        description: Forbidden
  *      '404':
  *        description: Likes not found
  *      '422':
@@ -195,18 +200,15 @@ router.get("/user/:id", idParamValidator, async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.post("/", verifyToken, likeValidator, async (req, res, next) =>{
+router.post("/", verifyToken, likeValidator, authorize("Like", "create"), async (req, res, next) =>{
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()){
-            const data = await likeController.createLike(req.body, req.userId);
+            const data = await likeController.createLike(req.body);
             switch (data) {
                 case 400:
                     res.sendStatus(400);
                     break;
-                case 401:
-                    res.status(401).json({errors: [{"msg":"Unauthorized"}]});
-                    break;
                 case 409:
                     res.status(409).json({errors: [{"msg":"Conflict you can't like an event more than once"}]});
                     break;
@@ -239,6 +241,8 @@ router.post("/", verifyToken, likeValidator, async (req, res, next) =>{
  *    responses:
  *      '200':
  *        description: A successful response
+ *      '403':
+ *        description: Forbidden
  *      '404':
  *        description: Image not found
  *      '422':
@@ -246,18 +250,15 @@ router.post("/", verifyToken, likeValidator, async (req, res, next) =>{
  *      '500':
  *        description: Server error
  */
-router.delete("/:id", verifyToken, idParamValidator, async (req, res, next) => {
+router.delete("/:id", verifyToken, idParamValidator, authorize("Like", "delete"), async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()){
-            const data = await likeController.deleteLike(req.params.id, req.userId);
+            const data = await likeController.deleteLike(req.params.id);
             switch (data) {
                 case 400:
                     res.sendStatus(400);
                     break;
-                case 401:
-                    res.status(401).json({errors: [{"msg":"Unauthorized"}]});
-                    break;
                 default:
                     res.send({result: 200, data: data});
             }
@@ -0,0 +1,388 @@
+const express = require("express");
+// mounted under /api/vehicles/:id/maintenance, so req.params.id is the vehicle
+const router = express.Router({ mergeParams: true });
+const maintenanceController = require("../controllers/maintenanceController");
+
+// import validators
+const {validationResult} = require('express-validator');
+const { idParamValidator } = require("../validators");
+const {maintenanceScheduleValidator, updateMaintenanceScheduleValidator, maintenanceScheduleParamValidator, maintenanceDueValidator} = require("../validators/maintenanceValidator");
+const verifyToken = require("../auth/authMiddleware");
+const authorize = require("../auth/authorize");
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/maintenance:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to request the maintenance schedules for a vehicle
+ *    tags:
+ *      - Maintenance
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/", verifyToken, idParamValidator, authorize("Vehicle", "readMaintenance"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await maintenanceController.getSchedulesByVehicle(req.params.id);
+            res.send({ result: 200, data: data });
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/maintenance/due:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to request the overdue and upcoming maintenance for a vehicle, worked out from the latest odometer reading and today's date
+ *    tags:
+ *      - Maintenance
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - in: query
+ *        name: withinDistance
+ *        schema:
+ *          type: integer
+ *          default: 1000
+ *        description: Count tasks due within this distance as upcoming. Default is 1000.
+ *      - in: query
+ *        name: withinDays
+ *        schema:
+ *          type: integer
+ *          default: 30
+ *        description: Count tasks due within this many days as upcoming. Default is 30.
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/due", verifyToken, maintenanceDueValidator, authorize("Vehicle", "readMaintenance"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const withinDistance = parseInt(req.query.withinDistance, 10);
+            const withinDays = parseInt(req.query.withinDays, 10);
+            const data = await maintenanceController.getDueMaintenance(req.params.id, {
+                withinDistance: isNaN(withinDistance) ? 1000 : withinDistance, // Default is 1000
+                withinDays: isNaN(withinDays) ? 30 : withinDays // Default is 30 days
+            });
+            if (!data) {
+                res.sendStatus(404);
+            } else {
+                res.send({ result: 200, data: data });
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/maintenance:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to add a maintenance schedule to a vehicle. Logging a maintenance event whose title mentions the task (or one of its keywords) marks it as done
+ *    tags:
+ *      - Maintenance
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - task
+ *            properties:
+ *              task:
+ *                type: string
+ *                example: Oil change
+ *              keywords:
+ *                type: string
+ *                example: oil and filter,engine oil
+ *                nullable: true
+ *              intervalDistance:
+ *                type: integer
+ *                description: the interval in intervalDistanceUnit, it is stored normalised to km (or hours) with the original kept in intervalDistanceValue
+ *                example: 10000
+ *                nullable: true
+ *              intervalDistanceUnit:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: defaults to the vehicle's meter, km and mi can be mixed on one vehicle
+ *              intervalMonths:
+ *                type: integer
+ *                example: 12
+ *                nullable: true
+ *              lastDoneEventId:
+ *                type: integer
+ *                example: 4
+ *                nullable: true
+ *              lastDoneDate:
+ *                type: string
+ *                format: date
+ *                example: 2023-06-12
+ *                nullable: true
+ *              lastDoneOdometer:
+ *                type: integer
+ *                description: the reading in lastDoneOdometerUnit, it is stored normalised to km (or hours) with the original kept in lastDoneOdometerValue
+ *                example: 120000
+ *                nullable: true
+ *              lastDoneOdometerUnit:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: defaults to the vehicle's meter, km and mi can be mixed on one vehicle
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: lastDoneEventId is not an event on this vehicle
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/", verifyToken, maintenanceScheduleValidator, authorize("Vehicle", "manageMaintenance"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await maintenanceController.createSchedule(req.params.id, req.body);
+            switch (data) {
+                case 400:
+                    res.status(400).json({errors: [{"msg": "lastDoneEventId is not an event on this vehicle"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/maintenance/{scheduleId}:
+ *  put:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to update a maintenance schedule
+ *    tags:
+ *      - Maintenance
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: scheduleId
+ *        in: path
+ *        description: ID of the schedule to update
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              task:
+ *                type: string
+ *                example: Oil change
+ *              keywords:
+ *                type: string
+ *                example: oil and filter
+ *                nullable: true
+ *              intervalDistance:
+ *                type: integer
+ *                description: the interval in intervalDistanceUnit, it is stored normalised to km (or hours) with the original kept in intervalDistanceValue
+ *                example: 10000
+ *                nullable: true
+ *              intervalDistanceUnit:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: defaults to the vehicle's meter, km and mi can be mixed on one vehicle
+ *              intervalMonths:
+ *                type: integer
+ *                example: 12
+ *                nullable: true
+ *              lastDoneEventId:
+ *                type: integer
+ *                example: 4
+ *                nullable: true
+ *              lastDoneDate:
+ *                type: string
+ *                format: date
+ *                example: 2023-06-12
+ *                nullable: true
+ *              lastDoneOdometer:
+ *                type: integer
+ *                description: the reading in lastDoneOdometerUnit, it is stored normalised to km (or hours) with the original kept in lastDoneOdometerValue
+ *                example: 120000
+ *                nullable: true
+ *              lastDoneOdometerUnit:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: defaults to the vehicle's meter, km and mi can be mixed on one vehicle
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: lastDoneEventId is not an event on this vehicle
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or schedule not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.put("/:scheduleId", verifyToken, updateMaintenanceScheduleValidator, authorize("Vehicle", "manageMaintenance"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await maintenanceController.updateSchedule(req.params.id, req.params.scheduleId, req.body);
+            switch (data) {
+                case 400:
+                    res.status(400).json({errors: [{"msg": "lastDoneEventId is not an event on this vehicle"}]});
+                    break;
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/maintenance/{scheduleId}:
+ *  delete:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to delete a maintenance schedule
+ *    tags:
+ *      - Maintenance
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: scheduleId
+ *        in: path
+ *        description: ID of the schedule to delete
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or schedule not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.delete("/:scheduleId", verifyToken, maintenanceScheduleParamValidator, authorize("Vehicle", "manageMaintenance"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await maintenanceController.deleteSchedule(req.params.id, req.params.scheduleId);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+const express = require("express");
+// mounted under /api/vehicles/:id/members, so req.params.id is the vehicle
+const router = express.Router({ mergeParams: true });
+const memberController = require("../controllers/memberController");
+
+// import validators
+const {validationResult} = require('express-validator');
+const { idParamValidator } = require("../validators");
+const {memberValidator, updateMemberValidator, memberParamValidator} = require("../validators/memberValidator");
+const verifyToken = require("../auth/authMiddleware");
+const authorize = require("../auth/authorize");
+const { sessionOnly } = require("../auth/scopes");
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/members:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to list who shares a vehicle, its owner, the members and their roles, and invitations that haven't been answered yet. Anyone sharing the vehicle can see this
+ *    tags:
+ *      - Members
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/", verifyToken, idParamValidator, authorize("Vehicle", "readMembers"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await memberController.getMembers(req.params.id);
+            res.send({result: 200, data: data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/members:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to invite someone to share a vehicle by their email address. Co-owners can change anything the owner can except selling or deleting the vehicle, editors can log events and upload images, viewers can see the private parts of the journal, and shops (business accounts only) can send service records for approval
+ *    tags:
+ *      - Members
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - email
+ *              - role
+ *            properties:
+ *              email:
+ *                type: string
+ *                example: partner@example.com
+ *              role:
+ *                type: string
+ *                enum: [owner, editor, viewer, shop]
+ *                example: editor
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: Can not invite the vehicle's owner
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '409':
+ *        description: Already a member or invited
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/", verifyToken, sessionOnly, memberValidator, authorize("Vehicle", "manageMembers"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await memberController.inviteMember(req.params.id, req.userId, req.body);
+            switch (data) {
+                case 400:
+                    res.status(400).json({errors: [{"msg": "the owner of the vehicle can't be invited to it"}]});
+                    break;
+                case 409:
+                    res.status(409).json({errors: [{"msg": "this person is already a member or has an invitation waiting"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/members/{memberId}:
+ *  put:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to change the role of a member or of an invitation that hasn't been accepted yet
+ *    tags:
+ *      - Members
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: memberId
+ *        in: path
+ *        description: ID of the member
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - role
+ *            properties:
+ *              role:
+ *                type: string
+ *                enum: [owner, editor, viewer, shop]
+ *                example: viewer
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or member not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.put("/:memberId", verifyToken, sessionOnly, updateMemberValidator, authorize("Vehicle", "manageMembers"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await memberController.updateMember(req.params.id, req.params.memberId, req.body.role);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/members/{memberId}:
+ *  delete:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to remove a member from a vehicle, or to take back an invitation. Events they logged stay in the journal
+ *    tags:
+ *      - Members
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: memberId
+ *        in: path
+ *        description: ID of the member
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or member not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.delete("/:memberId", verifyToken, sessionOnly, memberParamValidator, authorize("Vehicle", "manageMembers"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await memberController.removeMember(req.params.id, req.params.memberId);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+const express = require("express");
+const router = express.Router();
+const memberController = require("../controllers/memberController");
+
+// import validators
+const {validationResult} = require('express-validator');
+const {membershipParamValidator} = require("../validators/memberValidator");
+const verifyToken = require("../auth/authMiddleware");
+const { sessionOnly } = require("../auth/scopes");
+
+/**
+ * @swagger
+ * /api/memberships:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to list the vehicles other people share with you, and the open invitations sent to your email address
+ *    tags:
+ *      - Members
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Only available to a logged in session
+ *      '500':
+ *        description: Server error
+ */
+router.get("/", verifyToken, sessionOnly, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await memberController.getMembershipsForUser(req.userId);
+            res.send({result: 200, data: data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/memberships/{id}/accept:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to accept an invitation to share a vehicle sent to your email address
+ *    tags:
+ *      - Members
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the invitation
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: Shop access can only be accepted by a business account
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Email address must be verified to accept an invitation
+ *      '404':
+ *        description: Invitation not found
+ *      '409':
+ *        description: Invitation has expired
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/:id/accept", verifyToken, sessionOnly, membershipParamValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await memberController.acceptInvitation(req.params.id, req.userId);
+            switch (data) {
+                case 400:
+                    res.status(400).json({errors: [{"msg": "shop access can only be given to a business account"}]});
+                    break;
+                case 403:
+                    res.status(403).json({errors: [{"msg": "verify your email address before accepting an invitation"}]});
+                    break;
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                case 409:
+                    res.status(409).json({errors: [{"msg": "this invitation is no longer open"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/memberships/{id}/decline:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to turn down an invitation to share a vehicle
+ *    tags:
+ *      - Members
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the invitation
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Only available to a logged in session
+ *      '404':
+ *        description: Invitation not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/:id/decline", verifyToken, sessionOnly, membershipParamValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await memberController.declineInvitation(req.params.id, req.userId);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/memberships/{id}:
+ *  delete:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to stop sharing a vehicle someone else owns. Events you logged stay in its journal
+ *    tags:
+ *      - Members
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the membership
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Only available to a logged in session
+ *      '404':
+ *        description: Membership not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.delete("/:id", verifyToken, sessionOnly, membershipParamValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await memberController.leaveVehicle(req.params.id, req.userId);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,350 @@
+const express = require("express");
+// mounted under /api/vehicles/:id/parts, so req.params.id is the vehicle
+const router = express.Router({ mergeParams: true });
+const partController = require("../controllers/partController");
+
+// import validators
+const {validationResult} = require('express-validator');
+const { idParamValidator } = require("../validators");
+const {partValidator, updatePartValidator, partParamValidator} = require("../validators/partValidator");
+const verifyToken = require("../auth/authMiddleware");
+const authorize = require("../auth/authorize");
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/parts:
+ *  get:
+ *    description: Use to request every part recorded on a vehicle, including ones that have since been removed
+ *    tags:
+ *      - Parts
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/", idParamValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await partController.getPartsByVehicle(req.params.id);
+            res.send({ result: 200, data: data });
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/parts:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to add a part to a vehicle
+ *    tags:
+ *      - Parts
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - name
+ *            properties:
+ *              name:
+ *                type: string
+ *                example: Cat-back exhaust
+ *              brand:
+ *                type: string
+ *                example: Supersprint
+ *                nullable: true
+ *              partNumber:
+ *                type: string
+ *                example: 776504
+ *                nullable: true
+ *              category:
+ *                type: string
+ *                example: exhaust
+ *                default: other
+ *              installEventId:
+ *                type: integer
+ *                description: the event it was fitted in, fills installedAt and installOdometer when they're left out
+ *                example: 3
+ *                nullable: true
+ *              removalEventId:
+ *                type: integer
+ *                description: the event it was taken off in, fills removedAt when it's left out
+ *                nullable: true
+ *              installedAt:
+ *                type: string
+ *                format: date
+ *                example: 2023-06-12
+ *                nullable: true
+ *              installOdometer:
+ *                type: integer
+ *                description: the reading in installOdometerUnit, it is stored normalised to km (or hours) with the original kept in installOdometerValue
+ *                example: 120000
+ *                nullable: true
+ *              installOdometerUnit:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: defaults to the vehicle's meter, km and mi can be mixed on one vehicle
+ *              removedAt:
+ *                type: string
+ *                format: date
+ *                nullable: true
+ *              warrantyExpiry:
+ *                type: string
+ *                format: date
+ *                example: 2026-06-12
+ *                nullable: true
+ *              notes:
+ *                type: string
+ *                nullable: true
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: The install or removal event is not on this vehicle
+ *      '409':
+ *        description: The part is removed before it was installed
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/", verifyToken, partValidator, authorize("Vehicle", "manageParts"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await partController.createPart(req.params.id, req.body);
+            switch (data) {
+                case 400:
+                    res.status(400).json({errors: [{"msg": "the install or removal event is not on this vehicle"}]});
+                    break;
+                case 409:
+                    res.status(409).json({errors: [{"msg": "a part can't be removed before it was installed"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/parts/{partId}:
+ *  put:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to update a part, set removalEventId or removedAt when it comes off the vehicle
+ *    tags:
+ *      - Parts
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: partId
+ *        in: path
+ *        description: ID of the part to update
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              name:
+ *                type: string
+ *                example: Cat-back exhaust
+ *              brand:
+ *                type: string
+ *                example: Supersprint
+ *                nullable: true
+ *              partNumber:
+ *                type: string
+ *                example: 776504
+ *                nullable: true
+ *              category:
+ *                type: string
+ *                example: exhaust
+ *                default: other
+ *              installEventId:
+ *                type: integer
+ *                description: the event it was fitted in, fills installedAt and installOdometer when they're left out
+ *                example: 3
+ *                nullable: true
+ *              removalEventId:
+ *                type: integer
+ *                description: the event it was taken off in, fills removedAt when it's left out
+ *                nullable: true
+ *              installedAt:
+ *                type: string
+ *                format: date
+ *                example: 2023-06-12
+ *                nullable: true
+ *              installOdometer:
+ *                type: integer
+ *                description: the reading in installOdometerUnit, it is stored normalised to km (or hours) with the original kept in installOdometerValue
+ *                example: 120000
+ *                nullable: true
+ *              installOdometerUnit:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: defaults to the vehicle's meter, km and mi can be mixed on one vehicle
+ *              removedAt:
+ *                type: string
+ *                format: date
+ *                nullable: true
+ *              warrantyExpiry:
+ *                type: string
+ *                format: date
+ *                example: 2026-06-12
+ *                nullable: true
+ *              notes:
+ *                type: string
+ *                nullable: true
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: The install or removal event is not on this vehicle
+ *      '409':
+ *        description: The part is removed before it was installed
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or part not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.put("/:partId", verifyToken, updatePartValidator, authorize("Vehicle", "manageParts"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await partController.updatePart(req.params.id, req.params.partId, req.body);
+            switch (data) {
+                case 400:
+                    res.status(400).json({errors: [{"msg": "the install or removal event is not on this vehicle"}]});
+                    break;
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                case 409:
+                    res.status(409).json({errors: [{"msg": "a part can't be removed before it was installed"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/parts/{partId}:
+ *  delete:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to delete a part record, to keep it in the history set it as removed instead
+ *    tags:
+ *      - Parts
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: partId
+ *        in: path
+ *        description: ID of the part to delete
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or part not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.delete("/:partId", verifyToken, partParamValidator, authorize("Vehicle", "manageParts"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await partController.deletePart(req.params.id, req.params.partId);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+module.exports = router;
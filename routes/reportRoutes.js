@@ -0,0 +1,233 @@
+const express = require("express");
+// mounted under /api/vehicles/:id/report, so req.params.id is the vehicle
+const router = express.Router({ mergeParams: true });
+const reportController = require("../controllers/reportController");
+const { sendReport } = require("../utils/report");
+
+// import validators
+const {validationResult} = require('express-validator');
+const { idParamValidator } = require("../validators");
+const {reportValidator, reportLinkValidator, reportLinkParamValidator} = require("../validators/reportValidator");
+const verifyToken = require("../auth/authMiddleware");
+const authorize = require("../auth/authorize");
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/report:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to download a vehicle's history report, with its profile, ownership, service and modification timeline, odometer graph and costs
+ *    tags:
+ *      - Reports
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: format
+ *        in: query
+ *        description: pdf or html, defaults to pdf
+ *        required: false
+ *        type: string
+ *        enum: [pdf, html]
+ *      - name: units
+ *        in: query
+ *        description: km or mi (metric or imperial also work), defaults to the vehicle's display unit
+ *        required: false
+ *        type: string
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/", verifyToken, reportValidator, authorize("Vehicle", "readReport"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await reportController.buildVehicleReport(req.params.id, {units: req.units || res.locals.displayUnit});
+            await sendReport(res, data, req.query.format || "pdf");
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/report/links:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to list the public links made for a vehicle's report, the tokens themselves are only shown when a link is made
+ *    tags:
+ *      - Reports
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/links", verifyToken, idParamValidator, authorize("Vehicle", "readReportLinks"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await reportController.getReportLinks(req.params.id);
+            res.send({result: 200, data: data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/report/links:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to make a link that lets anyone holding it view the vehicle's report without an account until it expires. The token and url are only returned this once
+ *    tags:
+ *      - Reports
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              expiresInDays:
+ *                type: integer
+ *                description: how long the link works for, 14 days unless set, at most 90
+ *                example: 7
+ *              label:
+ *                type: string
+ *                description: a note for yourself on who the link was for
+ *                example: Buyer from the classifieds
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/links", verifyToken, reportLinkValidator, authorize("Vehicle", "manageReportLinks"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await reportController.createReportLink(req.params.id, req.userId, req.body);
+            data.url = `${req.protocol}://${req.get("host")}/api/reports/${data.token}`;
+            res.send({result: 200, data: data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/report/links/{linkId}:
+ *  delete:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to stop a report link from working before it expires
+ *    tags:
+ *      - Reports
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: linkId
+ *        in: path
+ *        description: ID of the link
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or link not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.delete("/links/:linkId", verifyToken, reportLinkParamValidator, authorize("Vehicle", "manageReportLinks"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await reportController.revokeReportLink(req.params.id, req.params.linkId);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,573 @@
+const express = require("express");
+// mounted under /api/vehicles/:id/service-records, so req.params.id is the vehicle
+const router = express.Router({ mergeParams: true });
+const serviceRecordController = require("../controllers/serviceRecordController");
+const { sendDocument } = require("../utils/uploadManager");
+const { vehicleRole } = require("../auth/policies");
+
+// invoices are held in memory until they pass the type check, same limit as vehicle documents
+const multer = require('multer');
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: parseInt(process.env.DOCUMENT_MAX_BYTES, 10) || 10 * 1024 * 1024 } });
+
+// import validators
+const {validationResult} = require('express-validator');
+const { documentUploadValidator } = require("../validators");
+const {serviceRecordValidator, serviceRecordParamValidator, invoiceValidator, approveServiceRecordValidator, rejectServiceRecordValidator, serviceRecordQueryValidator} = require("../validators/serviceRecordValidator");
+const verifyToken = require("../auth/authMiddleware");
+const authorize = require("../auth/authorize");
+const { requireVerified, isPublishing } = require("../auth/verificationMiddleware");
+
+// an approved record's event is published unless the owner says otherwise
+const approvalPublishes = (req) => req.body.published === undefined || isPublishing(req);
+
+// the owners see every record for the vehicle, a shop only the ones it sent
+const shopFilter = async (req) => (await vehicleRole(req.user, req.resource)) === "shop" ? req.userId : undefined;
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/service-records:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to list the service records shops have sent for a vehicle. The owners see all of them, a shop only sees its own
+ *    tags:
+ *      - Service records
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: status
+ *        in: query
+ *        description: Only records with this status
+ *        required: false
+ *        type: string
+ *        enum: [pending, approved, rejected]
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/", verifyToken, serviceRecordQueryValidator, authorize("Vehicle", "readServiceRecords"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await serviceRecordController.getServiceRecords(req.params.id, {shopId: await shopFilter(req), status: req.query.status});
+            res.send({result: 200, data: data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/service-records/{recordId}:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to request a single service record
+ *    tags:
+ *      - Service records
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: recordId
+ *        in: path
+ *        description: ID of the service record
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or service record not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/:recordId", verifyToken, serviceRecordParamValidator, authorize("Vehicle", "readServiceRecords"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await serviceRecordController.getServiceRecord(req.params.id, req.params.recordId, {shopId: await shopFilter(req)});
+            if (!data) {
+                res.sendStatus(404);
+            } else {
+                res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/service-records/{recordId}/invoice:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to download the invoice a shop attached to a service record
+ *    tags:
+ *      - Service records
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: recordId
+ *        in: path
+ *        description: ID of the service record
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle, service record or invoice not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/:recordId/invoice", verifyToken, serviceRecordParamValidator, authorize("Vehicle", "readServiceRecords"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await serviceRecordController.getServiceRecord(req.params.id, req.params.recordId, {shopId: await shopFilter(req)});
+            if (!data || !data.invoice || !(await sendDocument(res, data.invoice, {name: data.invoiceName, mimeType: data.invoiceMimeType}))) {
+                res.sendStatus(404);
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/service-records:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use as a shop to send a service record for a customer's vehicle. The shop needs a business account and shop access to the vehicle, the record joins the owner's journal once they approve it
+ *    tags:
+ *      - Service records
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - title
+ *              - type
+ *              - date
+ *            properties:
+ *              title:
+ *                type: string
+ *                example: 60,000km service
+ *              detail:
+ *                type: string
+ *                example: Oil and filter, new front pads, checked the coolant
+ *              type:
+ *                type: string
+ *                enum: [repair, maintenance]
+ *                example: maintenance
+ *              date:
+ *                type: string
+ *                format: date
+ *                example: 2024-03-01
+ *              odometer:
+ *                type: number
+ *                example: 60120
+ *              odometerUnit:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: defaults to the vehicle's meter
+ *              items:
+ *                type: array
+ *                description: the work done, these become the event's costs once approved
+ *                items:
+ *                  type: object
+ *                  properties:
+ *                    category:
+ *                      type: string
+ *                      enum: [parts, labour, other]
+ *                    description:
+ *                      type: string
+ *                      example: Front brake pads
+ *                    amount:
+ *                      type: number
+ *                      example: 89.50
+ *                    currency:
+ *                      type: string
+ *                      example: AUD
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/", verifyToken, serviceRecordValidator, authorize("Vehicle", "submitServiceRecords"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await serviceRecordController.submitServiceRecord(req.params.id, req.userId, req.body);
+            switch (data) {
+                case 403:
+                    res.status(403).json({errors: [{"msg": "only business accounts can send service records"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/service-records/{recordId}/invoice:
+ *  put:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use as a shop to attach the invoice to a service record before the owner reviews it, a new file replaces the old one
+ *    tags:
+ *      - Service records
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: recordId
+ *        in: path
+ *        description: ID of the service record
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        multipart/form-data:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - invoice
+ *            properties:
+ *              invoice:
+ *                type: string
+ *                format: binary
+ *                description: PDF, JPG or PNG
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or service record not found
+ *      '409':
+ *        description: Service record has already been reviewed
+ *      '413':
+ *        description: File too large
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.put("/:recordId/invoice", upload.single('invoice'), verifyToken, documentUploadValidator, invoiceValidator, authorize("Vehicle", "submitServiceRecords"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await serviceRecordController.attachInvoice(req.params.id, req.params.recordId, req.userId, req.file);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                case 409:
+                    res.status(409).json({errors: [{"msg": "this service record has already been reviewed"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/service-records/{recordId}:
+ *  delete:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use as a shop to withdraw a service record before the owner reviews it
+ *    tags:
+ *      - Service records
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: recordId
+ *        in: path
+ *        description: ID of the service record
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or service record not found
+ *      '409':
+ *        description: Service record has already been reviewed
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.delete("/:recordId", verifyToken, serviceRecordParamValidator, authorize("Vehicle", "submitServiceRecords"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await serviceRecordController.withdrawServiceRecord(req.params.id, req.params.recordId, req.userId);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                case 409:
+                    res.status(409).json({errors: [{"msg": "this service record has already been reviewed"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/service-records/{recordId}/approve:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use as an owner to approve a service record. It is added to the journal as a shop verified event written by the shop, with the items as its costs
+ *    tags:
+ *      - Service records
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: recordId
+ *        in: path
+ *        description: ID of the service record
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              published:
+ *                type: boolean
+ *                description: whether the new event is public, defaults to true
+ *                example: true
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden, or the email address must be verified to publish
+ *      '404':
+ *        description: Vehicle or service record not found
+ *      '409':
+ *        description: Service record has already been reviewed
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/:recordId/approve", verifyToken, requireVerified("publish", approvalPublishes), approveServiceRecordValidator, authorize("Vehicle", "reviewServiceRecords"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await serviceRecordController.approveServiceRecord(req.params.id, req.params.recordId, req.body);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                case 409:
+                    res.status(409).json({errors: [{"msg": "this service record has already been reviewed"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/service-records/{recordId}/reject:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use as an owner to turn down a service record, it stays out of the journal
+ *    tags:
+ *      - Service records
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: recordId
+ *        in: path
+ *        description: ID of the service record
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              note:
+ *                type: string
+ *                description: why it was turned down, the shop can see this
+ *                example: This was done at a different shop
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or service record not found
+ *      '409':
+ *        description: Service record has already been reviewed
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/:recordId/reject", verifyToken, rejectServiceRecordValidator, authorize("Vehicle", "reviewServiceRecords"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await serviceRecordController.rejectServiceRecord(req.params.id, req.params.recordId, req.body.note);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                case 409:
+                    res.status(409).json({errors: [{"msg": "this service record has already been reviewed"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require("express");
+const router = express.Router();
+const reportController = require("../controllers/reportController");
+const { sendReport } = require("../utils/report");
+
+// import validators
+const {validationResult} = require('express-validator');
+const {reportTokenValidator} = require("../validators/reportValidator");
+
+/**
+ * @swagger
+ * /api/reports/{token}:
+ *  get:
+ *    description: Use to view a vehicle's history report through a link its owner shared, no account needed. Links stop working when they expire, are revoked, or the vehicle is transferred
+ *    tags:
+ *      - Reports
+ *    parameters:
+ *      - name: token
+ *        in: path
+ *        description: The token from the link
+ *        required: true
+ *        type: string
+ *      - name: format
+ *        in: query
+ *        description: pdf or html, defaults to html
+ *        required: false
+ *        type: string
+ *        enum: [pdf, html]
+ *      - name: units
+ *        in: query
+ *        description: km or mi (metric or imperial also work), defaults to the vehicle's display unit
+ *        required: false
+ *        type: string
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '404':
+ *        description: Link not found, expired or revoked
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/:token", reportTokenValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const vehicleId = await reportController.useReportLink(req.params.token);
+            if (!vehicleId) {
+                res.sendStatus(404);
+            } else {
+                const data = await reportController.buildVehicleReport(vehicleId, {units: req.units});
+                await sendReport(res, data, req.query.format || "html");
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require("express");
+const router = express.Router();
+const transferController = require("../controllers/transferController");
+
+// import validators
+const {validationResult} = require('express-validator');
+const {transferParamValidator} = require("../validators/transferValidator");
+const verifyToken = require("../auth/authMiddleware");
+const { sessionOnly } = require("../auth/scopes");
+
+/**
+ * @swagger
+ * /api/transfers:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to list the vehicle transfers you have sent, and the open ones sent to your email address
+ *    tags:
+ *      - Transfers
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Only available to a logged in session
+ *      '500':
+ *        description: Server error
+ */
+router.get("/", verifyToken, sessionOnly, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await transferController.getTransfersForUser(req.userId);
+            res.send({result: 200, data: data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/transfers/{id}/accept:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to accept a vehicle transfer sent to your email address. The vehicle and its journal become yours, events the previous owner wrote stay under their name
+ *    tags:
+ *      - Transfers
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the transfer
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Email address must be verified to accept a transfer
+ *      '404':
+ *        description: Transfer not found
+ *      '409':
+ *        description: Transfer is no longer open
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/:id/accept", verifyToken, sessionOnly, transferParamValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await transferController.acceptTransfer(req.params.id, req.userId);
+            switch (data) {
+                case 403:
+                    res.status(403).json({errors: [{"msg": "verify your email address before accepting a transfer"}]});
+                    break;
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                case 409:
+                    res.status(409).json({errors: [{"msg": "this transfer is no longer open"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/transfers/{id}/decline:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to turn down a vehicle transfer sent to your email address
+ *    tags:
+ *      - Transfers
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the transfer
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Only available to a logged in session
+ *      '404':
+ *        description: Transfer not found
+ *      '409':
+ *        description: Transfer is no longer open
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/:id/decline", verifyToken, sessionOnly, transferParamValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await transferController.declineTransfer(req.params.id, req.userId);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                case 409:
+                    res.status(409).json({errors: [{"msg": "this transfer is no longer open"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/transfers/{id}:
+ *  delete:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to cancel a transfer you sent before it is accepted
+ *    tags:
+ *      - Transfers
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the transfer
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Only available to a logged in session
+ *      '404':
+ *        description: Transfer not found
+ *      '409':
+ *        description: Transfer has already been answered
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.delete("/:id", verifyToken, sessionOnly, transferParamValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await transferController.cancelTransfer(req.params.id, req.userId);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                case 409:
+                    res.status(409).json({errors: [{"msg": "this transfer has already been answered"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+module.exports = router;
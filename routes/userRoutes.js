@@ -1,21 +1,33 @@
 const express = require("express");
 const router = express.Router();
 const userController = require("../controllers/userController");
+const sessionController = require("../controllers/sessionController");
+const passwordResetController = require("../controllers/passwordResetController");
+const emailVerificationController = require("../controllers/emailVerificationController");
+const twoFactorController = require("../controllers/twoFactorController");
+const apiTokenController = require("../controllers/apiTokenController");
+const vehicleDocumentController = require("../controllers/vehicleDocumentController");
 
 // import multer for image file hanlding
 const multer = require('multer');
-const upload = multer({ storage: multer.memoryStorage() });
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: parseInt(process.env.IMAGE_MAX_BYTES, 10) || 20 * 1024 * 1024 } });
 
 // import validators
 const {validationResult} = require('express-validator');
 const { idParamValidator, imageUploadValidator } = require("../validators");
-const {userValidator, updateUserValidator, uniqueEmailValidator, userLoginValidator} = require("../validators/userValidator");
+const {userValidator, updateUserValidator, uniqueEmailValidator, userLoginValidator, refreshTokenValidator, passwordResetRequestValidator, passwordResetConfirmValidator, emailVerificationValidator, userRoleValidator,
+    twoFactorLoginValidator, twoFactorCodeValidator, twoFactorDisableValidator,
+    apiTokenValidator, apiTokenParamValidator, accountUnlockValidator} = require("../validators/userValidator");
+const { expiringDocumentsValidator } = require("../validators/vehicleDocumentValidator");
 
 // import security related things
 const bcrypt = require('bcryptjs');
 const saltRounds = 10;
-const jwt = require('jsonwebtoken');
 const verifyToken = require('../auth/authMiddleware');
+const { signChallengeToken, verifyChallengeToken } = require('../auth/tokenManager');
+const authorize = require('../auth/authorize');
+const { sessionOnly } = require('../auth/scopes');
+const loginThrottle = require('../auth/loginThrottle');
 
 /**
  * @swagger
@@ -134,7 +146,7 @@ router.get("/:id/vehicles", idParamValidator, async (req, res, next) => {
  * @swagger
  * /api/users:
  *  post:
- *    description: Use to create a new user
+ *    description: Use to create a new user. An email address still held by an account that was never verified is only moved over once the new account confirms it, until then the new account has no email and can't log in
  *    tags:
  *      - Users
  *    requestBody:
@@ -156,10 +168,15 @@ router.get("/:id/vehicles", idParamValidator, async (req, res, next) => {
  *                type: string
  *                example: im a great guy, just so great
  *                nullable: true
+ *              accountType:
+ *                type: string
+ *                enum: [personal, business]
+ *                description: business accounts are workshops that can send service records for their customers' vehicles
+ *                example: personal
  *              image:
  *                type: string
  *                format: binary
- *                description: Optional image file
+ *                description: Optional image file, stored in thumb, medium and full sizes plus WebP copies listed in imageVariants
  *                nullable: true
  *            required:
  *              - name
@@ -169,31 +186,654 @@ router.get("/:id/vehicles", idParamValidator, async (req, res, next) => {
  *      '200':
  *        description: A successful response
  *      '400':
- *        description: Invalid input
- *      '404':
- *        description: User not found
+ *        description: Invalid input
+ *      '404':
+ *        description: User not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/", upload.single('image'), imageUploadValidator, uniqueEmailValidator, userValidator, async (req, res, next) =>{
+    try {
+        const errors = validationResult(req);
+        console.log(errors);
+        if (errors.isEmpty()){
+            let userData = req.body;
+            userData.password = await bcrypt.hashSync(userData.password, saltRounds);
+
+            if (req.file){
+                userData.image = req.file
+            }
+            const data = await userController.createUser(userData);
+
+            if (!data){
+                res.sendStatus(404);
+            } else {
+                res.send({result:200, data:data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/login:
+ *  post:
+ *    description: Use to login a user and get back an authorization token and a refresh token. If the user has two factor authentication on, the response is instead twoFactorRequired with a challengeToken for /api/users/login/2fa
+ *    tags:
+ *      - Users
+ *    requestBody:
+ *     content:
+ *      application/json:
+ *       schema:
+ *        type: object
+ *        required:
+ *         - email
+ *         - password
+ *        properties:
+ *         email:
+ *          type: string
+ *          example: john@dudes.com
+ *         password:
+ *          type: string
+ *          example: password
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: Invalid JSON
+ *      '404':
+ *        description: User not found
+ *      '422':
+ *        description: Validation error
+ *      '423':
+ *        description: Account locked after too many failed logins, an unlock link has been emailed
+ *      '429':
+ *        description: Too many failed logins, wait for the Retry-After header
+ *      '500':
+ *        description: Server error
+ */
+router.post("/login", userLoginValidator, loginThrottle.throttleLogin, async (req, res, next) => {
+    try{
+        const errors = validationResult(req);
+        if(errors.isEmpty()){
+            const attempt = {email: req.body.email, ip: req.ip};
+            const userData = await userController.getUserByEmail(req.body.email);
+            const match = userData && await bcrypt.compare(req.body.password, userData.password);
+            if(!match){
+                await loginThrottle.recordFailure({...attempt, user: userData});
+            }
+
+            if(match && await twoFactorController.isTwoFactorEnabled(userData.id)){
+                // the failures are kept until the code is in too, otherwise knowing the password would reset the guesses at it
+                const challengeToken = signChallengeToken(userData.id);
+                res.send({ result: 200, data: {twoFactorRequired: true, challengeToken: challengeToken} });
+            }else if(match){
+                await loginThrottle.recordSuccess(attempt);
+                const { token, refreshToken } = await sessionController.createSession(userData.id, {
+                    userAgent: req.get('user-agent'),
+                    ip: req.ip
+                });
+
+                const payloadData = {token: token, refreshToken: refreshToken, user: userData};
+                res.send({ result: 200, data: payloadData });
+            }else{
+                res.status(404).json({errors: [{"msg": "Invalid email or password"}]});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err){
+      next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/login/2fa:
+ *  post:
+ *    description: Use to finish logging in a user with two factor authentication, exchanges the challenge token from /api/users/login and a code for an authorization token
+ *    tags:
+ *      - Users
+ *    requestBody:
+ *     content:
+ *      application/json:
+ *       schema:
+ *        type: object
+ *        required:
+ *         - challengeToken
+ *        properties:
+ *         challengeToken:
+ *          type: string
+ *         code:
+ *          type: string
+ *          description: code from the authenticator app
+ *          example: "123456"
+ *         recoveryCode:
+ *          type: string
+ *          description: one of the recovery codes, can be used instead of code and only works once
+ *          example: a1b2c-3d4e5
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Challenge expired or code invalid
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/login/2fa", twoFactorLoginValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const userId = verifyChallengeToken(req.body.challengeToken);
+            const userData = userId && await userController.getUser(userId);
+            if (!userData) {
+                return res.status(401).json({errors: [{"msg": "Invalid or expired code"}]});
+            }
+            // codes are short, so guesses count against the account just like passwords
+            const attempt = {email: userData.email, ip: req.ip};
+            const blocked = await loginThrottle.checkLogin(attempt);
+            if (blocked) {
+                res.set('Retry-After', String(blocked.retryAfter));
+                return res.status(blocked.status).json({errors: [{"msg": "Too many failed attempts, try again later"}]});
+            }
+            const verified = await twoFactorController.verifySecondFactor(userId, req.body);
+            if (verified) {
+                await loginThrottle.recordSuccess(attempt);
+                const { token, refreshToken } = await sessionController.createSession(userId, {
+                    userAgent: req.get('user-agent'),
+                    ip: req.ip
+                });
+                res.send({ result: 200, data: {token: token, refreshToken: refreshToken, user: userData} });
+            } else {
+                await loginThrottle.recordFailure({...attempt, user: userData});
+                res.status(401).json({errors: [{"msg": "Invalid or expired code"}]});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/unlock:
+ *  post:
+ *    description: Use to unlock an account with the token from the email sent when it was locked
+ *    tags:
+ *      - Users
+ *    requestBody:
+ *     content:
+ *      application/json:
+ *       schema:
+ *        type: object
+ *        required:
+ *         - token
+ *        properties:
+ *         token:
+ *          type: string
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: Invalid or expired unlock token
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/unlock", accountUnlockValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await loginThrottle.unlockAccount(req.body.token);
+            if (!data) {
+                res.status(400).json({errors: [{"msg": "Invalid or expired unlock token"}]});
+            } else {
+                res.send({result: 200, data: {msg: "Account unlocked"}});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/token/refresh:
+ *  post:
+ *    description: Use to exchange a refresh token for a new authorization token, the refresh token is rotated and the old one stops working
+ *    tags:
+ *      - Users
+ *    requestBody:
+ *     content:
+ *      application/json:
+ *       schema:
+ *        type: object
+ *        required:
+ *         - refreshToken
+ *        properties:
+ *         refreshToken:
+ *          type: string
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: Invalid JSON
+ *      '401':
+ *        description: Refresh token is invalid, expired or revoked
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/token/refresh", refreshTokenValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await sessionController.refreshSession(req.body.refreshToken);
+            switch (data) {
+                case 401:
+                    res.status(401).json({errors: [{"msg": "Invalid refresh token"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/logout:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to log out the current session, its authorization and refresh tokens stop working
+ *    tags:
+ *      - Users
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '500':
+ *        description: Server error
+ */
+router.post("/logout", verifyToken, sessionOnly, async (req, res, next) => {
+    try {
+        const data = await sessionController.revokeSession(req.sessionId, req.userId);
+        res.send({result: 200, data: data});
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/logout/all:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to log out every device the user is signed in on, including the current one
+ *    tags:
+ *      - Users
+ *    responses:
+ *      '200':
+ *        description: A successful response, data is the number of sessions revoked
+ *      '401':
+ *        description: Unauthorized
+ *      '500':
+ *        description: Server error
+ */
+router.post("/logout/all", verifyToken, sessionOnly, async (req, res, next) => {
+    try {
+        const data = await sessionController.revokeAllSessions(req.userId);
+        res.send({result: 200, data: data});
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/password/reset:
+ *  post:
+ *    description: Use to request a password reset link by email, responds the same whether or not the email belongs to an account
+ *    tags:
+ *      - Users
+ *    requestBody:
+ *     content:
+ *      application/json:
+ *       schema:
+ *        type: object
+ *        required:
+ *         - email
+ *        properties:
+ *         email:
+ *          type: string
+ *          example: john@dudes.com
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: Invalid JSON
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/password/reset", passwordResetRequestValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            await passwordResetController.requestPasswordReset(req.body.email);
+            res.send({result: 200, data: {msg: "If that email belongs to an account a reset link has been sent"}});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/password/reset/confirm:
+ *  post:
+ *    description: Use to set a new password with the token from a reset email, the token can only be used once and every session is logged out
+ *    tags:
+ *      - Users
+ *    requestBody:
+ *     content:
+ *      application/json:
+ *       schema:
+ *        type: object
+ *        required:
+ *         - token
+ *         - password
+ *        properties:
+ *         token:
+ *          type: string
+ *         password:
+ *          type: string
+ *          example: newpassword
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: Invalid or expired reset token
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/password/reset/confirm", passwordResetConfirmValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const hashedPassword = await bcrypt.hash(req.body.password, saltRounds);
+            const data = await passwordResetController.confirmPasswordReset(req.body.token, hashedPassword);
+            switch (data) {
+                case 400:
+                    res.status(400).json({errors: [{"msg": "Invalid or expired reset token"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: {msg: "Password has been reset"}});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/email/verify:
+ *  post:
+ *    description: Use to confirm an email address with the token from a verification email, on an email change this is when the new address replaces the old one
+ *    tags:
+ *      - Users
+ *    requestBody:
+ *     content:
+ *      application/json:
+ *       schema:
+ *        type: object
+ *        required:
+ *         - token
+ *        properties:
+ *         token:
+ *          type: string
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: Invalid or expired verification token
+ *      '409':
+ *        description: Email already in use
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/email/verify", emailVerificationValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await emailVerificationController.confirmVerification(req.body.token);
+            switch (data) {
+                case 400:
+                    res.status(400).json({errors: [{"msg": "Invalid or expired verification token"}]});
+                    break;
+                case 409:
+                    res.status(409).json({errors: [{"msg": "Email already in use"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: {id: data.id, email: data.email, verified: data.verified}});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/email/verify/resend:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to send a new verification email for the logged in user's unverified or pending email address
+ *    tags:
+ *      - Users
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '404':
+ *        description: User not found
+ *      '409':
+ *        description: Email already verified
+ *      '500':
+ *        description: Server error
+ */
+router.post("/email/verify/resend", verifyToken, sessionOnly, async (req, res, next) => {
+    try {
+        const data = await emailVerificationController.resendVerification(req.userId);
+        switch (data) {
+            case 404:
+                res.sendStatus(404);
+                break;
+            case 409:
+                res.status(409).json({errors: [{"msg": "Email already verified"}]});
+                break;
+            default:
+                res.send({result: 200, data: data});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/2fa/setup:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to start turning on two factor authentication, returns a secret and an otpauth uri to show as a QR code. It isn't active until confirmed with /api/users/2fa/enable
+ *    tags:
+ *      - Users
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '409':
+ *        description: Two factor authentication is already on
+ *      '500':
+ *        description: Server error
+ */
+router.post("/2fa/setup", verifyToken, sessionOnly, async (req, res, next) => {
+    try {
+        const data = await twoFactorController.setupTwoFactor(req.userId);
+        switch (data) {
+            case 409:
+                res.status(409).json({errors: [{"msg": "Two factor authentication is already enabled"}]});
+                break;
+            default:
+                res.send({result: 200, data: data});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/2fa/enable:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to confirm two factor setup with a code from the authenticator app, returns the recovery codes which are only shown this once
+ *    tags:
+ *      - Users
+ *    requestBody:
+ *     content:
+ *      application/json:
+ *       schema:
+ *        type: object
+ *        required:
+ *         - code
+ *        properties:
+ *         code:
+ *          type: string
+ *          example: "123456"
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: Invalid code
+ *      '401':
+ *        description: Unauthorized
+ *      '404':
+ *        description: Two factor setup hasn't been started
+ *      '409':
+ *        description: Two factor authentication is already on
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/2fa/enable", verifyToken, sessionOnly, twoFactorCodeValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await twoFactorController.enableTwoFactor(req.userId, req.body.code);
+            switch (data) {
+                case 400:
+                    res.status(400).json({errors: [{"msg": "Invalid code"}]});
+                    break;
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                case 409:
+                    res.status(409).json({errors: [{"msg": "Two factor authentication is already enabled"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/2fa/recovery-codes:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to replace the recovery codes with a new set, the old ones stop working
+ *    tags:
+ *      - Users
+ *    requestBody:
+ *     content:
+ *      application/json:
+ *       schema:
+ *        type: object
+ *        required:
+ *         - code
+ *        properties:
+ *         code:
+ *          type: string
+ *          example: "123456"
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: Invalid code
+ *      '401':
+ *        description: Unauthorized
  *      '422':
  *        description: Validation error
  *      '500':
  *        description: Server error
  */
-router.post("/", upload.single('image'), imageUploadValidator, uniqueEmailValidator, userValidator, async (req, res, next) =>{
+router.post("/2fa/recovery-codes", verifyToken, sessionOnly, twoFactorCodeValidator, async (req, res, next) => {
     try {
         const errors = validationResult(req);
-        console.log(errors);
-        if (errors.isEmpty()){
-            let userData = req.body;
-            userData.password = await bcrypt.hashSync(userData.password, saltRounds);
-
-            if (req.file){
-                userData.image = req.file
-            }
-            const data = await userController.createUser(userData);
-
-            if (!data){
-                res.sendStatus(404);
-            } else {
-                res.send({result:200, data:data});
+        if (errors.isEmpty()) {
+            const data = await twoFactorController.regenerateRecoveryCodes(req.userId, req.body.code);
+            switch (data) {
+                case 400:
+                    res.status(400).json({errors: [{"msg": "Invalid code"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
             }
         } else {
             res.status(422).json({errors: errors.array()});
@@ -205,9 +845,11 @@ router.post("/", upload.single('image'), imageUploadValidator, uniqueEmailValida
 
 /**
  * @swagger
- * /api/users/login:
+ * /api/users/2fa/disable:
  *  post:
- *    description: Use to login a user and get back an authorization token
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to turn off two factor authentication, needs the password again plus a code or recovery code
  *    tags:
  *      - Users
  *    requestBody:
@@ -216,52 +858,51 @@ router.post("/", upload.single('image'), imageUploadValidator, uniqueEmailValida
  *       schema:
  *        type: object
  *        required:
- *         - email
  *         - password
  *        properties:
- *         email:
- *          type: string
- *          example: john@dudes.com
  *         password:
  *          type: string
  *          example: password
+ *         code:
+ *          type: string
+ *          example: "123456"
+ *         recoveryCode:
+ *          type: string
+ *          example: a1b2c-3d4e5
  *    responses:
  *      '200':
  *        description: A successful response
  *      '400':
- *        description: Invalid JSON
- *      '404':
- *        description: User not found
+ *        description: Invalid code
+ *      '401':
+ *        description: Unauthorized or wrong password
  *      '422':
  *        description: Validation error
  *      '500':
  *        description: Server error
  */
-router.post("/login", userLoginValidator, async (req, res, next) => {
-    try{
+router.post("/2fa/disable", verifyToken, sessionOnly, twoFactorDisableValidator, async (req, res, next) => {
+    try {
         const errors = validationResult(req);
-        if(errors.isEmpty()){
-            const userData = await userController.getUserByEmail(req.body.email);
-            if(userData){
-                const match = await bcrypt.compare(req.body.password, userData.password);
-                if(match){
-                    const token = jwt.sign({ id: userData.id }, process.env.JWT_SECRET, {
-                        expiresIn: "1h"
-                    });
-    
-                    const payloadData = {token: token, user: userData};
-                    res.send({ result: 200, data: payloadData });
-                }else{
-                    res.status(404).json({errors: [{"msg": "Invalid email or password"}]});
-                }
-            }else{
-                res.status(404).json({errors: [{"msg": "Invalid email or password"}]});
+        if (errors.isEmpty()) {
+            const userData = await userController.getUser(req.userId);
+            const match = userData && await bcrypt.compare(req.body.password, userData.password);
+            if (!match) {
+                return res.status(401).json({errors: [{"msg": "Invalid password"}]});
+            }
+            const data = await twoFactorController.disableTwoFactor(req.userId, req.body);
+            switch (data) {
+                case 400:
+                    res.status(400).json({errors: [{"msg": "Invalid code"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
             }
         } else {
             res.status(422).json({errors: errors.array()});
         }
-    } catch(err){
-      next(err);
+    } catch(err) {
+        next(err);
     }
 });
 
@@ -271,7 +912,7 @@ router.post("/login", userLoginValidator, async (req, res, next) => {
  *  put:
  *    security:
  *     - bearerAuth: []
- *    description: Use to update a new user
+ *    description: Use to update a user, a new email is only applied once the verification link sent to it is confirmed
  *    tags:
  *      - Users
  *    parameters:
@@ -301,16 +942,23 @@ router.post("/login", userLoginValidator, async (req, res, next) => {
  *                type: string
  *                example: im a great guy, just so great
  *                nullable: true
+ *              accountType:
+ *                type: string
+ *                enum: [personal, business]
+ *                description: business accounts are workshops that can send service records for their customers' vehicles
+ *                example: personal
  *              image:
  *                type: string
  *                format: binary
- *                description: Optional image file
+ *                description: Optional image file, stored in thumb, medium and full sizes plus WebP copies listed in imageVariants
  *                nullable: true
  *    responses:
  *      '200':
  *        description: A successful response
  *      '400':
  *        description: Invalid input
+ *      '403':
+ *        description: Forbidden
  *      '404':
  *        description: User not found
  *      '422':
@@ -318,7 +966,7 @@ router.post("/login", userLoginValidator, async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.put("/:id", upload.single('image'), verifyToken, imageUploadValidator, uniqueEmailValidator, updateUserValidator, async (req, res, next) => {
+router.put("/:id", upload.single('image'), verifyToken, imageUploadValidator, uniqueEmailValidator, updateUserValidator, authorize("User", "update"), async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()){
@@ -331,16 +979,18 @@ router.put("/:id", upload.single('image'), verifyToken, imageUploadValidator, un
             if (req.file){
                 userData.image = req.file
             }
-            const data = await userController.updateUser(Number(req.params.id), userData, Number(req.userId));
+            const data = await userController.updateUser(Number(req.params.id), userData);
 
             switch(data){
-                case 401:
-                    res.status(401).json({errors: [{"msg": "Unauthorized"}]});
-                    break;
                 case null:
                     res.sendStatus(404);
                     break;
                 default:
+                    // a password change logs out every other device
+                    if (userData.password) {
+                        const keepSessionId = data.id === req.userId ? req.sessionId : undefined;
+                        await sessionController.revokeAllSessions(data.id, keepSessionId);
+                    }
                     res.send({result:200, data: data});
             }
         } else {
@@ -352,11 +1002,294 @@ router.put("/:id", upload.single('image'), verifyToken, imageUploadValidator, un
     }
 });
 
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *  put:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to change a user's role, only admins can do this
+ *    tags:
+ *      - Users
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of user to update
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *     content:
+ *      application/json:
+ *       schema:
+ *        type: object
+ *        required:
+ *         - role
+ *        properties:
+ *         role:
+ *          type: string
+ *          enum: [user, moderator, admin]
+ *          example: moderator
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: User not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.put("/:id/role", verifyToken, userRoleValidator, authorize("User", "assignRole"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()){
+            const data = await userController.updateUserRole(req.params.id, req.body.role);
+            res.send({result: 200, data: data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/documents/expiring:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to list the documents across a user's vehicles that have expired or expire within the window, soonest first
+ *    tags:
+ *      - Documents
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the user
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - in: query
+ *        name: withinDays
+ *        schema:
+ *          type: integer
+ *          default: 30
+ *        description: How many days ahead to look. Default is 30.
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: User not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/:id/documents/expiring", verifyToken, expiringDocumentsValidator, authorize("User", "readDocuments"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const withinDays = parseInt(req.query.withinDays, 10);
+            const data = await vehicleDocumentController.getExpiringDocuments(req.params.id, {
+                withinDays: isNaN(withinDays) ? 30 : withinDays // Default is 30 days
+            });
+            res.send({result: 200, data: data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/tokens:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to list a user's active personal access tokens, the tokens themselves are never shown again after creation
+ *    tags:
+ *      - Users
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the user
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: User not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/:id/tokens", verifyToken, sessionOnly, idParamValidator, authorize("User", "manageTokens"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await apiTokenController.getApiTokensByUser(req.params.id);
+            res.send({result: 200, data: data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/tokens:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to create a personal access token for scripts, send it in the authorization header like a login token. The token is only returned this once
+ *    tags:
+ *      - Users
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the user
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *     content:
+ *      application/json:
+ *       schema:
+ *        type: object
+ *        required:
+ *         - name
+ *         - scopes
+ *        properties:
+ *         name:
+ *          type: string
+ *          example: service record import
+ *         scopes:
+ *          type: array
+ *          items:
+ *           type: string
+ *           enum: [read, vehicles:write, events:write, images:write, comments:write, likes:write]
+ *          example: [events:write, images:write]
+ *         expiresInDays:
+ *          type: integer
+ *          example: 90
+ *          nullable: true
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: User not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/:id/tokens", verifyToken, sessionOnly, apiTokenValidator, authorize("User", "manageTokens"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await apiTokenController.createApiToken(req.params.id, req.body);
+            res.send({result: 200, data: data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/tokens/{tokenId}:
+ *  delete:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to revoke a personal access token
+ *    tags:
+ *      - Users
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the user
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: tokenId
+ *        in: path
+ *        description: ID of the token to revoke
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Token not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.delete("/:id/tokens/:tokenId", verifyToken, sessionOnly, apiTokenParamValidator, authorize("User", "manageTokens"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await apiTokenController.revokeApiToken(req.params.id, req.params.tokenId);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
 /**
  * @swagger
  * /api/users/{id}:
  *  delete:
- *    description: Use to delete a user by ID
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to delete a user by ID, users can delete themselves and admins can delete anyone
  *    tags:
  *      - Users
  *    parameters:
@@ -370,6 +1303,8 @@ router.put("/:id", upload.single('image'), verifyToken, imageUploadValidator, un
  *    responses:
  *      '200':
  *        description: A successful response
+ *      '403':
+ *        description: Forbidden
  *      '404':
  *        description: User not found
  *      '422':
@@ -377,7 +1312,7 @@ router.put("/:id", upload.single('image'), verifyToken, imageUploadValidator, un
  *      '500':
  *        description: Server error
  */
-router.delete("/:id", idParamValidator, async (req, res, next) => {
+router.delete("/:id", verifyToken, idParamValidator, authorize("User", "delete"), async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()){
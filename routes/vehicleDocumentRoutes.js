@@ -0,0 +1,395 @@
+const express = require("express");
+// mounted under /api/vehicles/:id/documents, so req.params.id is the vehicle
+const router = express.Router({ mergeParams: true });
+const vehicleDocumentController = require("../controllers/vehicleDocumentController");
+const { sendDocument } = require("../utils/uploadManager");
+
+// documents are kept in memory until they pass the type check, 10MB unless DOCUMENT_MAX_BYTES says otherwise
+const multer = require('multer');
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: parseInt(process.env.DOCUMENT_MAX_BYTES, 10) || 10 * 1024 * 1024 } });
+
+// import validators
+const {validationResult} = require('express-validator');
+const { idParamValidator, documentUploadValidator } = require("../validators");
+const {vehicleDocumentValidator, updateVehicleDocumentValidator, vehicleDocumentParamValidator} = require("../validators/vehicleDocumentValidator");
+const verifyToken = require("../auth/authMiddleware");
+const authorize = require("../auth/authorize");
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/documents:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to list the documents stored for a vehicle, only the owner can see them
+ *    tags:
+ *      - Documents
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/", verifyToken, idParamValidator, authorize("Vehicle", "readDocuments"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await vehicleDocumentController.getDocumentsByVehicle(req.params.id);
+            res.send({ result: 200, data: data });
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/documents/{documentId}:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to request a document's details
+ *    tags:
+ *      - Documents
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: documentId
+ *        in: path
+ *        description: ID of the document to fetch
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or document not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/:documentId", verifyToken, vehicleDocumentParamValidator, authorize("Vehicle", "readDocuments"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await vehicleDocumentController.getDocument(req.params.id, req.params.documentId);
+            if (!data) {
+                res.sendStatus(404);
+            } else {
+                res.send({ result: 200, data: data });
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/documents/{documentId}/file:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to download a document's file
+ *    tags:
+ *      - Documents
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: documentId
+ *        in: path
+ *        description: ID of the document to download
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or document not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/:documentId/file", verifyToken, vehicleDocumentParamValidator, authorize("Vehicle", "readDocuments"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await vehicleDocumentController.getDocument(req.params.id, req.params.documentId);
+            if (!data || !(await sendDocument(res, data.file, {name: data.originalName, mimeType: data.mimeType}))) {
+                res.sendStatus(404);
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/documents:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to store a registration, insurance, roadworthy, warranty or other document for a vehicle
+ *    tags:
+ *      - Documents
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        multipart/form-data:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - type
+ *              - file
+ *            properties:
+ *              type:
+ *                type: string
+ *                enum: [registration, insurance, roadworthy, warranty, other]
+ *                example: insurance
+ *              title:
+ *                type: string
+ *                example: Policy 2024-25
+ *              issuedAt:
+ *                type: string
+ *                format: date
+ *                example: 2024-03-01
+ *              expiresAt:
+ *                type: string
+ *                format: date
+ *                example: 2025-03-01
+ *              notes:
+ *                type: string
+ *              file:
+ *                type: string
+ *                format: binary
+ *                description: PDF, JPG or PNG
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '413':
+ *        description: File is larger than DOCUMENT_MAX_BYTES
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/", upload.single('file'), verifyToken, documentUploadValidator, vehicleDocumentValidator, authorize("Vehicle", "manageDocuments"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await vehicleDocumentController.createDocument(req.params.id, req.body, req.file);
+            res.send({result: 200, data: data});
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/documents/{documentId}:
+ *  put:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to update a document's details or replace its file
+ *    tags:
+ *      - Documents
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: documentId
+ *        in: path
+ *        description: ID of the document to update
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        multipart/form-data:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              type:
+ *                type: string
+ *                enum: [registration, insurance, roadworthy, warranty, other]
+ *                example: insurance
+ *              title:
+ *                type: string
+ *                example: Policy 2024-25
+ *              issuedAt:
+ *                type: string
+ *                format: date
+ *                example: 2024-03-01
+ *              expiresAt:
+ *                type: string
+ *                format: date
+ *                example: 2025-03-01
+ *              notes:
+ *                type: string
+ *              file:
+ *                type: string
+ *                format: binary
+ *                description: PDF, JPG or PNG, replaces the stored file
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '413':
+ *        description: File is larger than DOCUMENT_MAX_BYTES
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or document not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.put("/:documentId", upload.single('file'), verifyToken, documentUploadValidator, updateVehicleDocumentValidator, authorize("Vehicle", "manageDocuments"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await vehicleDocumentController.updateDocument(req.params.id, req.params.documentId, req.body, req.file);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/documents/{documentId}:
+ *  delete:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to delete a document and its file
+ *    tags:
+ *      - Documents
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *      - name: documentId
+ *        in: path
+ *        description: ID of the document to delete
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle or document not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.delete("/:documentId", verifyToken, vehicleDocumentParamValidator, authorize("Vehicle", "manageDocuments"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await vehicleDocumentController.deleteVehicleDocument(req.params.id, req.params.documentId);
+            switch (data) {
+                case 404:
+                    res.sendStatus(404);
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+module.exports = router;
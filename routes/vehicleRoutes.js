@@ -1,16 +1,32 @@
 const express = require("express");
 const router = express.Router();
 const vehicleController = require("../controllers/vehicleController");
+const odometerController = require("../controllers/odometerController");
+const expenseController = require("../controllers/expenseController");
+const partController = require("../controllers/partController");
+const transferController = require("../controllers/transferController");
 
 // import multer for image file hanlding
 const multer = require('multer');
-const upload = multer({ storage: multer.memoryStorage() });
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: parseInt(process.env.IMAGE_MAX_BYTES, 10) || 20 * 1024 * 1024 } });
 
 // import validators
 const {validationResult} = require('express-validator');
 const { idParamValidator, imageUploadValidator } = require("../validators");
-const {vehicleValidator, updateVehicleValidator, vehicleTypeParamValidator} = require("../validators/vehicleValidator");
+const {vehicleValidator, updateVehicleValidator, vehicleTypeParamValidator, vinParamValidator} = require("../validators/vehicleValidator");
+const { decodeVin } = require("../utils/vin");
+const { transferValidator } = require("../validators/transferValidator");
+const { sessionOnly } = require("../auth/scopes");
 const verifyToken = require("../auth/authMiddleware");
+const { optionalToken, viewerCan } = require("../auth/viewer");
+const { policies } = require("../auth/policies");
+const authorize = require("../auth/authorize");
+
+// the VIN is still saved, the owner just gets told someone else has it too
+const vinWarnings = async (vin, userId) => {
+    const otherOwners = await vehicleController.countOtherVinOwners(vin, userId);
+    return otherOwners > 0 ? {warnings: ["another user has a vehicle registered with this VIN"]} : {};
+}
 
 /**
  * @swagger
@@ -99,7 +115,10 @@ router.get("/:id", idParamValidator, async (req, res, next) => {
  * @swagger
  * /api/vehicles/{id}/include:
  *  get:
- *    description: Use to request a vehicle by ID with all includes
+ *    description: Use to request a vehicle by ID with all includes. Draft events are included for the people sharing the vehicle
+ *    security:
+ *     - {}
+ *     - bearerAuth: []
  *    tags:
  *      - Vehicles
  *    parameters:
@@ -120,11 +139,12 @@ router.get("/:id", idParamValidator, async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.get("/:id/include", idParamValidator, async (req, res, next) => {
+router.get("/:id/include", optionalToken, idParamValidator, async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()) {
-            const data = await vehicleController.getVehicleIncludeAll(req.params.id);
+            const drafts = await viewerCan(req, "Vehicle", "readDrafts", await policies.Vehicle.load(req.params.id));
+            const data = await vehicleController.getVehicleIncludeAll(req.params.id, {drafts: drafts, userId: req.userId});
             if (!data) {
                 res.sendStatus(404);
             } else {
@@ -143,6 +163,255 @@ router.get("/:id/include", idParamValidator, async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/vehicles/{id}/odometer:
+ *  get:
+ *    description: Use to request a vehicle's odometer history from its events, with the distance covered and the average distance per month. Readings from drafts only count for the people sharing the vehicle and the drafts' authors
+ *    tags:
+ *      - Vehicles
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/:id/odometer", optionalToken, idParamValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const drafts = await viewerCan(req, "Vehicle", "readDrafts", await policies.Vehicle.load(req.params.id));
+            const data = await odometerController.getOdometerHistory(req.params.id, {drafts: drafts, userId: req.userId});
+            if (!data) {
+                res.sendStatus(404);
+            } else {
+                res.send({ result: 200, data: data });
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/ownership:
+ *  get:
+ *    description: Use to request a vehicle's chain of owners, oldest first
+ *    tags:
+ *      - Vehicles
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/:id/ownership", idParamValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await transferController.getOwnershipHistory(req.params.id);
+            if (!data) {
+                res.sendStatus(404);
+            } else {
+                res.send({ result: 200, data: data });
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/transfer:
+ *  post:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to start transferring a vehicle to someone else by their email address, they get an email and the vehicle moves once they accept. Only one transfer can be open at a time
+ *    tags:
+ *      - Transfers
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - email
+ *            properties:
+ *              email:
+ *                type: string
+ *                example: buyer@example.com
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '400':
+ *        description: Can not transfer a vehicle to yourself
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '409':
+ *        description: A transfer is already open for this vehicle
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.post("/:id/transfer", verifyToken, sessionOnly, transferValidator, authorize("Vehicle", "transfer"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await transferController.initiateTransfer(req.params.id, req.userId, req.body.email);
+            switch (data) {
+                case 400:
+                    res.status(400).json({errors: [{"msg": "you already own this vehicle"}]});
+                    break;
+                case 409:
+                    res.status(409).json({errors: [{"msg": "a transfer is already open for this vehicle, cancel it first"}]});
+                    break;
+                default:
+                    res.send({result: 200, data: data});
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/build-sheet:
+ *  get:
+ *    description: Use to request the parts currently installed on a vehicle grouped by category, worked out from the install and removal history. Readings from drafts only count towards the distances for the people sharing the vehicle and the drafts' authors
+ *    tags:
+ *      - Parts
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/:id/build-sheet", optionalToken, idParamValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const drafts = await viewerCan(req, "Vehicle", "readDrafts", await policies.Vehicle.load(req.params.id));
+            const data = await partController.getBuildSheet(req.params.id, {drafts: drafts, userId: req.userId});
+            if (!data) {
+                res.sendStatus(404);
+            } else {
+                res.send({ result: 200, data: data });
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/expenses:
+ *  get:
+ *    security:
+ *     - bearerAuth: []
+ *    description: Use to request what a vehicle has cost from the costs on its events, totalled by category, event type, month and year with the cost per kilometre over its odometer history. Each currency is totalled separately
+ *    tags:
+ *      - Vehicles
+ *    parameters:
+ *      - name: id
+ *        in: path
+ *        description: ID of the vehicle
+ *        required: true
+ *        type: integer
+ *        minimum: 1
+ *        example: 1
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '401':
+ *        description: Unauthorized
+ *      '403':
+ *        description: Forbidden
+ *      '404':
+ *        description: Vehicle not found
+ *      '422':
+ *        description: Validation error
+ *      '500':
+ *        description: Server error
+ */
+router.get("/:id/expenses", verifyToken, idParamValidator, authorize("Vehicle", "readExpenses"), async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            const data = await expenseController.getExpenses(req.params.id);
+            if (!data) {
+                res.sendStatus(404);
+            } else {
+                res.send({ result: 200, data: data });
+            }
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
 /**
  * @swagger
  * /api/vehicles/user/{id}:
@@ -186,6 +455,41 @@ router.get("/user/:id", idParamValidator, async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/vehicles/vin/{vin}:
+ *  get:
+ *    description: Use to decode a VIN offline, giving the manufacturer, country, region and model year and whether the check digit matches
+ *    tags:
+ *      - Vehicles
+ *    parameters:
+ *      - name: vin
+ *        in: path
+ *        description: the 17 character VIN
+ *        required: true
+ *        type: string
+ *        example: 1HGCM82633A004352
+ *    responses:
+ *      '200':
+ *        description: A successful response
+ *      '422':
+ *        description: Not a VIN
+ *      '500':
+ *        description: Server error
+ */
+router.get("/vin/:vin", vinParamValidator, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (errors.isEmpty()) {
+            res.send({ result: 200, data: decodeVin(req.params.vin) });
+        } else {
+            res.status(422).json({errors: errors.array()});
+        }
+    } catch(err) {
+        next(err);
+    }
+});
+
 /**
  * @swagger
  * /api/vehicles/type/{type}:
@@ -232,7 +536,7 @@ router.get("/type/:type", vehicleTypeParamValidator, async (req, res, next) => {
  * @swagger
  * /api/vehicles:
  *  post:
- *    description: Use to create a new vehicle
+ *    description: Use to create a new vehicle. make and year are required unless a VIN that decodes them is given. The response has a warnings list when another user has a vehicle with the same VIN
  *    tags:
  *      - Vehicles
  *    requestBody:
@@ -243,9 +547,7 @@ router.get("/type/:type", vehicleTypeParamValidator, async (req, res, next) => {
  *            required:
  *              - userId
  *              - type
- *              - make
  *              - model
- *              - year
  *            properties:
  *              userId:
  *                type: integer
@@ -274,17 +576,33 @@ router.get("/type/:type", vehicleTypeParamValidator, async (req, res, next) => {
  *              image:
  *                type: string
  *                format: binary
- *                description: Optional image file
+ *                description: Optional image file, stored in thumb, medium and full sizes plus WebP copies listed in imageVariants
  *                nullable: true
  *              profile:
  *                type: string
  *                example: This is my favorite car.
  *                nullable: true
+ *              meter:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: what the vehicle's meter reads, defaults to hours for boats and km for everything else
+ *              displayUnit:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: unit readings for this vehicle are shown in when a request doesn't pass units
+ *                nullable: true
+ *              vin:
+ *                type: string
+ *                example: 1HGCM82633A004352
+ *                description: 17 character VIN, the check digit is enforced for North American and Chinese VINs. On create, make and year are filled in from it when left out
+ *                nullable: true
  *    responses:
  *      '200':
  *        description: A successful response
  *      '400':
  *        description: Invalid JSON
+ *      '403':
+ *        description: Forbidden
  *      '404':
  *        description: User not found
  *      '422':
@@ -292,7 +610,7 @@ router.get("/type/:type", vehicleTypeParamValidator, async (req, res, next) => {
  *      '500':
  *        description: Server error
  */
-router.post("/", upload.single('image'), verifyToken, imageUploadValidator, vehicleValidator, async (req, res, next) => {
+router.post("/", upload.single('image'), verifyToken, imageUploadValidator, vehicleValidator, authorize("Vehicle", "create"), async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()){
@@ -300,16 +618,13 @@ router.post("/", upload.single('image'), verifyToken, imageUploadValidator, vehi
             if (req.file){
                 vehicleData.image = req.file;
             }
-            const data = await vehicleController.createVehicle(vehicleData, req.userId);
+            const data = await vehicleController.createVehicle(vehicleData);
             switch (data) {
                 case 404:
                     res.sendStatus(404);
                     break;
-                case 401:
-                    res.status(401).json({errors: [{"msg":"Unauthorized"}]});
-                    break;
                 default:
-                    res.send({result:200, data:data});
+                    res.send({result:200, data:data, ...await vinWarnings(data.vin, data.userId)});
             }
         } else {
             res.status(422).json({errors: errors.array()});
@@ -367,25 +682,48 @@ router.post("/", upload.single('image'), verifyToken, imageUploadValidator, vehi
  *              image:
  *                type: string
  *                format: binary
- *                description: Optional image file
+ *                description: Optional image file, stored in thumb, medium and full sizes plus WebP copies listed in imageVariants
  *                nullable: true
  *              profile:
  *                type: string
  *                example: This is my favorite car.
  *                nullable: true
+ *              meter:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: what the vehicle's meter reads, defaults to hours for boats and km for everything else
+ *              displayUnit:
+ *                type: string
+ *                enum: [km, mi, hours]
+ *                description: unit readings for this vehicle are shown in when a request doesn't pass units
+ *                nullable: true
+ *              vin:
+ *                type: string
+ *                example: 1HGCM82633A004352
+ *                description: 17 character VIN, the check digit is enforced for North American and Chinese VINs. On create, make and year are filled in from it when left out
+ *                nullable: true
+ *              coverImageId:
+ *                type: integer
+ *                description: an image from one of the vehicle's events to show off the vehicle, empty clears it
+ *                example: 12
+ *                nullable: true
  *    responses:
  *      '200':
  *        description: A successful response
  *      '400':
- *        description: Invalid JSON
+ *        description: Invalid JSON or the cover image isn't from one of the vehicle's events
+ *      '403':
+ *        description: Forbidden
  *      '404':
  *        description: User not found
+ *      '409':
+ *        description: The meter can't change between distance and hours once events have readings
  *      '422':
  *        description: Validation error
  *      '500':
  *        description: Server error
  */
-router.put("/:id", upload.single('image'), verifyToken, imageUploadValidator, updateVehicleValidator, async (req, res, next) => {
+router.put("/:id", upload.single('image'), verifyToken, imageUploadValidator, updateVehicleValidator, authorize("Vehicle", "update"), async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()){
@@ -393,16 +731,19 @@ router.put("/:id", upload.single('image'), verifyToken, imageUploadValidator, up
             if (req.file){
                 vehicleData.image = req.file
             }
-            const data = await vehicleController.updateVehicle(req.params.id, vehicleData, req.userId);
+            const data = await vehicleController.updateVehicle(req.params.id, vehicleData);
             switch (data) {
+                case 400:
+                    res.status(400).json({errors: [{"msg": "coverImageId has to be an image from one of the vehicle's events"}]});
+                    break;
                 case 404:
                     res.sendStatus(404);
                     break;
-                case 401:
-                    res.status(401).json({errors: [{"msg":"Unauthorized"}]});
+                case 409:
+                    res.status(409).json({errors: [{"msg": "the meter can't change between distance and hours once events have readings"}]});
                     break;
                 default:
-                    res.send({result:200, data:data});
+                    res.send({result:200, data:data, ...await vinWarnings(vehicleData.vin, req.resource.userId)});
             }
         } else {
             // there are errors in the request
@@ -431,6 +772,8 @@ router.put("/:id", upload.single('image'), verifyToken, imageUploadValidator, up
  *    responses:
  *      '200':
  *        description: A successful response
+ *      '403':
+ *        description: Forbidden
  *      '404':
  *        description: vehicle not found
  *      '422':
@@ -438,18 +781,15 @@ router.put("/:id", upload.single('image'), verifyToken, imageUploadValidator, up
  *      '500':
  *        description: Server error
  */
-router.delete("/:id", verifyToken, idParamValidator, async (req, res, next) => {
+router.delete("/:id", verifyToken, idParamValidator, authorize("Vehicle", "delete"), async (req, res, next) => {
     try {
         const errors = validationResult(req);
         if (errors.isEmpty()){
-            const data = await vehicleController.deleteVehicle(req.params.id, req.userId);
+            const data = await vehicleController.deleteVehicle(req.params.id);
             switch (data) {
                 case 404:
                     res.sendStatus(404);
                     break;
-                case 401:
-                    res.status(401).json({errors: [{"msg":"Unauthorized"}]});
-                    break;
                 default:
                     res.send({result:200, data:data});
             }
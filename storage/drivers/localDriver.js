@@ -0,0 +1,37 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+
+// keeps files on the local disk, fine for one instance with a persistent volume
+// images are served by express.static, BASE_URL makes their urls absolute
+function createLocalDriver(area, { dir, urlPath }) {
+  // basename stops a stored name from reaching outside the area's folder
+  const filePath = (key) => path.join(dir, path.basename(key));
+
+  return {
+    name: "local",
+    put: async (key, buffer) => {
+      await fsp.mkdir(dir, { recursive: true });
+      await fsp.writeFile(filePath(key), buffer);
+    },
+    get: async (key) => {
+      try {
+        await fsp.access(filePath(key));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+      return fs.createReadStream(filePath(key));
+    },
+    delete: async (key) => {
+      try {
+        await fsp.unlink(filePath(key));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+    url: (key) => (urlPath ? `${process.env.BASE_URL || ""}${urlPath}/${encodeURIComponent(key)}` : null),
+  };
+}
+
+module.exports = createLocalDriver;
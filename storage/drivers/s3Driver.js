@@ -0,0 +1,65 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+
+let client;
+
+// one client for every area, S3_ENDPOINT points it at minio or any other s3-compatible service
+const getClient = () => {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      // most self-hosted services only understand bucket-in-the-path urls
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+      // the newer default checksums aren't supported by every s3-compatible service
+      requestChecksumCalculation: "WHEN_REQUIRED",
+      responseChecksumValidation: "WHEN_REQUIRED",
+    });
+  }
+  return client;
+};
+
+// stores files in S3_BUCKET under a folder per area, shared by every instance of the app
+// public files need the bucket (or a cdn in front of it, S3_PUBLIC_URL) to allow anonymous reads of images/
+function createS3Driver(area, { public: isPublic }) {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error("S3_BUCKET has to be set to use the s3 storage driver");
+  }
+  const objectKey = (key) => `${area}/${key}`;
+  const publicBase = () => {
+    if (process.env.S3_PUBLIC_URL) return process.env.S3_PUBLIC_URL.replace(/\/$/, "");
+    if (process.env.S3_ENDPOINT) return `${process.env.S3_ENDPOINT.replace(/\/$/, "")}/${bucket}`;
+    return `https://${bucket}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`;
+  };
+
+  return {
+    name: "s3",
+    put: async (key, buffer, contentType) => {
+      await getClient().send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: buffer,
+        ContentType: contentType,
+      }));
+    },
+    get: async (key) => {
+      try {
+        const object = await getClient().send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return object.Body;
+      } catch (error) {
+        if (error.name === "NoSuchKey" || (error.$metadata && error.$metadata.httpStatusCode === 404)) return null;
+        throw error;
+      }
+    },
+    delete: async (key) => {
+      // s3 answers a delete of a missing key with success already
+      await getClient().send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+    url: (key) => (isPublic ? `${publicBase()}/${objectKey(encodeURIComponent(key))}` : null),
+  };
+}
+
+module.exports = createS3Driver;
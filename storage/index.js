@@ -0,0 +1,45 @@
+// Desc: where uploaded files live, the driver is picked with STORAGE_DRIVER
+// every driver has the same async shape, one instance per area:
+//   put(key, buffer, contentType) -> stores the file under key
+//   get(key)                      -> a readable stream of the file, or null when it isn't there
+//   delete(key)                   -> removes it, a missing file is not an error
+//   url(key)                      -> where clients fetch a public file from, only images are public
+const path = require("path");
+
+const drivers = {
+  local: require("./drivers/localDriver"),
+  s3: require("./drivers/s3Driver"),
+};
+
+// documents hold personal details, so they're never given a public url and only go out through the api
+const areas = {
+  images: { public: true, dir: path.join(__dirname, "../public/images"), urlPath: "/images" },
+  documents: { public: false, dir: process.env.DOCUMENT_DIR || path.join(__dirname, "../private/documents") },
+  // chunks of resumable uploads that haven't been put together yet
+  uploads: { public: false, dir: path.join(__dirname, "../private/uploads") },
+};
+
+const storages = {};
+
+// drivers are created lazily so a missing s3 config only matters once a file is stored or read
+const getStorage = (area) => {
+  if (!storages[area]) {
+    const name = process.env.STORAGE_DRIVER || "local";
+    const createDriver = drivers[name];
+    if (!createDriver) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    storages[area] = createDriver(area, areas[area]);
+  }
+  return storages[area];
+};
+
+// lets tests or other environments plug in their own driver for an area
+const setStorage = (area, customStorage) => {
+  storages[area] = customStorage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+};
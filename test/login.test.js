@@ -0,0 +1,49 @@
+// the login routes with the throttle, the account and its second factor faked
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const userController = require('../controllers/userController');
+const twoFactorController = require('../controllers/twoFactorController');
+const sessionController = require('../controllers/sessionController');
+
+const user = { id: 7, name: 'A', email: 'a@x.com', password: bcrypt.hashSync('password', 4) };
+mock.method(userController, 'getUserByEmail', async (email) => (email === user.email ? user : null));
+mock.method(userController, 'getUser', async (id) => (id === user.id ? user : null));
+mock.method(twoFactorController, 'isTwoFactorEnabled', async () => true);
+mock.method(twoFactorController, 'verifySecondFactor', async (userId, { code }) => code === '123456');
+mock.method(sessionController, 'createSession', async () => ({ token: 'token', refreshToken: 'refresh' }));
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', require('../routes/userRoutes'));
+const server = app.listen(0);
+after(() => server.close());
+
+const post = async (url, body) => {
+    const res = await fetch(`http://localhost:${server.address().port}/api/users${url}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+};
+
+const login = async () => {
+    const res = await post('/login', { email: user.email, password: 'password' });
+    assert.strictEqual(res.status, 200);
+    return res.body.data.challengeToken;
+};
+
+test('the right password does not reset the count of wrong codes', async () => {
+    let challengeToken = await login();
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await post('/login/2fa', { challengeToken, code: '000000' })).status, 401);
+    }
+    challengeToken = await login();
+    // the fourth wrong code in a row is past the free attempts and starts the backoff
+    assert.strictEqual((await post('/login/2fa', { challengeToken, code: '000000' })).status, 401);
+    const blocked = await post('/login/2fa', { challengeToken, code: '123456' });
+    assert.strictEqual(blocked.status, 429);
+});
@@ -0,0 +1,77 @@
+// the throttle on its own, against a fresh in memory store for every test
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const loginThrottle = require('../auth/loginThrottle');
+const createMemoryStore = require('../auth/stores/memoryStore');
+const { setTransport } = require('../mail/mailer');
+
+const sent = [];
+setTransport({ name: 'test', send: async (message) => sent.push(message) });
+
+beforeEach(() => {
+    loginThrottle.setStore(createMemoryStore());
+    sent.length = 0;
+});
+
+const fail = async (times, attempt) => {
+    for (let i = 0; i < times; i++) {
+        await loginThrottle.recordFailure(attempt);
+    }
+};
+
+test('the first few failures go without a wait', async () => {
+    const attempt = { email: 'a@x.com', ip: '1.1.1.1' };
+    await fail(3, attempt);
+    assert.strictEqual(await loginThrottle.checkLogin(attempt), null);
+});
+
+test('failures after that back off, doubling each time', async () => {
+    const attempt = { email: 'a@x.com', ip: '1.1.1.1' };
+    await fail(4, attempt);
+    assert.deepStrictEqual(await loginThrottle.checkLogin(attempt), { status: 429, retryAfter: 1 });
+    await fail(1, attempt);
+    assert.deepStrictEqual(await loginThrottle.checkLogin(attempt), { status: 429, retryAfter: 2 });
+});
+
+test('the backoff is per account, whatever case the email is typed in', async () => {
+    await fail(4, { email: 'A@x.com ', ip: '1.1.1.1' });
+    assert.strictEqual((await loginThrottle.checkLogin({ email: 'a@x.com', ip: '2.2.2.2' })).status, 429);
+    assert.strictEqual(await loginThrottle.checkLogin({ email: 'b@x.com', ip: '1.1.1.1' }), null);
+});
+
+test('enough failures lock the account and mail its owner an unlock link', async () => {
+    const user = { name: 'A', email: 'a@x.com' };
+    const attempt = { email: 'a@x.com', ip: '1.1.1.1' };
+    await fail(9, attempt);
+    const { locked } = await loginThrottle.recordFailure({ ...attempt, user });
+    assert.strictEqual(locked, true);
+    assert.strictEqual((await loginThrottle.checkLogin(attempt)).status, 423);
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].to, 'a@x.com');
+    const token = decodeURIComponent(sent[0].text.match(/token=(\S+)/)[1]);
+    assert.strictEqual(await loginThrottle.unlockAccount(token), 'a@x.com');
+    assert.strictEqual(await loginThrottle.checkLogin(attempt), null);
+    // the link only works once
+    assert.strictEqual(await loginThrottle.unlockAccount(token), null);
+});
+
+test('an unknown email is locked the same way without sending anything', async () => {
+    const attempt = { email: 'nobody@x.com', ip: '1.1.1.1' };
+    await fail(10, attempt);
+    assert.strictEqual((await loginThrottle.checkLogin(attempt)).status, 423);
+    assert.strictEqual(sent.length, 0);
+});
+
+test('a completed login clears the account but not the ip', async () => {
+    const attempt = { email: 'a@x.com', ip: '1.1.1.1' };
+    await fail(4, attempt);
+    await loginThrottle.recordSuccess(attempt);
+    assert.strictEqual(await loginThrottle.checkLogin(attempt), null);
+
+    for (let i = 0; i < 46; i++) {
+        await loginThrottle.recordFailure({ email: `user${i}@x.com`, ip: '1.1.1.1' });
+    }
+    assert.strictEqual((await loginThrottle.checkLogin({ email: 'fresh@x.com', ip: '1.1.1.1' })).status, 429);
+    assert.strictEqual(await loginThrottle.checkLogin({ email: 'fresh@x.com', ip: '2.2.2.2' }), null);
+});
@@ -0,0 +1,36 @@
+// runs the real routes and the real query building, only the trip to the database is faked
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const sessionController = require('../controllers/sessionController');
+
+const queries = [];
+mock.method(db.Sequelize, 'query', async (sql) => {
+    // updates come through as {query, bind}
+    queries.push(typeof sql === 'string' ? { query: sql, bind: [] } : sql);
+    // the number of rows an update changed, which is what the mysql dialect hands back
+    return 1;
+});
+mock.method(sessionController, 'isSessionActive', async () => true);
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', require('../routes/userRoutes'));
+const server = app.listen(0);
+after(() => server.close());
+
+test('logout revokes the session behind the token', async () => {
+    const token = jwt.sign({ id: 7, sid: 42 }, process.env.JWT_SECRET);
+    const res = await fetch(`http://localhost:${server.address().port}/api/users/logout`, {
+        method: 'POST',
+        headers: { authorization: token }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), { result: 200, data: 1 });
+    const update = queries.find((sql) => sql.query.startsWith('UPDATE `Sessions`'));
+    assert.match(update.query, /WHERE `id` = \$3 AND `userId` = \$4 AND `revokedAt` IS NULL/);
+    assert.deepStrictEqual(update.bind.slice(2), [42, 7]);
+});
@@ -0,0 +1,69 @@
+// checked against the SHA1 test vectors from RFC 6238, cut down to the 6 digits authenticator apps show
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { base32Encode, base32Decode, generateSecret, generateTotp, verifyTotp, otpauthUri } = require('../auth/totp');
+
+// "12345678901234567890", the RFC's key
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+
+test('base32 round trips and matches the RFC key', () => {
+    assert.strictEqual(base32Encode(Buffer.from('12345678901234567890')), SECRET);
+    assert.strictEqual(base32Decode(SECRET).toString(), '12345678901234567890');
+    // lower case, spaces and padding are what people paste in
+    assert.strictEqual(base32Decode('gezd gnbv gy3t qojq====').toString(), '1234567890');
+    assert.throws(() => base32Decode('GEZD1'), /Invalid base32 character/);
+});
+
+test('a new secret is 20 random bytes', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.strictEqual(base32Decode(secret).length, 20);
+    assert.notStrictEqual(generateSecret(), secret);
+});
+
+test('codes match the RFC test vectors', () => {
+    const vectors = [
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1111111111, '050471'],
+        [1234567890, '005924'],
+        [2000000000, '279037'],
+    ];
+    for (const [seconds, code] of vectors) {
+        assert.strictEqual(generateTotp(SECRET, seconds * 1000), code);
+    }
+});
+
+test('a code is accepted one step either side and returns the step it matched', () => {
+    const time = 1111111111 * 1000;
+    const step = Math.floor(time / STEP_MS);
+    assert.strictEqual(verifyTotp(SECRET, generateTotp(SECRET, time), { time }), step);
+    assert.strictEqual(verifyTotp(SECRET, generateTotp(SECRET, time - STEP_MS), { time }), step - 1);
+    assert.strictEqual(verifyTotp(SECRET, generateTotp(SECRET, time + STEP_MS), { time }), step + 1);
+    assert.strictEqual(verifyTotp(SECRET, generateTotp(SECRET, time - 2 * STEP_MS), { time }), null);
+    assert.strictEqual(verifyTotp(SECRET, generateTotp(SECRET, time - STEP_MS), { time, window: 0 }), null);
+});
+
+test('spaces are ignored but anything that is not six digits is refused', () => {
+    const time = 59 * 1000;
+    assert.notStrictEqual(verifyTotp(SECRET, '287 082', { time }), null);
+    assert.strictEqual(verifyTotp(SECRET, '28708', { time }), null);
+    assert.strictEqual(verifyTotp(SECRET, '2870820', { time }), null);
+    assert.strictEqual(verifyTotp(SECRET, '28708a', { time }), null);
+    assert.strictEqual(verifyTotp(SECRET, '000000', { time }), null);
+});
+
+test('the otpauth uri carries everything an authenticator app needs', () => {
+    const uri = new URL(otpauthUri({ secret: SECRET, label: 'a@x.com', issuer: 'Ride Journal' }));
+    assert.strictEqual(uri.protocol, 'otpauth:');
+    assert.strictEqual(uri.host, 'totp');
+    assert.strictEqual(decodeURIComponent(uri.pathname), '/Ride Journal:a@x.com');
+    assert.deepStrictEqual(Object.fromEntries(uri.searchParams), {
+        secret: SECRET,
+        issuer: 'Ride Journal',
+        algorithm: 'SHA1',
+        digits: '6',
+        period: '30',
+    });
+});
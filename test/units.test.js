@@ -0,0 +1,101 @@
+// unit conversion on its own, and the middleware against a bare express app
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { isCompatibleUnit, normaliseReading, kmToMiles, preferredUnit, convertToMiles, unitPreference } = require('../utils/units');
+
+const app = express();
+app.use(unitPreference);
+app.get('/reading', (req, res) => {
+    res.locals.meter = req.query.meter;
+    res.locals.displayUnit = req.query.display;
+    res.json({ data: { odometer: 161, meter: req.query.meter } });
+});
+const server = app.listen(0);
+after(() => server.close());
+
+const get = (path, headers) => fetch(`http://localhost:${server.address().port}${path}`, { headers });
+
+test('readings are normalised to whole km, hours are left as they are', () => {
+    assert.strictEqual(normaliseReading('100', 'km'), 100);
+    assert.strictEqual(normaliseReading(100, 'mi'), 161);
+    assert.strictEqual(normaliseReading(12.4, 'hours'), 12);
+    assert.strictEqual(kmToMiles(161), 100);
+    assert.strictEqual(kmToMiles(100), 62.1);
+});
+
+test('km and miles mix, hours only go with hours', () => {
+    assert.strictEqual(isCompatibleUnit('km', 'mi'), true);
+    assert.strictEqual(isCompatibleUnit('mi', 'km'), true);
+    assert.strictEqual(isCompatibleUnit(null, 'mi'), true);
+    assert.strictEqual(isCompatibleUnit('hours', 'hours'), true);
+    assert.strictEqual(isCompatibleUnit('hours', 'km'), false);
+    assert.strictEqual(isCompatibleUnit('km', 'hours'), false);
+});
+
+test('the preferred unit comes from the query string or the X-Units header', () => {
+    const request = (query, header) => ({ query: query, get: () => header });
+    assert.strictEqual(preferredUnit(request({ units: 'imperial' })), 'mi');
+    assert.strictEqual(preferredUnit(request({ units: 'KM' })), 'km');
+    assert.strictEqual(preferredUnit(request({}, 'metric')), 'km');
+    assert.strictEqual(preferredUnit(request({}, undefined)), null);
+    assert.strictEqual(preferredUnit(request({ units: 'furlongs' })), undefined);
+});
+
+test('distances are converted wherever they are in the response', () => {
+    const date = new Date('2024-01-01');
+    const converted = convertToMiles({
+        vehicle: { odometer: 161, year: 2001, createdAt: date },
+        events: [{ odometer: 1000 }, { odometer: null }],
+        costPerKm: 0.5,
+        model: { toJSON: () => ({ distance: 100 }) }
+    });
+    assert.deepStrictEqual(converted, {
+        vehicle: { odometer: 100, year: 2001, createdAt: date },
+        events: [{ odometer: 621.4 }, { odometer: null }],
+        costPerMi: 0.8047,
+        model: { distance: 62.1 }
+    });
+});
+
+test('a reading entered in miles is given back exactly as it was entered', () => {
+    assert.deepStrictEqual(
+        convertToMiles({ odometer: 161, odometerValue: '99.9', odometerUnit: 'mi' }),
+        { odometer: 99.9, odometerValue: '99.9', odometerUnit: 'mi' }
+    );
+    assert.strictEqual(convertToMiles({ odometer: 161, odometerValue: '161', odometerUnit: 'km' }).odometer, 100);
+});
+
+test('hour meters and stats that have already picked their units are left alone', () => {
+    const hours = { meter: 'hours', odometer: 120 };
+    const reading = { odometerUnit: 'hours', odometer: 120 };
+    const stats = { distance: 100, distanceUnit: 'km' };
+    assert.deepStrictEqual(convertToMiles(hours), hours);
+    assert.deepStrictEqual(convertToMiles(reading), reading);
+    assert.deepStrictEqual(convertToMiles(stats), stats);
+});
+
+test('the middleware converts when miles are asked for or are the display unit', async () => {
+    let res = await get('/reading');
+    assert.deepStrictEqual(await res.json(), { data: { odometer: 161 } });
+    assert.strictEqual(res.headers.get('x-units'), null);
+
+    res = await get('/reading?units=mi');
+    assert.deepStrictEqual(await res.json(), { data: { odometer: 100 } });
+    assert.strictEqual(res.headers.get('x-units'), 'mi');
+
+    res = await get('/reading?display=mi');
+    assert.deepStrictEqual(await res.json(), { data: { odometer: 100 } });
+
+    // asking for km beats the display unit
+    res = await get('/reading?display=mi', { 'X-Units': 'km' });
+    assert.deepStrictEqual(await res.json(), { data: { odometer: 161 } });
+});
+
+test('the middleware leaves an hour meter alone and refuses units it does not know', async () => {
+    let res = await get('/reading?units=mi&meter=hours');
+    assert.deepStrictEqual(await res.json(), { data: { odometer: 161, meter: 'hours' } });
+
+    res = await get('/reading?units=furlongs');
+    assert.strictEqual(res.status, 422);
+});
@@ -0,0 +1,17 @@
+// which events a viewer gets to see
+const { Op } = require("sequelize");
+
+// drafts are left out unless the viewer shares the vehicle, their own drafts always show
+const visibleWhere = ({drafts = false, userId} = {}) => {
+    if (drafts) {
+        return {};
+    }
+    if (userId) {
+        return {[Op.or]: [{published: true}, {userId: userId}]};
+    }
+    return {published: true};
+}
+
+module.exports = {
+    visibleWhere,
+};
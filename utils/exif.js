@@ -0,0 +1,42 @@
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+
+// degrees, minutes and seconds with an N/S/E/W reference into signed decimal degrees
+const toDegrees = (parts, ref) => {
+    if (!Array.isArray(parts) || parts.length !== 3 || parts.some((part) => !Number.isFinite(part))) {
+        return null;
+    }
+    const degrees = parts[0] + parts[1] / 60 + parts[2] / 3600;
+    return ['S', 'W'].includes(ref) ? -degrees : degrees;
+}
+
+const validDate = (value) => value instanceof Date && !isNaN(value) ? value : null;
+
+// capture date, position and orientation from a photo's exif, anything missing or unreadable comes back null
+// exif dates have no time zone, so takenAt is the camera's clock read as utc
+const readCaptureMetadata = async (buffer) => {
+    const empty = { takenAt: null, latitude: null, longitude: null, orientation: null };
+    try {
+        const metadata = await sharp(buffer).metadata();
+        if (!metadata.exif) {
+            return { ...empty, orientation: metadata.orientation || null };
+        }
+        const exif = exifReader(metadata.exif);
+        const photo = exif.Photo || {};
+        const image = exif.Image || {};
+        const gps = exif.GPSInfo || {};
+        const latitude = toDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+        const longitude = toDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+        return {
+            takenAt: validDate(photo.DateTimeOriginal) || validDate(image.DateTime),
+            // a lone coordinate is no use, and 0,0 is what some cameras write without a fix
+            latitude: latitude !== null && longitude !== null && (latitude || longitude) ? latitude : null,
+            longitude: latitude !== null && longitude !== null && (latitude || longitude) ? longitude : null,
+            orientation: metadata.orientation || null
+        };
+    } catch (error) {
+        return empty;
+    }
+}
+
+module.exports = { readCaptureMetadata }
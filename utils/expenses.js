@@ -0,0 +1,64 @@
+// totals a vehicle's event costs, one report per currency since amounts are never converted
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const addTo = (totals, key, amount) => {
+    totals[key] = round((totals[key] || 0) + amount);
+}
+
+const toList = (totals, keyName) => {
+    return Object.keys(totals).sort().map((key) => ({[keyName]: key, total: totals[key]}));
+}
+
+// events need their costs included, odometerHistory is from buildOdometerSeries
+const buildExpenseReport = (events, odometerHistory) => {
+    const currencies = new Map();
+    for (const event of events) {
+        for (const cost of event.costs || []) {
+            if (!currencies.has(cost.currency)) {
+                currencies.set(cost.currency, {
+                    currency: cost.currency,
+                    total: 0,
+                    byCategory: {parts: 0, labour: 0, other: 0},
+                    byType: {repair: 0, modification: 0, story: 0, maintenance: 0},
+                    byMonth: {},
+                    byYear: {},
+                    events: new Set()
+                });
+            }
+            const report = currencies.get(cost.currency);
+            const amount = parseFloat(cost.amount);
+            report.total = round(report.total + amount);
+            addTo(report.byCategory, cost.category, amount);
+            addTo(report.byType, event.type, amount);
+            addTo(report.byMonth, event.date.slice(0, 7), amount);
+            addTo(report.byYear, event.date.slice(0, 4), amount);
+            report.events.add(event.id);
+        }
+    }
+
+    const distance = odometerHistory.totalDistance;
+    // an hour meter gives a cost per hour instead
+    const costPer = odometerHistory.meter === "hours" ? "costPerHour" : "costPerKm";
+    return {
+        meter: odometerHistory.meter,
+        distance: distance,
+        firstDate: odometerHistory.firstDate,
+        lastDate: odometerHistory.lastDate,
+        currencies: [...currencies.values()].map((report) => ({
+            currency: report.currency,
+            total: report.total,
+            eventCount: report.events.size,
+            // spread over every km the odometer history covers
+            [costPer]: distance > 0 ? Math.round(report.total / distance * 10000) / 10000 : null,
+            byCategory: report.byCategory,
+            byType: report.byType,
+            byMonth: toList(report.byMonth, "month"),
+            byYear: toList(report.byYear, "year")
+        }))
+    };
+}
+
+module.exports = {
+    buildExpenseReport
+};
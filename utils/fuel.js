@@ -0,0 +1,181 @@
+// consumption statistics for a vehicle's fuel log
+//
+// consumption can only be measured between two full fills: everything put in after one full tank,
+// partial top-ups included, is what was burnt to cover the distance up to the next full tank.
+// fills before the first full tank have nothing to measure against and are left out.
+// on an hour meter the readings are hours of running, so consumption and cost are per hour instead.
+
+const LITRES_PER_GALLON = 3.785411784;
+const KM_PER_MILE = 1.609344;
+
+const round = (value, places = 2) => {
+    if (value === null || !isFinite(value)) {
+        return null;
+    }
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+// everything is worked out in litres or kWh
+const toBaseAmount = (log) => {
+    const amount = parseFloat(log.amount);
+    return log.unit === "gallon" ? amount * LITRES_PER_GALLON : amount;
+}
+
+const energyOf = (log) => log.unit === "kWh" ? "electric" : "fuel";
+
+// L/100km or kWh/100km, and mpg (US) for fuel when asked for imperial units
+// L/h or kWh/h on an hour meter, US gallons an hour for imperial
+const consumptionFor = (energy, amount, distance, units, meter) => {
+    if (!distance) {
+        return null;
+    }
+    if (meter === "hours") {
+        return (energy === "fuel" && units === "imperial" ? amount / LITRES_PER_GALLON : amount) / distance;
+    }
+    if (units === "imperial") {
+        if (energy === "fuel") {
+            return (distance / KM_PER_MILE) / (amount / LITRES_PER_GALLON);
+        }
+        return amount / (distance / KM_PER_MILE) * 100;
+    }
+    return amount / distance * 100;
+}
+
+// mpg is the only figure where higher is better
+const higherIsBetter = (energy, units, meter) => energy === "fuel" && units === "imperial" && meter !== "hours";
+
+const consumptionUnit = (energy, units, meter) => {
+    if (meter === "hours") {
+        return energy === "electric" ? "kWh/h" : units === "imperial" ? "gal/h" : "L/h";
+    }
+    if (energy === "fuel") {
+        return units === "imperial" ? "mpg" : "L/100km";
+    }
+    return units === "imperial" ? "kWh/100mi" : "kWh/100km";
+}
+
+// splits the logs into segments ending in a full fill
+const buildSegments = (logs) => {
+    const segments = [];
+    let previousFull = null;
+    let amount = 0;
+    let cost = 0;
+    let priced = true;
+    let fills = 0;
+    for (const log of logs) {
+        if (previousFull) {
+            amount += toBaseAmount(log);
+            if (log.price === null || log.price === undefined) {
+                priced = false;
+            } else {
+                cost += parseFloat(log.price);
+            }
+            fills++;
+        }
+        if (log.fullTank) {
+            if (previousFull && log.odometer > previousFull.odometer) {
+                segments.push({
+                    fromDate: previousFull.date,
+                    toDate: log.date,
+                    distance: log.odometer - previousFull.odometer,
+                    amount: amount,
+                    // a segment with an unpriced fill would understate the cost
+                    cost: priced ? cost : null,
+                    fills: fills
+                });
+            }
+            previousFull = log;
+            amount = 0;
+            cost = 0;
+            priced = true;
+            fills = 0;
+        }
+    }
+    return segments;
+}
+
+const summarise = (energy, segments, units, meter) => {
+    const distance = segments.reduce((sum, s) => sum + s.distance, 0);
+    const amount = segments.reduce((sum, s) => sum + s.amount, 0);
+    const pricedSegments = segments.filter((s) => s.cost !== null);
+    const pricedDistance = pricedSegments.reduce((sum, s) => sum + s.distance, 0);
+    const cost = pricedSegments.reduce((sum, s) => sum + s.cost, 0);
+    // hours stay hours whatever units were asked for
+    const miles = units === "imperial" && meter !== "hours";
+    const distanceUnit = meter === "hours" ? "hours" : miles ? "mi" : "km";
+    const perDistance = miles ? pricedDistance / KM_PER_MILE : pricedDistance;
+    // an hour meter gives a cost per hour instead
+    const costPer = meter === "hours" ? "costPerHour" : "costPerDistance";
+    return {
+        consumption: round(consumptionFor(energy, amount, distance, units, meter)),
+        distance: round(miles ? distance / KM_PER_MILE : distance, 1),
+        amount: round(energy === "fuel" && units === "imperial" ? amount / LITRES_PER_GALLON : amount, 3),
+        [costPer]: pricedDistance ? round(cost / perDistance, 4) : null,
+        distanceUnit: distanceUnit
+    };
+}
+
+// consumption per month, the segment counts towards the month its closing full fill was in
+const monthlyTrend = (energy, segments, units, meter) => {
+    const months = new Map();
+    for (const segment of segments) {
+        const month = segment.toDate.slice(0, 7);
+        if (!months.has(month)) {
+            months.set(month, []);
+        }
+        months.get(month).push(segment);
+    }
+    return [...months.entries()].map(([month, monthSegments]) => ({
+        month: month,
+        ...summarise(energy, monthSegments, units, meter)
+    }));
+}
+
+// compares the most recent segment with the average over the whole log
+const latestTrend = (energy, segments, overall, units, meter) => {
+    if (segments.length < 2 || overall.consumption === null) {
+        return null;
+    }
+    const latest = summarise(energy, segments.slice(-1), units, meter);
+    let change = (latest.consumption - overall.consumption) / overall.consumption * 100;
+    if (higherIsBetter(energy, units, meter)) {
+        change = -change;
+    }
+    return {
+        consumption: latest.consumption,
+        percentChange: round(change, 1),
+        direction: Math.abs(change) < 1 ? "steady" : change > 0 ? "worse" : "better"
+    };
+}
+
+// meter is the vehicle's, the readings are in its normalised unit
+const buildFuelStats = (logs, {units = "metric", meter = "km"} = {}) => {
+    const stats = {units: units, meter: meter};
+    for (const energy of ["fuel", "electric"]) {
+        const energyLogs = logs.filter((log) => energyOf(log) === energy);
+        if (energyLogs.length === 0) {
+            continue;
+        }
+        const segments = buildSegments(energyLogs);
+        const overall = summarise(energy, segments, units, meter);
+        const totalCost = energyLogs.reduce((sum, log) => sum + (log.price ? parseFloat(log.price) : 0), 0);
+        stats[energy] = {
+            consumptionUnit: consumptionUnit(energy, units, meter),
+            fills: energyLogs.length,
+            totalCost: round(totalCost),
+            ...overall,
+            best: segments.length ? (higherIsBetter(energy, units, meter) ? Math.max : Math.min)(
+                ...segments.map((segment) => summarise(energy, [segment], units, meter).consumption)) : null,
+            trend: latestTrend(energy, segments, overall, units, meter),
+            monthly: monthlyTrend(energy, segments, units, meter)
+        };
+    }
+    return stats;
+}
+
+module.exports = {
+    buildFuelStats,
+    buildSegments,
+    toBaseAmount
+};
@@ -0,0 +1,86 @@
+const sharp = require('sharp');
+const { getStorage } = require('../storage');
+
+// longest edge in pixels, full is capped too so a phone photo isn't served at its original resolution
+const IMAGE_SIZES = { thumb: 320, medium: 1024, full: 2048 };
+
+// each size is written in the uploaded format and again as webp, gifs stay animated in both
+const OUTPUT_FORMATS = { 'image/jpeg': 'jpeg', 'image/png': 'png', 'image/gif': 'gif' };
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', gif: 'gif', webp: 'webp' };
+
+const isReadableImage = async (buffer) => {
+    try {
+        const metadata = await sharp(buffer).metadata();
+        return !!(metadata.width && metadata.height);
+    } catch (error) {
+        return false;
+    }
+}
+
+// one entry per size and format, rendered one at a time so a big upload doesn't hold every buffer in memory at once
+const renderVariants = async function* (image) {
+    const format = OUTPUT_FORMATS[image.mimetype] || 'jpeg';
+    const animated = format === 'gif';
+    for (const [size, edge] of Object.entries(IMAGE_SIZES)) {
+        for (const outputFormat of [format, 'webp']) {
+            let pipeline = sharp(image.buffer, { animated: animated });
+            if (!animated) {
+                // turn the photo upright before the orientation tag is dropped with the rest of the metadata
+                pipeline = pipeline.rotate();
+            }
+            // nothing is copied over unless sharp is told to keep it, so location, camera and device details never reach the stored files
+            const { data, info } = await pipeline
+                .resize({ width: edge, height: edge, fit: 'inside', withoutEnlargement: true })
+                .toFormat(outputFormat)
+                .toBuffer({ resolveWithObject: true });
+            yield {
+                size: size,
+                format: outputFormat,
+                extension: EXTENSIONS[outputFormat],
+                buffer: data,
+                width: info.width,
+                height: info.pageHeight || info.height
+            };
+        }
+    }
+}
+
+// images from before variants existed, and default.png, only have the one file for every size
+const originalVariants = (filename) => {
+    if (!filename) {
+        return null;
+    }
+    const variants = {};
+    for (const size of Object.keys(IMAGE_SIZES)) {
+        variants[size] = { src: filename, webp: null, width: null, height: null };
+    }
+    return variants;
+}
+
+// default.png ships with the app, so it's served from public/images whichever driver stores the uploads
+const DEFAULT_IMAGE = 'default.png';
+
+const imageUrl = (filename) => {
+    if (!filename) {
+        return null;
+    }
+    if (filename === DEFAULT_IMAGE) {
+        return `${process.env.BASE_URL || ''}/images/${DEFAULT_IMAGE}`;
+    }
+    return getStorage('images').url(filename);
+}
+
+// only the file names are stored, the urls are worked out by the storage driver each time they're read
+const variantsWithUrls = (variants, image) => {
+    const stored = variants || originalVariants(image);
+    if (!stored) {
+        return null;
+    }
+    const withUrls = {};
+    for (const [size, entry] of Object.entries(stored)) {
+        withUrls[size] = { ...entry, url: imageUrl(entry.src), webpUrl: imageUrl(entry.webp) };
+    }
+    return withUrls;
+}
+
+module.exports = { IMAGE_SIZES, DEFAULT_IMAGE, isReadableImage, renderVariants, variantsWithUrls }
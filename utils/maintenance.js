@@ -0,0 +1,84 @@
+// works out when a maintenance schedule is next due from the vehicle's odometer history
+const { distanceSince } = require("./odometer");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// keeps the day of month where it can, 31 jan + 1 month is 28/29 feb
+const addMonths = (dateString, months) => {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, daysInMonth));
+    return toDateString(date);
+}
+
+const daysBetween = (from, to) => {
+    return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+// status is overdue, upcoming (inside the window) or ok
+const computeDue = (schedule, {odometerHistory, today = toDateString(new Date()), withinDistance, withinDays}) => {
+    const item = {
+        id: schedule.id,
+        task: schedule.task,
+        intervalDistance: schedule.intervalDistance,
+        intervalDistanceValue: schedule.intervalDistanceValue,
+        intervalDistanceUnit: schedule.intervalDistanceUnit,
+        intervalMonths: schedule.intervalMonths,
+        lastDoneDate: schedule.lastDoneDate,
+        lastDoneOdometer: schedule.lastDoneOdometer,
+        lastDoneOdometerValue: schedule.lastDoneOdometerValue,
+        lastDoneOdometerUnit: schedule.lastDoneOdometerUnit,
+        lastDoneEventId: schedule.lastDoneEventId,
+        dueDate: null,
+        daysRemaining: null,
+        distanceRemaining: null,
+        neverDone: !schedule.lastDoneDate && schedule.lastDoneOdometer === null,
+        status: "ok",
+    };
+
+    // nothing to go on, so it's due now
+    if (item.neverDone) {
+        item.status = "overdue";
+        return item;
+    }
+
+    let overdue = false;
+    let upcoming = false;
+    if (schedule.intervalMonths && schedule.lastDoneDate) {
+        item.dueDate = addMonths(schedule.lastDoneDate, schedule.intervalMonths);
+        item.daysRemaining = daysBetween(today, item.dueDate);
+        overdue = overdue || item.daysRemaining < 0;
+        upcoming = upcoming || item.daysRemaining <= withinDays;
+    }
+    if (schedule.intervalDistance) {
+        const covered = distanceSince(odometerHistory, {eventId: schedule.lastDoneEventId, odometer: schedule.lastDoneOdometer});
+        if (covered !== null) {
+            item.distanceRemaining = schedule.intervalDistance - covered;
+            overdue = overdue || item.distanceRemaining < 0;
+            upcoming = upcoming || item.distanceRemaining <= withinDistance;
+        }
+    }
+    item.status = overdue ? "overdue" : (upcoming ? "upcoming" : "ok");
+    return item;
+}
+
+// does a maintenance event look like it was this task
+const matchesSchedule = (schedule, event) => {
+    const words = [schedule.task, ...(schedule.keywords || "").split(",")]
+        .map((word) => word.trim().toLowerCase())
+        .filter(Boolean);
+    const text = `${event.title} ${event.detail || ""}`.toLowerCase();
+    return words.some((word) => text.includes(word));
+}
+
+module.exports = {
+    addMonths,
+    computeDue,
+    matchesSchedule,
+    toDateString,
+};
@@ -0,0 +1,84 @@
+// builds an odometer series from a vehicle's events, ordered oldest first
+// each point carries the cumulative distance so far, which keeps working across
+// odometer replacements (a fresh meter) and rollovers (the meter wrapping past its last digit)
+
+const MS_PER_MONTH = 30.4375 * 24 * 60 * 60 * 1000;
+
+// a 99,950 reading rolls over at 100,000
+const rolloverModulus = (reading) => 10 ** String(Math.trunc(reading)).length;
+
+const distanceBetween = (previous, point) => {
+    if (point.reset === "replacement") {
+        return 0;
+    }
+    if (point.reset === "rollover") {
+        return rolloverModulus(previous.odometer) - previous.odometer + point.odometer;
+    }
+    return point.odometer - previous.odometer;
+}
+
+const buildOdometerSeries = (events) => {
+    const series = [];
+    let previous = null;
+    let distance = 0;
+
+    for (const event of events) {
+        if (event.odometer === null || event.odometer === undefined) {
+            continue;
+        }
+        const point = {
+            eventId: event.id,
+            date: event.date,
+            odometer: Number(event.odometer),
+            reset: event.odometerReset || null,
+            flagged: !!event.odometerFlagged,
+        };
+        // flagged readings are shown but don't count towards distance
+        if (!point.flagged) {
+            if (previous) {
+                distance += distanceBetween(previous, point);
+            }
+            previous = point;
+        }
+        point.distance = distance;
+        series.push(point);
+    }
+
+    const counted = series.filter((point) => !point.flagged);
+    const first = counted[0];
+    const last = counted[counted.length - 1];
+    const months = counted.length > 1 ? (new Date(last.date) - new Date(first.date)) / MS_PER_MONTH : 0;
+
+    return {
+        series: series,
+        totalDistance: distance,
+        averagePerMonth: months > 0 ? Math.round(distance / months) : null,
+        firstDate: first ? first.date : null,
+        lastDate: last ? last.date : null,
+        latest: last ? { date: last.date, odometer: last.odometer, distance: last.distance } : null,
+    };
+}
+
+// distance covered since a reading, using the cumulative distance when its event is in the series
+// so odometer replacements and rollovers in between don't throw it out
+// a reading with no event to place it by is taken off the latest one as it is
+const distanceSince = (odometerHistory, {eventId, odometer}) => {
+    const latest = odometerHistory.latest;
+    if (!latest) {
+        return null;
+    }
+    const point = eventId ? odometerHistory.series.find((p) => p.eventId === eventId && !p.flagged) : null;
+    if (point) {
+        return latest.distance - point.distance;
+    }
+    if (odometer !== null && odometer !== undefined) {
+        return latest.odometer - odometer;
+    }
+    return null;
+}
+
+module.exports = {
+    buildOdometerSeries,
+    distanceSince,
+    rolloverModulus,
+};
@@ -0,0 +1,26 @@
+const { publishScheduledEvents } = require("../controllers/eventController");
+const Logger = require("../logging/logger");
+
+const PUBLISH_INTERVAL_MS = Number(process.env.PUBLISH_INTERVAL_MS) || 60 * 1000;
+
+// publishes scheduled drafts in the background, so an event goes public within an interval of its publishAt
+const startPublishScheduler = (intervalMs = PUBLISH_INTERVAL_MS) => {
+    const run = async () => {
+        try {
+            const count = await publishScheduledEvents();
+            if (count > 0) {
+                Logger.info(`published ${count} scheduled event(s)`);
+            }
+        } catch (err) {
+            Logger.error(`scheduled publishing failed: ${err.message}`);
+        }
+    };
+    const timer = setInterval(run, intervalMs);
+    // the timer alone shouldn't keep the process alive
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    startPublishScheduler
+};
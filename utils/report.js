@@ -0,0 +1,266 @@
+const PDFDocument = require("pdfkit");
+
+// renders the vehicle history report from reportController.buildVehicleReport as html or pdf
+
+const GRAPH_WIDTH = 495;
+const GRAPH_HEIGHT = 160;
+
+const numberFormat = new Intl.NumberFormat("en");
+
+const vehicleTitle = (vehicle) => [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(" ");
+
+const formatDate = (date) => date ? new Date(date).toISOString().slice(0, 10) : "";
+
+const formatReading = (value, unit) => value === null || value === undefined ? "-" : `${numberFormat.format(value)} ${unit}`;
+
+const formatMoney = (amount, currency) => `${amount.toFixed(2)} ${currency}`;
+
+const costSummary = (costs) => {
+    const totals = {};
+    for (const cost of costs) {
+        totals[cost.currency] = (totals[cost.currency] || 0) + cost.amount;
+    }
+    return Object.keys(totals).map((currency) => formatMoney(totals[currency], currency)).join(", ");
+}
+
+const profileRows = (report) => {
+    const {vehicle, odometer, unit} = report;
+    return [
+        ["Name", vehicle.name],
+        ["Make", vehicle.make],
+        ["Model", vehicle.model],
+        ["Year", vehicle.year],
+        ["Type", vehicle.type],
+        ["VIN", vehicle.vin],
+        ["Latest reading", formatReading(odometer.latest, unit)],
+        ["Recorded since", odometer.firstDate ? `${formatReading(odometer.totalDistance, unit)} since ${odometer.firstDate}` : null],
+    ].filter(([, value]) => value !== null && value !== undefined && value !== "");
+}
+
+// readings placed on the graph by date, scaled between the lowest and highest reading
+const graphPoints = (series, width, height) => {
+    if (series.length < 2) {
+        return [];
+    }
+    const times = series.map((point) => new Date(point.date).getTime());
+    const readings = series.map((point) => point.odometer);
+    const [minTime, maxTime] = [Math.min(...times), Math.max(...times)];
+    const [minReading, maxReading] = [Math.min(...readings), Math.max(...readings)];
+    return series.map((point, index) => ({
+        x: maxTime === minTime ? width / 2 : (times[index] - minTime) / (maxTime - minTime) * width,
+        y: maxReading === minReading ? height / 2 : height - (point.odometer - minReading) / (maxReading - minReading) * height,
+        flagged: point.flagged
+    }));
+}
+
+const escapeHtml = (value) => String(value ?? "").replace(/[&<>"']/g, (character) => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+})[character]);
+
+const htmlGraph = (report) => {
+    const points = graphPoints(report.odometer.series, GRAPH_WIDTH, GRAPH_HEIGHT);
+    if (points.length === 0) {
+        return "<p>Not enough odometer readings to draw a graph.</p>";
+    }
+    const line = points.filter((point) => !point.flagged).map((point) => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(" ");
+    const dots = points.map((point) =>
+        `<circle cx="${point.x.toFixed(1)}" cy="${point.y.toFixed(1)}" r="3" fill="${point.flagged ? "#c0392b" : "#2c3e50"}"/>`
+    ).join("");
+    const readings = report.odometer.series.map((point) => point.odometer);
+    const series = report.odometer.series;
+    return `<svg viewBox="-60 -10 ${GRAPH_WIDTH + 70} ${GRAPH_HEIGHT + 30}" width="100%" role="img" aria-label="Odometer readings over time">`
+        + `<line x1="0" y1="${GRAPH_HEIGHT}" x2="${GRAPH_WIDTH}" y2="${GRAPH_HEIGHT}" stroke="#999"/>`
+        + `<line x1="0" y1="0" x2="0" y2="${GRAPH_HEIGHT}" stroke="#999"/>`
+        + `<polyline points="${line}" fill="none" stroke="#2c3e50" stroke-width="2"/>${dots}`
+        + `<text x="-5" y="5" font-size="10" text-anchor="end">${numberFormat.format(Math.max(...readings))}</text>`
+        + `<text x="-5" y="${GRAPH_HEIGHT}" font-size="10" text-anchor="end">${numberFormat.format(Math.min(...readings))}</text>`
+        + `<text x="0" y="${GRAPH_HEIGHT + 15}" font-size="10">${escapeHtml(series[0].date)}</text>`
+        + `<text x="${GRAPH_WIDTH}" y="${GRAPH_HEIGHT + 15}" font-size="10" text-anchor="end">${escapeHtml(series[series.length - 1].date)}</text>`
+        + `</svg>`;
+}
+
+const renderReportHtml = (report) => {
+    const {vehicle, unit} = report;
+    const title = vehicleTitle(vehicle);
+    const ownership = report.ownership.map((owner) =>
+        `<li>${escapeHtml(owner.name)}, ${formatDate(owner.startedAt)} to ${owner.current ? "now" : formatDate(owner.endedAt)}</li>`
+    ).join("");
+    const costs = report.costs.length === 0 ? "<p>No costs recorded.</p>" : `<table><tr><th>Currency</th><th>Total</th><th>Parts</th><th>Labour</th><th>Other</th><th>Per ${escapeHtml(unit === "hours" ? "hour" : unit)}</th></tr>`
+        + report.costs.map((currency) => `<tr><td>${escapeHtml(currency.currency)}</td><td>${currency.total.toFixed(2)}</td>`
+            + `<td>${currency.byCategory.parts.toFixed(2)}</td><td>${currency.byCategory.labour.toFixed(2)}</td><td>${currency.byCategory.other.toFixed(2)}</td>`
+            + `<td>${currency.costPerUnit === null ? "-" : currency.costPerUnit}</td></tr>`).join("")
+        + "</table>";
+    const timeline = report.timeline.length === 0 ? "<p>No service or modification history recorded.</p>" : report.timeline.map((event) => `<article>`
+        + `<h3>${escapeHtml(event.date)} &middot; ${escapeHtml(event.type)} &middot; ${escapeHtml(event.title)}</h3>`
+        + `<p class="meta">${escapeHtml(formatReading(event.odometer, unit))}${event.odometerFlagged ? " (doesn't fit the other readings)" : ""}`
+        + `${event.shopVerified ? ` &middot; <strong>Shop verified${event.shopName ? ` by ${escapeHtml(event.shopName)}` : ""}</strong>` : ""}`
+        + `${event.costs.length > 0 ? ` &middot; ${escapeHtml(costSummary(event.costs))}` : ""}</p>`
+        + `${event.detail ? `<p>${escapeHtml(event.detail)}</p>` : ""}`
+        + `</article>`).join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)} history report</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; max-width: 720px; margin: 2em auto; padding: 0 1em; color: #222; }
+h1 { margin-bottom: 0; }
+h2 { border-bottom: 1px solid #ccc; padding-bottom: 0.2em; margin-top: 1.5em; }
+h3 { font-size: 1em; margin-bottom: 0.2em; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: 0.3em 0.5em; border-bottom: 1px solid #eee; }
+.meta, .generated { color: #666; font-size: 0.9em; margin-top: 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="generated">Vehicle history report generated ${formatDate(report.generatedAt)} by Ride Journal</p>
+<h2>Profile</h2>
+<table>${profileRows(report).map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join("")}</table>
+<h2>Ownership</h2>
+<ul>${ownership}</ul>
+<h2>Odometer</h2>
+${htmlGraph(report)}
+<h2>Costs</h2>
+${costs}
+<h2>History</h2>
+${timeline}
+</body>
+</html>`;
+}
+
+// keeps a block together by starting a new page when it won't fit on this one
+const ensureSpace = (doc, height) => {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+}
+
+const pdfHeading = (doc, text) => {
+    ensureSpace(doc, 60);
+    doc.moveDown(1).font("Helvetica-Bold").fontSize(14).fillColor("#222").text(text);
+    doc.moveTo(doc.page.margins.left, doc.y + 2).lineTo(doc.page.width - doc.page.margins.right, doc.y + 2).strokeColor("#ccc").stroke();
+    doc.moveDown(0.5).font("Helvetica").fontSize(10);
+}
+
+const pdfGraph = (doc, report) => {
+    const points = graphPoints(report.odometer.series, GRAPH_WIDTH - 60, GRAPH_HEIGHT);
+    if (points.length === 0) {
+        doc.text("Not enough odometer readings to draw a graph.");
+        return;
+    }
+    ensureSpace(doc, GRAPH_HEIGHT + 30);
+    const left = doc.page.margins.left + 60;
+    const top = doc.y + 5;
+    const readings = report.odometer.series.map((point) => point.odometer);
+    const series = report.odometer.series;
+
+    doc.strokeColor("#999").lineWidth(1)
+        .moveTo(left, top).lineTo(left, top + GRAPH_HEIGHT).lineTo(left + GRAPH_WIDTH - 60, top + GRAPH_HEIGHT).stroke();
+    const counted = points.filter((point) => !point.flagged);
+    if (counted.length > 1) {
+        doc.moveTo(left + counted[0].x, top + counted[0].y);
+        for (const point of counted.slice(1)) {
+            doc.lineTo(left + point.x, top + point.y);
+        }
+        doc.strokeColor("#2c3e50").lineWidth(2).stroke();
+    }
+    for (const point of points) {
+        doc.circle(left + point.x, top + point.y, 2.5).fill(point.flagged ? "#c0392b" : "#2c3e50");
+    }
+    doc.fillColor("#222").fontSize(8).lineWidth(1);
+    doc.text(numberFormat.format(Math.max(...readings)), doc.page.margins.left, top - 3, {width: 55, align: "right"});
+    doc.text(numberFormat.format(Math.min(...readings)), doc.page.margins.left, top + GRAPH_HEIGHT - 6, {width: 55, align: "right"});
+    doc.text(series[0].date, left, top + GRAPH_HEIGHT + 4);
+    doc.text(series[series.length - 1].date, left, top + GRAPH_HEIGHT + 4, {width: GRAPH_WIDTH - 60, align: "right"});
+    doc.x = doc.page.margins.left;
+    doc.y = top + GRAPH_HEIGHT + 20;
+    doc.fontSize(10);
+}
+
+// resolves with the whole pdf, reports are small enough to build in memory
+const renderReportPdf = (report) => new Promise((resolve, reject) => {
+    const {vehicle, unit} = report;
+    const title = vehicleTitle(vehicle);
+    const doc = new PDFDocument({size: "A4", margin: 50, info: {Title: `${title} history report`, Creator: "Ride Journal"}});
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(22).text(title);
+    doc.font("Helvetica").fontSize(10).fillColor("#666")
+        .text(`Vehicle history report generated ${formatDate(report.generatedAt)} by Ride Journal`).fillColor("#222");
+
+    pdfHeading(doc, "Profile");
+    for (const [label, value] of profileRows(report)) {
+        doc.font("Helvetica-Bold").text(`${label}: `, {continued: true}).font("Helvetica").text(String(value));
+    }
+
+    pdfHeading(doc, "Ownership");
+    for (const owner of report.ownership) {
+        doc.text(`${owner.name}, ${formatDate(owner.startedAt)} to ${owner.current ? "now" : formatDate(owner.endedAt)}`);
+    }
+
+    pdfHeading(doc, "Odometer");
+    pdfGraph(doc, report);
+
+    pdfHeading(doc, "Costs");
+    if (report.costs.length === 0) {
+        doc.text("No costs recorded.");
+    }
+    for (const currency of report.costs) {
+        const per = currency.costPerUnit === null ? "" : `, ${currency.costPerUnit} per ${unit === "hours" ? "hour" : unit}`;
+        doc.font("Helvetica-Bold").text(`${formatMoney(currency.total, currency.currency)} over ${currency.eventCount} event${currency.eventCount === 1 ? "" : "s"}${per}`);
+        doc.font("Helvetica").text(`Parts ${currency.byCategory.parts.toFixed(2)}, labour ${currency.byCategory.labour.toFixed(2)}, other ${currency.byCategory.other.toFixed(2)}`);
+        doc.moveDown(0.3);
+    }
+
+    pdfHeading(doc, "History");
+    if (report.timeline.length === 0) {
+        doc.text("No service or modification history recorded.");
+    }
+    for (const event of report.timeline) {
+        ensureSpace(doc, 50);
+        doc.font("Helvetica-Bold").text(`${event.date}  ${event.type}  ${event.title}`);
+        const meta = [formatReading(event.odometer, unit) + (event.odometerFlagged ? " (doesn't fit the other readings)" : "")];
+        if (event.shopVerified) {
+            meta.push(`Shop verified${event.shopName ? ` by ${event.shopName}` : ""}`);
+        }
+        if (event.costs.length > 0) {
+            meta.push(costSummary(event.costs));
+        }
+        doc.font("Helvetica").fillColor("#666").text(meta.join("  |  ")).fillColor("#222");
+        if (event.detail) {
+            doc.text(event.detail);
+        }
+        doc.moveDown(0.5);
+    }
+    doc.end();
+});
+
+// the html is fully escaped, the policy is there in case that ever slips
+const REPORT_CSP = "default-src 'none'; style-src 'unsafe-inline'; img-src data:";
+
+const sendReport = async (res, report, format) => {
+    const slug = vehicleTitle(report.vehicle).replace(/[^\w]+/g, "-").replace(/^-|-$/g, "").toLowerCase();
+    const filename = `${slug || "vehicle"}-history-report`;
+    res.set("Cache-Control", "private, no-store");
+    if (format === "html") {
+        res.set("Content-Security-Policy", REPORT_CSP);
+        res.type("html").send(renderReportHtml(report));
+        return;
+    }
+    const pdf = await renderReportPdf(report);
+    res.set("Content-Disposition", `inline; filename="${filename}.pdf"`);
+    res.type("pdf").send(pdf);
+}
+
+module.exports = {
+    renderReportHtml,
+    renderReportPdf,
+    sendReport
+};
@@ -0,0 +1,120 @@
+// usage meters and unit conversion
+//
+// readings are stored normalised, kilometres for anything with a distance meter and hours for
+// engine-hour meters, so history, maintenance and cost reports can compare them directly.
+// responses are converted back to miles when the request asks for them.
+
+const Vehicle = require("../models/vehicle");
+
+const KM_PER_MILE = 1.609344;
+const METERS = ["km", "mi", "hours"];
+
+// units=km|mi (or metric|imperial) on the query string, or the X-Units header
+const UNIT_ALIASES = {km: "km", metric: "km", mi: "mi", imperial: "mi"};
+
+// fields holding a normalised distance, converted when miles are asked for
+const DISTANCE_KEYS = [
+    "odometer", "distance", "totalDistance", "averagePerMonth", "intervalDistance", "lastDoneOdometer",
+    "distanceRemaining", "installOdometer", "distanceSinceInstall"
+];
+
+const isHours = (unit) => unit === "hours";
+
+// km stays as it is, miles become km, hours are already hours
+const normaliseReading = (value, unit) => {
+    const reading = Number(value);
+    return Math.round(unit === "mi" ? reading * KM_PER_MILE : reading);
+}
+
+const kmToMiles = (value) => Math.round(value / KM_PER_MILE * 10) / 10;
+
+// readings are always given in the vehicle's meter, miles and km can be mixed but hours can't
+const isCompatibleUnit = (meter, unit) => isHours(meter || "km") === isHours(unit);
+
+const preferredUnit = (req) => {
+    const requested = req.query.units || req.get("X-Units");
+    if (!requested) {
+        return null;
+    }
+    return UNIT_ALIASES[String(requested).toLowerCase()];
+}
+
+// walks a response body converting distances to miles, anything on an hour meter is left alone
+const convertToMiles = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(convertToMiles);
+    }
+    if (value && typeof value.toJSON === "function" && !(value instanceof Date)) {
+        return convertToMiles(value.toJSON());
+    }
+    if (!value || typeof value !== "object" || value instanceof Date) {
+        return value;
+    }
+    // already converted (fuel stats) or not a distance at all
+    if (isHours(value.meter) || isHours(value.odometerUnit) || "distanceUnit" in value) {
+        return value;
+    }
+    const converted = {};
+    for (const [key, field] of Object.entries(value)) {
+        if (DISTANCE_KEYS.includes(key) && typeof field === "number") {
+            // a reading entered in miles is kept exactly in <key>Value, no need to convert it back
+            const entered = value[`${key}Value`];
+            converted[key] = value[`${key}Unit`] === "mi" && entered !== null && entered !== undefined
+                ? Number(entered) : kmToMiles(field);
+        } else if (key === "costPerKm" && typeof field === "number") {
+            converted.costPerMi = Math.round(field * KM_PER_MILE * 10000) / 10000;
+        } else {
+            converted[key] = convertToMiles(field);
+        }
+    }
+    return converted;
+}
+
+// sets req.units from the request and converts json responses when it's miles
+const unitPreference = (req, res, next) => {
+    const requested = req.query.units || req.get("X-Units");
+    if (requested && !preferredUnit(req)) {
+        return res.status(422).json({errors: [{"msg": "units must be km, mi, metric or imperial"}]});
+    }
+    req.units = preferredUnit(req);
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        const units = req.units || res.locals.displayUnit;
+        // a vehicle on an hour meter has no distances to convert
+        if (units !== "mi" || isHours(res.locals.meter) || !body || body.errors) {
+            return json(body);
+        }
+        res.set("X-Units", "mi");
+        return json(convertToMiles(body));
+    };
+    next();
+}
+
+// for routes about one vehicle, falls back to its display unit when the request didn't ask for one
+const vehicleUnits = async (req, res, next) => {
+    try {
+        if (/^\d+$/.test(req.params.id)) {
+            const vehicle = await Vehicle.findOne({where: {id: req.params.id}, attributes: ["meter", "displayUnit"]});
+            if (vehicle) {
+                res.locals.meter = vehicle.meter;
+                res.locals.displayUnit = vehicle.displayUnit;
+            }
+        }
+        next();
+    } catch(err) {
+        next(err);
+    }
+}
+
+module.exports = {
+    KM_PER_MILE,
+    METERS,
+    isHours,
+    isCompatibleUnit,
+    normaliseReading,
+    kmToMiles,
+    preferredUnit,
+    convertToMiles,
+    unitPreference,
+    vehicleUnits
+};
@@ -1,20 +1,82 @@
-const fs = require('fs/promises'); 
 const path = require('path');
 const { v4: uuidv4 } = require('uuid'); // v4 is to generate random uuids
 const Logger = require('../logging/logger');
+const { getStorage } = require('../storage');
+const { DEFAULT_IMAGE, renderVariants } = require('./imageVariants');
 
+// writes every size of the upload, the full size jpeg/png/gif stays the record's main image
 const saveImage = async (image, type) => {
     const shortUuid = uuidv4().split('-')[0]; // Use only the first part of the UUID
-    const imageFilename = `${type}-${shortUuid}-${Date.now()}` + path.extname(image.originalname);
-    const filePath = path.join(__dirname, '../public/images', imageFilename);
+    const baseName = `${type}-${shortUuid}-${Date.now()}`;
+    const variants = {};
+    let bytes = 0;
+    for await (const variant of renderVariants(image)) {
+        const imageFilename = `${baseName}-${variant.size}.${variant.extension}`;
+        try {
+            await getStorage('images').put(imageFilename, variant.buffer, `image/${variant.format}`);
+        } catch (error) {
+            Logger.error(`Error writing the image file (${imageFilename}): ${error}`);
+            throw error;
+        }
+        const entry = variants[variant.size] || { src: null, webp: null, width: variant.width, height: variant.height };
+        entry[variant.format === 'webp' ? 'webp' : 'src'] = imageFilename;
+        variants[variant.size] = entry;
+        bytes += variant.buffer.length;
+    }
+    return { image: variants.full.src, variants: variants, bytes: bytes };
+}
+
+// removes a stored file from one of the storage areas, images, documents or uploads
+// it's called once the record is gone, so a file that can't be removed is only logged
+const deleteStoredFile = async (area, key) => {
     try {
-        await fs.writeFile(filePath, image.buffer);
-        return imageFilename;
+        await getStorage(area).delete(key);
     } catch (error) {
-        Logger.error(`Error writing the image file (${imageFilename}): ${error}`);
-        // Handle the error appropriately
+        Logger.error(`Error deleting the file (${key}) from ${area}: ${error}`);
+    }
+}
+
+// removes every size of an image, default.png is shared and stays
+const deleteStoredImage = async (image, variants) => {
+    const filenames = new Set([image]);
+    for (const entry of Object.values(variants || {})) {
+        filenames.add(entry.src);
+        filenames.add(entry.webp);
+    }
+    for (const filename of filenames) {
+        if (filename && filename !== DEFAULT_IMAGE) {
+            await deleteStoredFile('images', filename);
+        }
+    }
+}
+
+const saveDocument = async (file, type) => {
+    const shortUuid = uuidv4().split('-')[0];
+    const documentFilename = `${type}-${shortUuid}-${Date.now()}` + path.extname(file.originalname).toLowerCase();
+    try {
+        await getStorage('documents').put(documentFilename, file.buffer, file.mimetype);
+        return documentFilename;
+    } catch (error) {
+        Logger.error(`Error writing the document file (${documentFilename}): ${error}`);
         throw error;
     }
 }
 
-module.exports = { saveImage }
\ No newline at end of file
+// streams a stored document as a download, false when the file has gone missing
+const sendDocument = async (res, filename, { name, mimeType }) => {
+    const file = await getStorage('documents').get(filename);
+    if (!file) {
+        return false;
+    }
+    res.attachment(name || filename);
+    res.type(mimeType);
+    res.set('Cache-Control', 'private, no-store');
+    file.on('error', (error) => {
+        Logger.error(`Error reading the document file (${filename}): ${error}`);
+        res.destroy(error);
+    });
+    file.pipe(res);
+    return true;
+}
+
+module.exports = { saveImage, deleteStoredFile, deleteStoredImage, saveDocument, sendDocument }
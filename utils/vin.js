@@ -0,0 +1,133 @@
+// offline VIN checks and decoding against the bundled WMI list in data/wmi.json
+//
+// the WMI (first 3 characters) gives the manufacturer and the first 1-2 characters the country and
+// region. position 9 is a check digit, which is only mandatory for North American and Chinese VINs
+// so it's only enforced there. position 10 is the model year on a repeating 30 year cycle.
+
+const wmi = require("../data/wmi.json");
+
+// the order VIN characters sort in, used for the country ranges
+const VIN_ORDER = "ABCDEFGHJKLMNPRSTUVWXYZ1234567890";
+const TRANSLITERATION = {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8, J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+    S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+const YEAR_CODES = "ABCDEFGHJKLMNPRSTVWXY123456789";
+
+// 17 characters, no I, O or Q so they can't be mistaken for 1 and 0
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+const normaliseVin = (vin) => String(vin || "").replace(/[\s-]/g, "").toUpperCase();
+
+const computeCheckDigit = (vin) => {
+    let sum = 0;
+    for (let i = 0; i < 17; i++) {
+        const char = vin[i];
+        const value = /[0-9]/.test(char) ? Number(char) : TRANSLITERATION[char];
+        sum += value * WEIGHTS[i];
+    }
+    const remainder = sum % 11;
+    return remainder === 10 ? "X" : String(remainder);
+}
+
+const orderOf = (prefix) => [...prefix].map((char) => VIN_ORDER.indexOf(char));
+
+const inRange = (code, from, to) => {
+    const value = orderOf(code.slice(0, from.length));
+    const start = orderOf(from);
+    const end = orderOf(to);
+    const compare = (a, b) => {
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
+        }
+        return 0;
+    };
+    return compare(value, start) >= 0 && compare(value, end) <= 0;
+}
+
+const findCountry = (vin) => {
+    const match = wmi.countries.find(([from, to]) => inRange(vin, from, to));
+    return match ? {country: match[2], region: match[3]} : {};
+}
+
+const findRegion = (vin) => {
+    const entry = Object.entries(wmi.regions).find(([chars]) => chars.includes(vin[0]));
+    return entry ? entry[1] : null;
+}
+
+const checkDigitRequired = (region, vin) => region === "North America" || vin[0] === "L";
+
+// VINs built to the North American rules say which cycle with position 7, a letter there means 2010
+// onwards. imports for that market follow the rules too, and a valid check digit is a good sign of one.
+// otherwise it's the latest year in the cycle that isn't past next year
+const decodeModelYear = (vin, northAmericanRules) => {
+    const index = YEAR_CODES.indexOf(vin[9]);
+    if (index === -1) {
+        return null;
+    }
+    const candidates = [1980 + index, 2010 + index, 2040 + index];
+    if (northAmericanRules) {
+        return /[0-9]/.test(vin[6]) ? candidates[0] : candidates[1];
+    }
+    const latest = new Date().getFullYear() + 1;
+    return candidates.filter((year) => year <= latest).pop() || null;
+}
+
+// returns null when it isn't a VIN at all, otherwise the decoded details and whether it checks out
+const decodeVin = (value) => {
+    const vin = normaliseVin(value);
+    if (!VIN_PATTERN.test(vin)) {
+        return null;
+    }
+    const country = findCountry(vin);
+    const region = country.region || findRegion(vin);
+    const checkDigitValid = vin[8] === computeCheckDigit(vin);
+    return {
+        vin: vin,
+        wmi: vin.slice(0, 3),
+        manufacturer: wmi.manufacturers[vin.slice(0, 3)] || null,
+        country: country.country || null,
+        region: region,
+        modelYear: decodeModelYear(vin, region === "North America" || checkDigitValid),
+        checkDigitRequired: checkDigitRequired(region, vin),
+        checkDigitValid: checkDigitValid,
+        serialNumber: vin.slice(11)
+    };
+}
+
+// a reason the VIN can't be used, or null when it's fine
+const validateVin = (value) => {
+    const decoded = decodeVin(value);
+    if (!decoded) {
+        return "a VIN is 17 letters and numbers, without I, O or Q";
+    }
+    if (decoded.checkDigitRequired && !decoded.checkDigitValid) {
+        return "VIN check digit does not match, check it was typed correctly";
+    }
+    return null;
+}
+
+// what a vehicle record can take from the VIN, a model year past this year wouldn't pass the year check
+const vehicleDetailsFromVin = (value) => {
+    const decoded = decodeVin(value);
+    if (!decoded) {
+        return {};
+    }
+    const details = {};
+    if (decoded.manufacturer) {
+        details.make = decoded.manufacturer;
+    }
+    if (decoded.modelYear && decoded.modelYear <= new Date().getFullYear()) {
+        details.year = decoded.modelYear;
+    }
+    return details;
+}
+
+module.exports = {
+    normaliseVin,
+    computeCheckDigit,
+    decodeVin,
+    validateVin,
+    vehicleDetailsFromVin
+};
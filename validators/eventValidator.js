@@ -1,4 +1,98 @@
 const { body, param } = require("express-validator");
+const Event = require("../models/event");
+const Vehicle = require("../models/vehicle");
+const { findOdometerConflict } = require("../controllers/odometerController");
+const { METERS, isCompatibleUnit, normaliseReading } = require("../utils/units");
+
+// reject readings that go backwards, or keep them and mark them odometerFlagged with ODOMETER_MODE=flag
+const ODOMETER_MODE = process.env.ODOMETER_MODE || "reject";
+
+const odometerHistoryValidator = body().custom(async (value, { req }) => {
+    // only the server decides what gets flagged
+    delete req.body.odometerFlagged;
+    const fields = ["vehicleId", "date", "odometer", "odometerReset"];
+    let reading = { ...req.body };
+    if (req.params.id) {
+        // an update only needs checking if it touches the reading, and fills the rest in from the event
+        if (!fields.some((field) => field in req.body)) {
+            return true;
+        }
+        const existing = await Event.findOne({ where: { id: req.params.id } });
+        if (!existing) {
+            return true;
+        }
+        for (const field of fields) {
+            if (!(field in req.body)) reading[field] = existing[field];
+        }
+    }
+    const odometer = Number(reading.odometer);
+    if (reading.odometer === null || reading.odometer === undefined || reading.odometer === "" || isNaN(odometer)
+        || !reading.vehicleId || !reading.date) {
+        return true;
+    }
+
+    const conflict = await findOdometerConflict(reading.vehicleId, {
+        date: reading.date,
+        odometer: odometer,
+        odometerReset: reading.odometerReset
+    }, req.params.id);
+    if (conflict && ODOMETER_MODE === "flag") {
+        req.body.odometerFlagged = true;
+    } else if (conflict) {
+        throw new Error(`${conflict}, set odometerReset to replacement or rollover if the odometer was changed`);
+    } else if (req.params.id) {
+        req.body.odometerFlagged = false;
+    }
+    return true;
+});
+
+// keeps the reading as entered and swaps odometer for the normalised value, before the history check sees it
+const odometerUnitValidator = body().custom(async (value, { req }) => {
+    if (!("odometer" in req.body)) {
+        if ("odometerUnit" in req.body) {
+            throw new Error("odometerUnit can only be sent with an odometer reading");
+        }
+        return true;
+    }
+    const odometer = req.body.odometer;
+    if (odometer === null || odometer === "") {
+        req.body.odometerValue = null;
+        req.body.odometerUnit = null;
+        return true;
+    }
+    if (isNaN(Number(odometer))) {
+        return true;
+    }
+    let vehicleId = req.body.vehicleId;
+    if (!vehicleId && req.params.id) {
+        const existing = await Event.findOne({ where: { id: req.params.id }, attributes: ["vehicleId"] });
+        vehicleId = existing && existing.vehicleId;
+    }
+    const vehicle = vehicleId && await Vehicle.findOne({ where: { id: vehicleId }, attributes: ["meter"] });
+    if (!vehicle) {
+        return true;
+    }
+    const unit = req.body.odometerUnit || vehicle.meter;
+    if (!isCompatibleUnit(vehicle.meter, unit)) {
+        throw new Error(`this vehicle's meter reads ${vehicle.meter}, a reading in ${unit} can't be used`);
+    }
+    req.body.odometerValue = Number(odometer);
+    req.body.odometerUnit = unit;
+    req.body.odometer = normaliseReading(odometer, unit);
+    return true;
+});
+
+// a location needs both coordinates, on update clearing one clears the other
+const locationValidator = body().custom((value, { req }) => {
+    if (!("latitude" in req.body) && !("longitude" in req.body)) {
+        return true;
+    }
+    const missing = (field) => req.body[field] === undefined || req.body[field] === null;
+    if (missing("latitude") !== missing("longitude")) {
+        throw new Error("latitude and longitude have to be sent together");
+    }
+    return true;
+});
 
 const eventValidator = [
     body("userId", "a user id is required").not().isEmpty(),
@@ -12,7 +106,22 @@ const eventValidator = [
     body("date", "a valid date is required").not().isEmpty(),
     body("date", "invalid date format").isISO8601(),
     body("odometer", "odometer must be a number").isNumeric(),
+    body("odometerUnit", "odometerUnit must be km, mi or hours").optional().isIn(METERS),
+    body("odometerReset", "odometerReset must be replacement or rollover").optional({ values: "null" }).isIn(["replacement", "rollover"]),
     body("published", "published must be a boolean").isBoolean(),
+    body("maintenanceScheduleIds", "maintenanceScheduleIds must be a list of schedule ids").optional().isArray(),
+    body("maintenanceScheduleIds.*", "maintenanceScheduleIds must be a list of schedule ids").isInt(),
+    body("costs", "costs must be a list of cost lines").optional().isArray(),
+    body("costs.*.category", "cost category must be parts, labour or other").optional().isIn(["parts", "labour", "other"]),
+    body("costs.*.amount", "cost amount must be a positive number").isFloat({ min: 0 }),
+    body("costs.*.currency", "cost currency must be an ISO 4217 code").optional().isISO4217(),
+    body("costs.*.description").optional({ values: "null" }).isString(),
+    body("costs.*.vendor").optional({ values: "null" }).isString(),
+    body("latitude", "latitude must be between -90 and 90").optional({ values: "null" }).isFloat({ min: -90, max: 90 }),
+    body("longitude", "longitude must be between -180 and 180").optional({ values: "null" }).isFloat({ min: -180, max: 180 }),
+    locationValidator,
+    odometerUnitValidator,
+    odometerHistoryValidator,
 ];
 
 const updateEventValidator = [
@@ -29,7 +138,33 @@ const updateEventValidator = [
     body("date", "a valid date is required").optional().not().isEmpty(),
     body("date", "invalid date format").optional().isISO8601(),
     body("odometer", "odometer must be a number").optional().isNumeric(),
+    body("odometerUnit", "odometerUnit must be km, mi or hours").optional().isIn(METERS),
+    body("odometerReset", "odometerReset must be replacement or rollover").optional({ values: "null" }).isIn(["replacement", "rollover"]),
     body("published", "published must be a boolean").optional().isBoolean(),
+    body("coverImageId", "coverImageId has to be an image id").optional({ values: "null" }).isInt({ min: 1 }),
+    body("costs", "costs must be a list of cost lines").optional().isArray(),
+    body("costs.*.category", "cost category must be parts, labour or other").optional().isIn(["parts", "labour", "other"]),
+    body("costs.*.amount", "cost amount must be a positive number").isFloat({ min: 0 }),
+    body("costs.*.currency", "cost currency must be an ISO 4217 code").optional().isISO4217(),
+    body("costs.*.description").optional({ values: "null" }).isString(),
+    body("costs.*.vendor").optional({ values: "null" }).isString(),
+    body("latitude", "latitude must be between -90 and 90").optional({ values: "null" }).isFloat({ min: -90, max: 90 }),
+    body("longitude", "longitude must be between -180 and 180").optional({ values: "null" }).isFloat({ min: -180, max: 180 }),
+    locationValidator,
+    odometerUnitValidator,
+    odometerHistoryValidator,
+];
+
+const publishEventValidator = [
+    param("id", "a event id is required").not().isEmpty(),
+    param("id", "event id has to be an integer").isNumeric(),
+    body("publishAt", "invalid date format").optional({ values: "null" }).isISO8601(),
+    body("publishAt").optional({ values: "null" }).custom((value) => {
+        if (new Date(value) <= new Date()) {
+            throw new Error("publishAt has to be in the future, leave it out to publish now");
+        }
+        return true;
+    }),
 ];
 
 const eventTypeParamValidator = [
@@ -40,5 +175,6 @@ const eventTypeParamValidator = [
 module.exports = {
     eventValidator,
     updateEventValidator,
+    publishEventValidator,
     eventTypeParamValidator
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+const { body, param, query } = require("express-validator");
+const { readingUnitValidator } = require("./index");
+
+const fuelLogValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    body("date", "a date is required").not().isEmpty(),
+    body("date", "invalid date format").isISO8601(),
+    body("odometer", "an odometer reading is required").not().isEmpty(),
+    body("odometer", "odometer must be a positive integer").isInt({ min: 0 }),
+    body("amount", "an amount is required").not().isEmpty(),
+    body("amount", "amount must be a positive number").isFloat({ gt: 0 }),
+    body("unit", "unit must be litre, gallon or kWh").optional().isIn(["litre", "gallon", "kWh"]),
+    body("price", "price must be a positive number").optional({ values: "null" }).isFloat({ min: 0 }),
+    body("fullTank", "fullTank must be a boolean").optional().isBoolean(),
+    body("station").optional({ values: "null" }).isString(),
+    ...readingUnitValidator(["odometer"]),
+];
+
+const updateFuelLogValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    param("fuelLogId", "fuel log id has to be an integer").isNumeric(),
+    body("date", "invalid date format").optional().isISO8601(),
+    body("odometer", "odometer must be a positive integer").optional().isInt({ min: 0 }),
+    body("amount", "amount must be a positive number").optional().isFloat({ gt: 0 }),
+    body("unit", "unit must be litre, gallon or kWh").optional().isIn(["litre", "gallon", "kWh"]),
+    body("price", "price must be a positive number").optional({ values: "null" }).isFloat({ min: 0 }),
+    body("fullTank", "fullTank must be a boolean").optional().isBoolean(),
+    body("station").optional({ values: "null" }).isString(),
+    ...readingUnitValidator(["odometer"]),
+];
+
+const fuelLogParamValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    param("fuelLogId", "fuel log id has to be an integer").isNumeric(),
+];
+
+const fuelLogListValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    query("limit", "limit must be a positive integer").optional().isInt({ min: 1 }),
+    query("offset", "offset must be a positive integer").optional().isInt({ min: 0 }),
+];
+
+const fuelStatsValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    query("units", "units must be km, mi, metric or imperial").optional().isIn(["metric", "imperial", "km", "mi"]),
+];
+
+module.exports = {
+    fuelLogValidator,
+    updateFuelLogValidator,
+    fuelLogParamValidator,
+    fuelLogListValidator,
+    fuelStatsValidator
+};
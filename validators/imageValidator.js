@@ -1,10 +1,68 @@
-const { body } = require("express-validator");
+const { body, param, header } = require("express-validator");
+const { IMAGE_TYPES } = require("./index");
 
 const imageValidator = [
     body('eventId', 'Event ID is required').not().isEmpty(),
-    body('eventId', 'Event ID must be an integer').isInt()
+    body('eventId', 'Event ID must be an integer').isInt(),
+    body('extractMetadata', 'extractMetadata must be a boolean').optional().isBoolean(),
+    body('useCaptureDate', 'useCaptureDate must be a boolean').optional().isBoolean(),
+    body('caption', 'caption can be up to 500 characters').optional({ values: 'null' }).isString().isLength({ max: 500 }),
+    body('alt', 'alt can be up to 255 characters').optional({ values: 'null' }).isString().isLength({ max: 255 })
+];
+
+// a batch has a caption and alt text per file, sent as captions and alts in the same order as the files
+// a single caption or alt would be ambiguous, so they're turned away rather than dropped
+const batchImageValidator = [
+    body('eventId', 'Event ID is required').not().isEmpty(),
+    body('eventId', 'Event ID must be an integer').isInt(),
+    body('extractMetadata', 'extractMetadata must be a boolean').optional().isBoolean(),
+    body('useCaptureDate', 'useCaptureDate must be a boolean').optional().isBoolean(),
+    body(['caption', 'alt'], 'a batch takes captions and alts with an entry per file').not().exists(),
+    body(['captions', 'alts']).optional().customSanitizer((value) => [].concat(value)),
+    body(['captions', 'alts'], 'captions and alts can\'t have more entries than there are files').optional()
+        .custom((value, { req }) => value.length <= (req.files || []).length),
+    body('captions.*', 'each caption can be up to 500 characters').isString().isLength({ max: 500 }),
+    body('alts.*', 'each alt can be up to 255 characters').isString().isLength({ max: 255 })
+];
+
+const updateImageValidator = [
+    param('id', 'Image ID is required').not().isEmpty(),
+    param('id', 'Image ID must be an integer').isInt(),
+    body('caption', 'caption can be up to 500 characters').optional({ values: 'null' }).isString().isLength({ max: 500 }),
+    body('alt', 'alt can be up to 255 characters').optional({ values: 'null' }).isString().isLength({ max: 255 }),
+    body('sortOrder', 'sortOrder must be a whole number from 0').optional().isInt({ min: 0 })
+];
+
+const reorderImagesValidator = [
+    param('id', 'Event ID is required').not().isEmpty(),
+    param('id', 'Event ID must be an integer').isInt(),
+    body('order', 'order must be a list of the event\'s image IDs').isArray({ min: 1 }),
+    body('order.*', 'order must be a list of the event\'s image IDs').isInt({ min: 1 })
+];
+
+const startUploadValidator = [
+    body('eventId', 'Event ID is required').not().isEmpty(),
+    body('eventId', 'Event ID must be an integer').isInt(),
+    body('filename', 'filename is required').isString().trim().isLength({ min: 1, max: 255 }),
+    body('mimeType', 'Invalid file type. Only JPG, PNG, and GIF are allowed.').isIn(IMAGE_TYPES),
+    body('size', 'size must be the file\'s size in bytes').isInt({ min: 1 }).toInt(),
+    body('extractMetadata', 'extractMetadata must be a boolean').optional().isBoolean(),
+    body('useCaptureDate', 'useCaptureDate must be a boolean').optional().isBoolean(),
+    body('caption', 'caption can be up to 500 characters').optional({ values: 'null' }).isString().isLength({ max: 500 }),
+    body('alt', 'alt can be up to 255 characters').optional({ values: 'null' }).isString().isLength({ max: 255 })
+];
+
+const uploadChunkValidator = [
+    param('id', 'Upload ID is required').not().isEmpty(),
+    param('id', 'Upload ID must be an integer').isInt(),
+    header('upload-offset', 'Upload-Offset must be the byte the chunk starts at').isInt({ min: 0 }).toInt()
 ];
 
 module.exports = {
-    imageValidator
+    imageValidator,
+    batchImageValidator,
+    updateImageValidator,
+    reorderImagesValidator,
+    startUploadValidator,
+    uploadChunkValidator
 };
\ No newline at end of file
@@ -1,22 +1,106 @@
-const { param } = require("express-validator");
+const { body, param } = require("express-validator");
+const Vehicle = require("../models/vehicle");
+const { isReadableImage } = require("../utils/imageVariants");
+const { METERS, isCompatibleUnit, normaliseReading } = require("../utils/units");
 
 const idParamValidator = [
   param("id", "id is required").not().isEmpty(),
   param("id", "id should be numeric").isNumeric(),
 ];
 
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
+// why a file can't be stored as an image, or null when it can
+const imageFileError = async (file) => {
+  if (!IMAGE_TYPES.includes(file.mimetype)) {
+      return 'Invalid file type. Only JPG, PNG, and GIF are allowed.';
+  }
+  // the sizes are rendered from it, so it has to actually decode
+  if (!(await isReadableImage(file.buffer))) {
+      return 'The file could not be read as an image.';
+  }
+  return null;
+};
+
 // Assuming multer middleware is applied before validators
-const imageUploadValidator = (req, res, next) => {
+const imageUploadValidator = async (req, res, next) => {
+  // an image only ever arrives as a file, a name in the body would be read as a path on the server
+  delete req.body.image;
+  if (req.file) {
+      const error = await imageFileError(req.file);
+      if (error) {
+          return res.status(422).json({ errors: [{ msg: error }] });
+      }
+  }
+  next();
+};
+
+// the mimetype comes from the client, so the first bytes have to agree with it
+const FILE_SIGNATURES = {
+  'application/pdf': [Buffer.from('%PDF')],
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+};
+
+const documentUploadValidator = (req, res, next) => {
   if (req.file) {
-      const allowedTypes = ['image/jpeg', 'image/png', 'image/gif'];
-      if (!allowedTypes.includes(req.file.mimetype)) {
-          return res.status(422).json({ errors: [{ msg: 'Invalid file type. Only JPG, PNG, and GIF are allowed.' }] });
+      const signatures = FILE_SIGNATURES[req.file.mimetype];
+      if (!signatures) {
+          return res.status(422).json({ errors: [{ msg: 'Invalid file type. Only PDF, JPG and PNG are allowed.' }] });
+      }
+      if (!signatures.some((signature) => req.file.buffer.subarray(0, signature.length).equals(signature))) {
+          return res.status(422).json({ errors: [{ msg: 'The file contents do not match its type.' }] });
       }
   }
   next();
 };
 
+// distances on records under /api/vehicles/{id} are normalised to the vehicle's meter, the same as an event's odometer
+// each field can come with a <field>Unit, the reading as entered is kept in <field>Value
+const readingUnitValidator = (fields) => [
+  ...fields.map((field) => body(`${field}Unit`, `${field}Unit must be km, mi or hours`).optional().isIn(METERS)),
+  body().custom(async (value, { req }) => {
+    for (const field of fields) {
+      if (!(field in req.body) && `${field}Unit` in req.body) {
+        throw new Error(`${field}Unit can only be sent with ${field}`);
+      }
+    }
+    const readings = fields.filter((field) => field in req.body);
+    if (readings.length === 0) {
+      return true;
+    }
+    const vehicle = await Vehicle.findOne({ where: { id: req.params.id }, attributes: ["meter"] });
+    if (!vehicle) {
+      return true;
+    }
+    for (const field of readings) {
+      const reading = req.body[field];
+      if (reading === null || reading === "") {
+        req.body[`${field}Value`] = null;
+        req.body[`${field}Unit`] = null;
+        continue;
+      }
+      // the field's own validator reports anything that isn't a number
+      if (isNaN(Number(reading))) {
+        continue;
+      }
+      const unit = req.body[`${field}Unit`] || vehicle.meter;
+      if (!isCompatibleUnit(vehicle.meter, unit)) {
+        throw new Error(`this vehicle's meter reads ${vehicle.meter}, a reading in ${unit} can't be used`);
+      }
+      req.body[`${field}Value`] = Number(reading);
+      req.body[`${field}Unit`] = unit;
+      req.body[field] = normaliseReading(reading, unit);
+    }
+    return true;
+  }),
+];
+
 module.exports = {
   idParamValidator,
-  imageUploadValidator
+  readingUnitValidator,
+  IMAGE_TYPES,
+  imageFileError,
+  imageUploadValidator,
+  documentUploadValidator
 };
\ No newline at end of file
@@ -0,0 +1,60 @@
+const { body, param, query } = require("express-validator");
+const { readingUnitValidator } = require("./index");
+
+// a schedule needs at least one of the two intervals
+const intervalRequired = body().custom((value, { req }) => {
+    const hasDistance = req.body.intervalDistance !== undefined && req.body.intervalDistance !== null;
+    const hasMonths = req.body.intervalMonths !== undefined && req.body.intervalMonths !== null;
+    if (!hasDistance && !hasMonths) {
+        throw new Error("an intervalDistance or intervalMonths is required");
+    }
+    return true;
+});
+
+const maintenanceScheduleValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    body("task", "a task name is required").not().isEmpty(),
+    body("keywords").optional({ values: "null" }).isString(),
+    body("intervalDistance", "intervalDistance must be a positive integer").optional({ values: "null" }).isInt({ min: 1 }),
+    body("intervalMonths", "intervalMonths must be a positive integer").optional({ values: "null" }).isInt({ min: 1 }),
+    body("lastDoneEventId", "lastDoneEventId has to be an integer").optional({ values: "null" }).isInt(),
+    body("lastDoneDate", "invalid date format").optional({ values: "null" }).isISO8601(),
+    body("lastDoneOdometer", "lastDoneOdometer must be a number").optional({ values: "null" }).isInt({ min: 0 }),
+    intervalRequired,
+    ...readingUnitValidator(["intervalDistance", "lastDoneOdometer"]),
+];
+
+const updateMaintenanceScheduleValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    param("scheduleId", "schedule id has to be an integer").isNumeric(),
+    body("task", "a task name is required").optional().not().isEmpty(),
+    body("keywords").optional({ values: "null" }).isString(),
+    body("intervalDistance", "intervalDistance must be a positive integer").optional({ values: "null" }).isInt({ min: 1 }),
+    body("intervalMonths", "intervalMonths must be a positive integer").optional({ values: "null" }).isInt({ min: 1 }),
+    body("lastDoneEventId", "lastDoneEventId has to be an integer").optional({ values: "null" }).isInt(),
+    body("lastDoneDate", "invalid date format").optional({ values: "null" }).isISO8601(),
+    body("lastDoneOdometer", "lastDoneOdometer must be a number").optional({ values: "null" }).isInt({ min: 0 }),
+    ...readingUnitValidator(["intervalDistance", "lastDoneOdometer"]),
+];
+
+const maintenanceScheduleParamValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    param("scheduleId", "schedule id has to be an integer").isNumeric(),
+];
+
+const maintenanceDueValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    query("withinDistance", "withinDistance must be a positive integer").optional().isInt({ min: 0 }),
+    query("withinDays", "withinDays must be a positive integer").optional().isInt({ min: 0 }),
+];
+
+module.exports = {
+    maintenanceScheduleValidator,
+    updateMaintenanceScheduleValidator,
+    maintenanceScheduleParamValidator,
+    maintenanceDueValidator
+};
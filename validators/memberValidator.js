@@ -0,0 +1,36 @@
+const { body, param } = require("express-validator");
+
+const MEMBER_ROLES = ["owner", "editor", "viewer", "shop"];
+
+const memberValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    body("email", "the email of the person to invite is required").not().isEmpty(),
+    body("email", "invalid email address").isEmail(),
+    body("role", "role must be owner, editor, viewer or shop").isIn(MEMBER_ROLES),
+];
+
+const updateMemberValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    param("memberId", "member id has to be an integer").isInt({ min: 1 }),
+    body("role", "role must be owner, editor, viewer or shop").isIn(MEMBER_ROLES),
+];
+
+const memberParamValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    param("memberId", "member id has to be an integer").isInt({ min: 1 }),
+];
+
+const membershipParamValidator = [
+    param("id", "a membership id is required").not().isEmpty(),
+    param("id", "membership id has to be an integer").isNumeric(),
+];
+
+module.exports = {
+    memberValidator,
+    updateMemberValidator,
+    memberParamValidator,
+    membershipParamValidator
+};
@@ -0,0 +1,49 @@
+const { body, param } = require("express-validator");
+const { readingUnitValidator } = require("./index");
+
+const partValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    body("name", "a part name is required").not().isEmpty(),
+    body("brand").optional({ values: "null" }).isString(),
+    body("partNumber").optional({ values: "null" }).isString(),
+    body("category", "category must be text").optional().isString().not().isEmpty(),
+    body("installEventId", "installEventId has to be an integer").optional({ values: "null" }).isInt(),
+    body("removalEventId", "removalEventId has to be an integer").optional({ values: "null" }).isInt(),
+    body("installedAt", "invalid date format").optional({ values: "null" }).isISO8601(),
+    body("installOdometer", "installOdometer must be a positive integer").optional({ values: "null" }).isInt({ min: 0 }),
+    body("removedAt", "invalid date format").optional({ values: "null" }).isISO8601(),
+    body("warrantyExpiry", "invalid date format").optional({ values: "null" }).isISO8601(),
+    body("notes").optional({ values: "null" }).isString(),
+    ...readingUnitValidator(["installOdometer"]),
+];
+
+const updatePartValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    param("partId", "part id has to be an integer").isNumeric(),
+    body("name", "a part name is required").optional().not().isEmpty(),
+    body("brand").optional({ values: "null" }).isString(),
+    body("partNumber").optional({ values: "null" }).isString(),
+    body("category", "category must be text").optional().isString().not().isEmpty(),
+    body("installEventId", "installEventId has to be an integer").optional({ values: "null" }).isInt(),
+    body("removalEventId", "removalEventId has to be an integer").optional({ values: "null" }).isInt(),
+    body("installedAt", "invalid date format").optional({ values: "null" }).isISO8601(),
+    body("installOdometer", "installOdometer must be a positive integer").optional({ values: "null" }).isInt({ min: 0 }),
+    body("removedAt", "invalid date format").optional({ values: "null" }).isISO8601(),
+    body("warrantyExpiry", "invalid date format").optional({ values: "null" }).isISO8601(),
+    body("notes").optional({ values: "null" }).isString(),
+    ...readingUnitValidator(["installOdometer"]),
+];
+
+const partParamValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    param("partId", "part id has to be an integer").isNumeric(),
+];
+
+module.exports = {
+    partValidator,
+    updatePartValidator,
+    partParamValidator
+};
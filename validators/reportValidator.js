@@ -0,0 +1,34 @@
+const { body, param, query } = require("express-validator");
+
+const REPORT_LINK_MAX_DAYS = Number(process.env.REPORT_LINK_MAX_DAYS) || 90;
+
+const reportValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    query("format", "format must be pdf or html").optional().isIn(["pdf", "html"]),
+];
+
+const reportLinkValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    body("expiresInDays", `expiresInDays must be between 1 and ${REPORT_LINK_MAX_DAYS}`).optional().isInt({ min: 1, max: REPORT_LINK_MAX_DAYS }).toInt(),
+    body("label", "label must be at most 100 characters").optional({ values: "null" }).isString().isLength({ max: 100 }),
+];
+
+const reportLinkParamValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    param("linkId", "link id has to be an integer").isInt({ min: 1 }),
+];
+
+const reportTokenValidator = [
+    param("token", "invalid report link").isHexadecimal().isLength({ min: 48, max: 48 }),
+    query("format", "format must be pdf or html").optional().isIn(["pdf", "html"]),
+];
+
+module.exports = {
+    reportValidator,
+    reportLinkValidator,
+    reportLinkParamValidator,
+    reportTokenValidator
+};
@@ -0,0 +1,82 @@
+const { body, param, query } = require("express-validator");
+const Vehicle = require("../models/vehicle");
+const { METERS, isCompatibleUnit, normaliseReading } = require("../utils/units");
+
+// same as an event's reading, kept as entered and normalised to the vehicle's meter
+const serviceOdometerValidator = body().custom(async (value, { req }) => {
+    const odometer = req.body.odometer;
+    if (odometer === undefined || odometer === null || odometer === "" || isNaN(Number(odometer))) {
+        return true;
+    }
+    const vehicle = await Vehicle.findOne({ where: { id: req.params.id }, attributes: ["meter"] });
+    if (!vehicle) {
+        return true;
+    }
+    const unit = req.body.odometerUnit || vehicle.meter;
+    if (!isCompatibleUnit(vehicle.meter, unit)) {
+        throw new Error(`this vehicle's meter reads ${vehicle.meter}, a reading in ${unit} can't be used`);
+    }
+    req.body.odometerValue = Number(odometer);
+    req.body.odometerUnit = unit;
+    req.body.odometer = normaliseReading(odometer, unit);
+    return true;
+});
+
+const serviceRecordValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    body("title", "a title is required").not().isEmpty(),
+    body("detail").optional({ values: "null" }).isString(),
+    body("type", "type must be repair or maintenance").isIn(["repair", "maintenance"]),
+    body("date", "a valid date is required").not().isEmpty(),
+    body("date", "invalid date format").isISO8601(),
+    body("odometer", "odometer must be a number").optional({ values: "null" }).isNumeric(),
+    body("odometerUnit", "odometerUnit must be km, mi or hours").optional().isIn(METERS),
+    body("items", "items must be a list of the work done").optional().isArray(),
+    body("items.*.category", "item category must be parts, labour or other").optional().isIn(["parts", "labour", "other"]),
+    body("items.*.description", "each item needs a description").isString().not().isEmpty(),
+    body("items.*.amount", "item amount must be a positive number").isFloat({ min: 0 }),
+    body("items.*.currency", "item currency must be an ISO 4217 code").optional().isISO4217(),
+    serviceOdometerValidator,
+];
+
+const serviceRecordParamValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    param("recordId", "service record id has to be an integer").isInt({ min: 1 }),
+];
+
+const invoiceValidator = [
+    ...serviceRecordParamValidator,
+    body("invoice").custom((value, { req }) => {
+        if (!req.file) {
+            throw new Error("a PDF or image of the invoice is required");
+        }
+        return true;
+    }),
+];
+
+const approveServiceRecordValidator = [
+    ...serviceRecordParamValidator,
+    body("published", "published must be a boolean").optional().isBoolean().toBoolean(),
+];
+
+const rejectServiceRecordValidator = [
+    ...serviceRecordParamValidator,
+    body("note").optional({ values: "null" }).isString(),
+];
+
+const serviceRecordQueryValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    query("status", "status must be pending, approved or rejected").optional().isIn(["pending", "approved", "rejected"]),
+];
+
+module.exports = {
+    serviceRecordValidator,
+    serviceRecordParamValidator,
+    invoiceValidator,
+    approveServiceRecordValidator,
+    rejectServiceRecordValidator,
+    serviceRecordQueryValidator
+};
@@ -0,0 +1,18 @@
+const { body, param } = require("express-validator");
+
+const transferValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    body("email", "the recipient's email is required").not().isEmpty(),
+    body("email", "invalid email address").isEmail(),
+];
+
+const transferParamValidator = [
+    param("id", "a transfer id is required").not().isEmpty(),
+    param("id", "transfer id has to be an integer").isNumeric(),
+];
+
+module.exports = {
+    transferValidator,
+    transferParamValidator
+};
@@ -1,5 +1,8 @@
 const { body, param } = require('express-validator');
 const User = require('../models/user'); 
+const { isEmailReleasable } = require('../controllers/emailVerificationController');
+const { ROLES } = require('../auth/policies');
+const { SCOPES } = require('../auth/scopes');
 
 
 const userValidator = [
@@ -11,6 +14,7 @@ const userValidator = [
       "The minimum password length is 6 characters, max 120"
     ).isLength({ min: 6, max: 120 }),
     body("profile").optional().isLength({ min: 0 }),
+    body("accountType", "accountType must be personal or business").optional().isIn(["personal", "business"]),
 ];
 
 // Adjustments for partial updates where not all fields are required
@@ -21,11 +25,12 @@ const updateUserValidator = [
     body("email").optional().isEmail().withMessage("Invalid email"),
     body("password").optional().isLength({ min: 6, max: 120 }).withMessage("The minimum password length is 6 characters, max 120"),
     body("profile").optional().isLength({ min: 0 }),
+    body("accountType", "accountType must be personal or business").optional().isIn(["personal", "business"]),
 ];
 
 const uniqueEmailValidator = body('email').optional().custom(async (email) => {
     const existingUser = await User.findOne({ where: { email: email } });
-    if (existingUser) {
+    if (existingUser && !isEmailReleasable(existingUser)) {
       throw new Error('Email already in use');
     }
     return true; // Validation succeeded
@@ -40,9 +45,100 @@ const userLoginValidator = [
   }),
 ];
 
+const refreshTokenValidator = [
+  body("refreshToken", "Refresh token is required").not().isEmpty(),
+  body("refreshToken", "Refresh token must be a string").isString(),
+];
+
+const passwordResetRequestValidator = [
+  body("email", "Email is required").not().isEmpty(),
+  body("email", "Invalid email").isEmail(),
+];
+
+const passwordResetConfirmValidator = [
+  body("token", "Reset token is required").not().isEmpty(),
+  body("token", "Reset token must be a string").isString(),
+  body(
+    "password",
+    "The minimum password length is 6 characters, max 120"
+  ).isLength({ min: 6, max: 120 }),
+];
+
+const emailVerificationValidator = [
+  body("token", "Verification token is required").not().isEmpty(),
+  body("token", "Verification token must be a string").isString(),
+];
+
+const userRoleValidator = [
+  param("id", "User ID is required").not().isEmpty(),
+  param("id", "User ID has to be an integer").isNumeric(),
+  body("role", "Role is required").not().isEmpty(),
+  body("role", `Role must be one of ${ROLES.join(", ")}`).isIn(ROLES),
+];
+
+// the second factor can be a code from the authenticator app or one of the recovery codes
+const secondFactorValidator = [
+  body("code").optional().isString().withMessage("Code must be a string"),
+  body("recoveryCode").optional().isString().withMessage("Recovery code must be a string"),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error("A code or a recovery code is required");
+    }
+    return true;
+  }),
+];
+
+const twoFactorLoginValidator = [
+  body("challengeToken", "Challenge token is required").not().isEmpty(),
+  ...secondFactorValidator,
+];
+
+const twoFactorCodeValidator = [
+  body("code", "Code is required").not().isEmpty(),
+  body("code", "Code must be 6 digits").matches(/^\s*\d{6}\s*$/),
+];
+
+const twoFactorDisableValidator = [
+  body("password", "Password is required").not().isEmpty(),
+  ...secondFactorValidator,
+];
+
+const apiTokenValidator = [
+  param("id", "User ID is required").not().isEmpty(),
+  param("id", "User ID has to be an integer").isNumeric(),
+  body("name", "Name is required").not().isEmpty(),
+  body("name", "Name can be at most 100 characters").isLength({ max: 100 }),
+  body("scopes", "At least one scope is required").isArray({ min: 1 }),
+  body("scopes.*", `Scopes must be one of ${SCOPES.join(", ")}`).isIn(SCOPES),
+  body("expiresInDays", "expiresInDays must be a whole number of days").optional().isInt({ min: 1, max: 3650 }),
+];
+
+const apiTokenParamValidator = [
+  param("id", "User ID is required").not().isEmpty(),
+  param("id", "User ID has to be an integer").isNumeric(),
+  param("tokenId", "Token ID is required").not().isEmpty(),
+  param("tokenId", "Token ID has to be an integer").isNumeric(),
+];
+
+const accountUnlockValidator = [
+  body("token", "Unlock token is required").not().isEmpty(),
+  body("token", "Unlock token must be a string").isString(),
+];
+
 module.exports = {
     userValidator,
     updateUserValidator,
     uniqueEmailValidator,
-    userLoginValidator
+    userLoginValidator,
+    refreshTokenValidator,
+    passwordResetRequestValidator,
+    passwordResetConfirmValidator,
+    emailVerificationValidator,
+    userRoleValidator,
+    twoFactorLoginValidator,
+    twoFactorCodeValidator,
+    twoFactorDisableValidator,
+    apiTokenValidator,
+    apiTokenParamValidator,
+    accountUnlockValidator
 };
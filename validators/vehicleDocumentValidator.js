@@ -0,0 +1,60 @@
+const { body, param, query } = require("express-validator");
+
+const DOCUMENT_TYPES = ["registration", "insurance", "roadworthy", "warranty", "other"];
+
+// expiry before issue is almost always a typo
+const expiryAfterIssue = body("expiresAt").optional({ values: "falsy" }).custom((value, { req }) => {
+    if (req.body.issuedAt && value < req.body.issuedAt) {
+        throw new Error("expiresAt can't be before issuedAt");
+    }
+    return true;
+});
+
+const vehicleDocumentValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    body("type", "a document type is required").not().isEmpty(),
+    body("type", "type must be registration, insurance, roadworthy, warranty or other").isIn(DOCUMENT_TYPES),
+    body("title").optional().isString(),
+    body("issuedAt", "invalid date format").optional({ values: "falsy" }).isISO8601(),
+    body("expiresAt", "invalid date format").optional({ values: "falsy" }).isISO8601(),
+    body("notes").optional().isString(),
+    expiryAfterIssue,
+    body("file").custom((value, { req }) => {
+        if (!req.file) {
+            throw new Error("a PDF or image file is required");
+        }
+        return true;
+    }),
+];
+
+const updateVehicleDocumentValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    param("documentId", "document id has to be an integer").isNumeric(),
+    body("type", "type must be registration, insurance, roadworthy, warranty or other").optional().isIn(DOCUMENT_TYPES),
+    body("title").optional().isString(),
+    body("issuedAt", "invalid date format").optional({ values: "falsy" }).isISO8601(),
+    body("expiresAt", "invalid date format").optional({ values: "falsy" }).isISO8601(),
+    body("notes").optional().isString(),
+    expiryAfterIssue,
+];
+
+const vehicleDocumentParamValidator = [
+    param("id", "a vehicle id is required").not().isEmpty(),
+    param("id", "vehicle id has to be an integer").isNumeric(),
+    param("documentId", "document id has to be an integer").isNumeric(),
+];
+
+const expiringDocumentsValidator = [
+    param("id", "a user id is required").not().isEmpty(),
+    param("id", "user id has to be an integer").isNumeric(),
+    query("withinDays", "withinDays must be a positive integer").optional().isInt({ min: 0 }),
+];
+
+module.exports = {
+    vehicleDocumentValidator,
+    updateVehicleDocumentValidator,
+    vehicleDocumentParamValidator,
+    expiringDocumentsValidator
+};
@@ -1,4 +1,39 @@
 const { body, param } = require("express-validator");
+const Vehicle = require("../models/vehicle");
+const { METERS, isCompatibleUnit } = require("../utils/units");
+const { normaliseVin, decodeVin, validateVin, vehicleDetailsFromVin } = require("../utils/vin");
+
+const vinValidator = body("vin").optional({ values: "falsy" }).customSanitizer(normaliseVin).custom((value) => {
+    const problem = validateVin(value);
+    if (problem) {
+        throw new Error(problem);
+    }
+    return true;
+});
+
+// make and year can be left out when the VIN gives them, the controller fills them in
+const unlessVinGives = (field) => (value, { req }) => {
+    if (value !== undefined && value !== "") {
+        return true;
+    }
+    return !(field in vehicleDetailsFromVin(req.body.vin));
+};
+
+// a boat on an hour meter can't show its readings in miles, or a car in hours
+const displayUnitValidator = body("displayUnit").optional({ values: "null" }).custom(async (value, { req }) => {
+    let meter = req.body.meter;
+    if (!meter && req.params.id) {
+        const vehicle = await Vehicle.findOne({ where: { id: req.params.id }, attributes: ["meter"] });
+        meter = vehicle && vehicle.meter;
+    }
+    if (!meter) {
+        meter = req.body.type === "boat" ? "hours" : "km";
+    }
+    if (!isCompatibleUnit(meter, value)) {
+        throw new Error(`displayUnit ${value} can't be used with a ${meter} meter`);
+    }
+    return true;
+});
 
 const vehicleValidator = [
     body("userId", "User ID is required").not().isEmpty(),
@@ -6,11 +41,12 @@ const vehicleValidator = [
     body("type", "Vehicle type is required").not().isEmpty(),
     body("type", "Invalid vehicle type").matches(/^(car|motorcycle|boat|bicycle)$/),
     body("location").optional().not().isEmpty(),
-    body("make", "Make is required").not().isEmpty(),
+    vinValidator,
+    body("make", "Make is required").if(unlessVinGives("make")).not().isEmpty(),
     body("model", "Model is required").not().isEmpty(),
-    body("year", "Year is required").not().isEmpty(),
-    body("year", "Year must be an integer").isInt(),
-    body("year", "Year must be between 1900 and the current year").custom((value) => {
+    body("year", "Year is required").if(unlessVinGives("year")).not().isEmpty(),
+    body("year", "Year must be an integer").if(unlessVinGives("year")).isInt(),
+    body("year", "Year must be between 1900 and the current year").if(unlessVinGives("year")).custom((value) => {
         const currentYear = new Date().getFullYear();
         if (value < 1900 || value > currentYear) {
             throw new Error("Year must be between 1900 and the current year");
@@ -18,6 +54,9 @@ const vehicleValidator = [
         return true;
     }),
     body("profile").optional().isLength({ min: 0 }),
+    body("meter", "meter must be km, mi or hours").optional().isIn(METERS),
+    body("displayUnit", "displayUnit must be km, mi or hours").optional({ values: "null" }).isIn(METERS),
+    displayUnitValidator,
 ];
 
 // Adjustments for partial updates where not all fields are required
@@ -38,6 +77,20 @@ const updateVehicleValidator = [
             return true;
         }),
     body("profile").optional().isLength({ min: 0 }),
+    body("meter", "meter must be km, mi or hours").optional().isIn(METERS),
+    body("displayUnit", "displayUnit must be km, mi or hours").optional({ values: "null" }).isIn(METERS),
+    body("coverImageId", "coverImageId has to be an image id").optional({ values: "falsy" }).isInt({ min: 1 }),
+    displayUnitValidator,
+    vinValidator,
+];
+
+const vinParamValidator = [
+    param("vin").customSanitizer(normaliseVin).custom((value) => {
+        if (!decodeVin(value)) {
+            throw new Error("a VIN is 17 letters and numbers, without I, O or Q");
+        }
+        return true;
+    }),
 ];
 
 const vehicleTypeParamValidator = [
@@ -49,4 +102,5 @@ module.exports = {
     vehicleValidator,
     updateVehicleValidator,
     vehicleTypeParamValidator,
+    vinParamValidator,
 };